@@ -1,601 +1,2310 @@
-/* game.js - Ultimate Zombie Shooter (final, corrected)
+/* game.js - Ultimate Zombie Shooter (browser host)
    Features:
-   - Weapons: pistol, smg, machinegun, shotgun, sniper, rocket
-   - Auto-reload + manual reload (R)
-   - Weapon shop, coins, purchases
+   - Weapons: pistol, smg, machinegun, shotgun, sniper, rocket, freeze ray
+   - Auto-reload + manual reload (R); every key rebindable (src/controls.js)
+   - Gamepads (standard mapping, hot-plug): sticks, aim assist, RT fire, D-pad menus
+   - Local co-op: player 2 on the arrow keys or a gamepad, own HUD panel, revives, shared or split coins
+   - Online co-op (src/net.js, server/): room codes, the server runs the sim, own movement and shots predicted, reconnects
+   - Pause menu (Esc/P, auto on hidden tab) and settings: volumes, mouse sensitivity, controls
+   - Synthesized sound (src/audio.js): per-weapon shots, groans per zombie type, positional panning, adaptive music
+   - Weapon shop, coins, purchases; upgrade tiers and reserve ammo (src/weapons.js)
    - Enemy types: normal, fast, tank, spitter, bomber, boss
+   - Mods (mods/): registerWeapon / registerEnemy / registerPickup with stats, hooks and shop data; the built-ins use the same registries
+   - Damage model (src/damage.js): acid, burning and chill statuses, knockback, armored tanks, hit invulnerability; floating damage numbers
    - Particles: blood, muzzle, explosion
-   - Map walls & simple collision
-   - Pickups: coins, ammo
-   - Mobile controls: basic fire/reload; joystick placeholder
-   - Level/wave progression with boss every 5 levels
-   - No duplicate variable declarations; cleaned & consistent
+   - Data-driven maps (src/maps.js): rect/polygon walls, spawn zones, pickup points; built-in arenas
+   - Level editor (src/editor.js): walls, spawn zones, pickup points and start on a grid, undo/redo, test-play (T), JSON import/export
+   - Maps bigger than the screen: smoothed camera with shake (src/camera.js), off-screen zombie arrows, minimap; the canvas fills the window
+   - Pickups (src/pickups.js): coins (magnet), ammo, health, armor; timed power-ups with HUD timers; drop tables per enemy
+   - Touch controls: floating twin sticks (move / aim + hold to fire), tap to aim, fire/reload/swap buttons
+   - Wave director (src/waves.js): timed spawn groups, special waves, intermissions with a summary and shop
+   - Level progression with a multi-phase boss every 5 levels (src/bosses.js)
+   - Game modes (src/modes.js): classic, endless survival, time attack, one weapon, seeded daily challenge; a high-score table each
+   - Progress saved to localStorage: banked coins, owned weapons, best score/level, continue
+   - Stats (src/stats.js): per-run summary after game over, lifetime totals and achievements with toasts
+   - Replays: every run is recorded (seed + inputs); export/import JSON, pause, fast-forward, frame step
+   - Accessibility (src/accessibility.js): colour-blind palettes, shape markers, high contrast, HUD text size,
+     toggle-to-fire, difficulty presets, screen-reader announcements of HP, levels and game over
+   - Debug overlay (F3): FPS, frame time, entity counts, hitboxes, walls, enemy targets; developer console (`, src/devtools.js)
+
+   Gameplay lives in src/sim.js (ZS.createSim). This file only turns DOM input
+   into per-tick input, steps the sim on its fixed timestep and draws sim.state.
+   Online, sim is a ZS.createClientSim() that sends the input to the server instead.
 */
 
 /* ------------------------ Setup ------------------------ */
 const canvas = document.getElementById('game');
 const ctx = canvas.getContext('2d');
-const W = canvas.width, H = canvas.height;
+const VIEW_W = 900, VIEW_H = 600; // the view shows at least this much of the world, scaled to fit
+let W = VIEW_W, H = VIEW_H;        // view size in world px (the window's shape decides the longer side)
+let viewScale = 1;                 // canvas px per world px
+const camera = ZS.createCamera();
 
 // DOM elements assumed from index.html
 const scoreEl = document.getElementById('score');
 const coinsEl = document.getElementById('coins');
 const levelEl = document.getElementById('level');
+const timerEl = document.getElementById('timer');
 const hpEl = document.getElementById('hp');
 const weaponEl = document.getElementById('weapon');
 const ammoEl = document.getElementById('ammo');
+const powersEl = document.getElementById('powers');
 const startBtn = document.getElementById('startBtn');
 const shopBtn = document.getElementById('shopBtn');
 const shopDiv = document.getElementById('shop');
 const closeShopBtn = document.getElementById('closeShop');
 const shopItemsDiv = document.getElementById('shopItems');
 const centerOverlay = document.getElementById('centerOverlay');
+const loadReplayBtn = document.getElementById('loadReplayBtn');
+const replayFileInput = document.getElementById('replayFile');
+const replayBar = document.getElementById('replayBar');
+const replayStatusEl = document.getElementById('replayStatus');
+const replayPauseBtn = document.getElementById('replayPause');
+const replayStepBtn = document.getElementById('replayStep');
+const replaySpeedBtn = document.getElementById('replaySpeed');
+const replayStopBtn = document.getElementById('replayStop');
+const continueBtn = document.getElementById('continueBtn');
+const resetProgressBtn = document.getElementById('resetProgressBtn');
+const bestEl = document.getElementById('best');
+const shopWalletEl = document.getElementById('shopWallet');
+const mapSelect = document.getElementById('mapSelect');
+const modeSelect = document.getElementById('modeSelect');
+const modeWeaponSelect = document.getElementById('modeWeaponSelect');
+const modeDescEl = document.getElementById('modeDesc');
+const difficultySelect = document.getElementById('difficultySelect');
+const loadMapBtn = document.getElementById('loadMapBtn');
+const mapFileInput = document.getElementById('mapFile');
+const intermissionEl = document.getElementById('intermission');
+const imTitleEl = document.getElementById('imTitle');
+const imSummaryEl = document.getElementById('imSummary');
+const imCountdownEl = document.getElementById('imCountdown');
+const imButtonsEl = document.getElementById('imButtons');
+const imShopBtn = document.getElementById('imShopBtn');
+const imReadyBtn = document.getElementById('imReadyBtn');
+const summaryEl = document.getElementById('summary');
+const sumTitleEl = document.getElementById('sumTitle');
+const sumHeadEl = document.getElementById('sumHead');
+const sumTablesEl = document.getElementById('sumTables');
+const sumUnlocksEl = document.getElementById('sumUnlocks');
+const sumLifeEl = document.getElementById('sumLife');
+const sumButtonsEl = document.getElementById('sumButtons');
+const sumExportBtn = document.getElementById('sumExportBtn');
+const statsDiv = document.getElementById('statsScreen');
+const lifeStatsEl = document.getElementById('lifeStats');
+const achCountEl = document.getElementById('achCount');
+const achievementsEl = document.getElementById('achievements');
+const scoreTableSelect = document.getElementById('scoreTableSelect');
+const highScoresEl = document.getElementById('highScores');
+const pauseMenu = document.getElementById('pauseMenu');
+const settingsDiv = document.getElementById('settings');
+const musicVolumeInput = document.getElementById('musicVolume');
+const sfxVolumeInput = document.getElementById('sfxVolume');
+const mouseSensitivityInput = document.getElementById('mouseSensitivity');
+const mouseSensitivityValue = document.getElementById('mouseSensitivityValue');
+const bindingsDiv = document.getElementById('bindings');
+const bindingMsg = document.getElementById('bindingMsg');
+const controlsHintEl = document.getElementById('controlsHint');
+const replayHintEl = document.getElementById('replayHint');
+const aimAssistInput = document.getElementById('aimAssist');
+const paletteSelect = document.getElementById('paletteSelect');
+const markersInput = document.getElementById('markers');
+const highContrastInput = document.getElementById('highContrast');
+const hudScaleInput = document.getElementById('hudScale');
+const hudScaleValue = document.getElementById('hudScaleValue');
+const toggleFireInput = document.getElementById('toggleFire');
+const srStatusEl = document.getElementById('srStatus');
+const srAlertEl = document.getElementById('srAlert');
+const padHintEl = document.getElementById('padHint');
+const toastEl = document.getElementById('toast');
+const p2HudEl = document.getElementById('p2Hud');
+const p2HpEl = document.getElementById('p2Hp');
+const p2WeaponEl = document.getElementById('p2Weapon');
+const p2AmmoEl = document.getElementById('p2Ammo');
+const p2PowersEl = document.getElementById('p2Powers');
+const playersSelect = document.getElementById('playersSelect');
+const coinsSelect = document.getElementById('coinsSelect');
+const coopHintEl = document.getElementById('coopHint');
+const shopPlayersEl = document.getElementById('shopPlayers');
+const onlineDiv = document.getElementById('online');
+const onlineJoinEl = document.getElementById('onlineJoin');
+const serverUrlInput = document.getElementById('serverUrl');
+const roomCodeInput = document.getElementById('roomCode');
+const lobbyEl = document.getElementById('lobby');
+const lobbyCodeEl = document.getElementById('lobbyCode');
+const lobbyPlayersEl = document.getElementById('lobbyPlayers');
+const lobbyStartBtn = document.getElementById('lobbyStartBtn');
+const onlineMsgEl = document.getElementById('onlineMsg');
+const editorDiv = document.getElementById('editor');
+const edGridSelect = document.getElementById('edGrid');
+const edNameInput = document.getElementById('edName');
+const edWidthInput = document.getElementById('edWidth');
+const edHeightInput = document.getElementById('edHeight');
+const edUndoBtn = document.getElementById('edUndo');
+const edRedoBtn = document.getElementById('edRedo');
+const edDeleteBtn = document.getElementById('edDelete');
+const edFileInput = document.getElementById('edFile');
+const edMsgEl = document.getElementById('edMsg');
+
+/* ------------------------ Save data ------------------------ */
+const saveStore = ZS.createSaveStore((() => { try { return window.localStorage; } catch(e){ return null; } })());
+let profile = saveStore.load();
+
+/* ------------------------ Audio ------------------------ */
+// synthesized (src/audio.js); browsers only let it start from a user gesture
+const audio = ZS.createAudio();
+audio.setVolumes(profile.settings.musicVolume, profile.settings.sfxVolume);
+for(const type of ['pointerdown', 'keydown', 'touchstart']) window.addEventListener(type, audio.unlock, { passive: true });
+
+let nextGroanAt = 0;
+
+// sounds are placed around the camera's focus; the music follows how many zombies are up,
+// and one of them groans every so often
+function updateAudio(s){
+  const ears = focusOf(s);
+  audio.listen(ears.x, ears.y, W);
+  const boss = s.enemies.some(e => e.boss);
+  audio.intensity(s.intermission ? 0.1 : boss ? 1 : s.enemies.length / 25);
+  audio.music(s.started && !s.over && !paused && !(playback && replayPaused));
+  audio.update();
+  if(nextGroanAt - s.time > 4000) nextGroanAt = s.time; // a new run restarted the clock
+  if(!s.enemies.length || s.over || s.time < nextGroanAt) return;
+  const e = s.enemies[Math.floor(Math.random() * s.enemies.length)];
+  const def = ZS.ENEMIES[e.type];
+  audio.play('groan', { x: e.x, y: e.y, kind: (def && def.sound) || e.type });
+  nextGroanAt = s.time + (800 + Math.random() * 2400) / Math.sqrt(s.enemies.length);
+}
 
-/* ------------------------ Audio (optional) ------------------------ */
-function safeAudio(path){
-  try { return new Audio(path); } catch(e){ return null; }
+/* ------------------------ Simulation ------------------------ */
+// what the camera (and the listener) centres on: the local player, or between the living
+// players in local co-op
+function focusOf(s){
+  const alive = net ? [s.player] : s.players.filter(p => !p.down);
+  const ps = alive.length ? alive : [s.player];
+  return { x: ps.reduce((a, p) => a + p.x, 0) / ps.length, y: ps.reduce((a, p) => a + p.y, 0) / ps.length };
 }
-const sounds = {
-  shoot: safeAudio('shoot.mp3'),
-  zombieDeath: safeAudio('zombieDeath.mp3'),
-  bg: safeAudio('bgMusic.mp3'),
-  explosion: safeAudio('explosion.mp3'),
-  reload: safeAudio('reload.mp3'),
-};
-if(sounds.bg){ sounds.bg.loop = true; sounds.bg.volume = 0.25; }
-
-/* ------------------------ Utilities ------------------------ */
-const rand = (a,b) => Math.random()*(b-a)+a;
-const clamp = (v,a,b) => Math.max(a, Math.min(b,v));
-const nowMs = () => Date.now();
-const dist = (a,b) => Math.hypot(a.x - b.x, a.y - b.y);
-
-/* ------------------------ Game State ------------------------ */
-let gameStarted = false;
-let gameOver = false;
-let score = 0;
-let coins = 0;
-let level = 1;
-let wave = 1;
-let enemiesToSpawn = 6; // single declaration, no duplicates
-
-// Entities / containers
-let player = null;
-let bullets = [];
-let enemies = [];
-let particles = [];
-let pickups = []; // coins, ammo
-
-/* ------------------------ Map / Walls ------------------------ */
-const walls = [
-  {x: 200, y: 140, w: 160, h: 14},
-  {x: 520, y: 300, w: 16, h: 180},
-  {x: 360, y: 420, w: 220, h: 14},
-];
-
-/* ------------------------ Player ------------------------ */
-function createPlayer(){
-  player = {
-    x: W/2, y: H/2, r: 16, speed: 200, maxHp: 100, hp: 100
-  };
+
+const newSeed = () => (Math.random() * 0x100000000) >>> 0;
+let sim = null;
+let net = null;       // online session while in a room (see Online co-op)
+let customMap = null; // last map loaded from a file (or left by the editor), offered in the map select
+let editor = null;    // the level editor's model while it's open (see Level editor)
+let editorMap = null; // the edited map while it's being test-played
+
+// one sim per arena; the camera scrolls over it. online = { slot } plays the server's run
+function useMap(map, online = null){
+  sim = online ? ZS.createClientSim({ map, slot: online.slot, send: netSend, now: () => performance.now() })
+    : ZS.createSim({ map, seed: newSeed(), now: () => performance.now() });
+  camera.resize(W, H, map);
+  camera.snap(map.playerStart.x, map.playerStart.y);
 }
-createPlayer();
 
-/* ------------------------ Weapons ------------------------ */
-/* Weapons structure:
-   key: {name, ammo, maxAmmo, damage, fireRate(ms), reload(ms), type, owned}
-   type: 'bullet' | 'shot' | 'rocket'
-*/
-const weapons = {
-  pistol:   { name:'Pistol',   ammo:12, maxAmmo:12, damage:1, fireRate:220, reload:800,  type:'bullet', owned:true, price:0 },
-  smg:      { name:'SMG',      ammo:30, maxAmmo:30, damage:1, fireRate:80,  reload:1000, type:'bullet', owned:true, price:50 },
-  machine:  { name:'Machine',  ammo:60, maxAmmo:60, damage:1, fireRate:45,  reload:1400, type:'bullet', owned:true, price:120 },
-  shotgun:  { name:'Shotgun',  ammo:8,  maxAmmo:8,  damage:1, fireRate:600, reload:1600, type:'shot',   pellets:7, spread:0.6, owned:true, price:100 },
-  sniper:   { name:'Sniper',   ammo:5,  maxAmmo:5,  damage:8, fireRate:900, reload:1800, type:'bullet', owned:true, price:150 },
-  rocket:   { name:'Rocket',   ammo:2,  maxAmmo:2,  damage:6, fireRate:1000,reload:2200, type:'rocket', owned:true, price:250 },
-};
-let currentWeaponKey = 'pistol';
-let lastShotAt = 0;
-let reloading = false;
-
-/* ------------------------ Shop Items ------------------------ */
-const shopItems = [
-  { key: 'smg', label:'SMG', price:50 },
-  { key: 'machine', label:'Machine Gun', price:120 },
-  { key: 'shotgun', label:'Shotgun', price:100 },
-  { key: 'sniper', label:'Sniper', price:150 },
-  { key: 'rocket', label:'Rocket Launcher', price:250 },
-];
+// the canvas fills the window at the screen's pixel density; the view keeps VIEW_W x VIEW_H in sight
+function resizeCanvas(){
+  const dpr = Math.min(2, window.devicePixelRatio || 1);
+  canvas.width = Math.round(window.innerWidth * dpr);
+  canvas.height = Math.round(window.innerHeight * dpr);
+  viewScale = Math.min(canvas.width / VIEW_W, canvas.height / VIEW_H);
+  W = canvas.width / viewScale; H = canvas.height / viewScale;
+  if(sim) camera.resize(W, H, sim.map);
+}
+resizeCanvas();
+window.addEventListener('resize', resizeCanvas);
+
+function selectedMap(){
+  if(customMap && profile.settings.map === customMap.id) return customMap;
+  return ZS.getBuiltinMap(profile.settings.map);
+}
+useMap(selectedMap());
+
+/* ------------------------ Replay state ------------------------ */
+const REPLAY_SPEEDS = [1, 2, 4, 8];
+let recorder = null;   // records the live run
+let playback = null;   // set while watching a replay
+let replayPaused = false;
+let replaySpeed = 1;
 
 /* ------------------------ Input ------------------------ */
 const keys = {};
-let mouse = { x: W/2, y: H/2 };
+let mouse = { x: W/2, y: H/2 };  // player 1's crosshair in the world
+let cursor = { x: W/2, y: H/2 }; // the mouse pointer in view px; the crosshair follows it as the camera moves
 let mouseDown = false;
+let fireLatch = [false, false]; // toggle-to-fire (settings): each player's trigger stays down until pressed again
+// one-shot commands collected between ticks, consumed by the next readInput()
+let pending = { weapon: null, reload: false, fire: false, ready: false };
+let pending2 = { weapon: null, reload: false, fire: false }; // player 2 in co-op
+
+const coopRun = () => sim.state.players.length > 1;
+const localCoop = () => !net && coopRun(); // two players on this machine
+
+// rebindable keys (src/controls.js); keys[] holds what is down, by normalised key.
+// In local co-op the keys bound to player 2 don't drive player 1.
+let bindings = ZS.resolveBindings(profile.settings.keys);
+const p2Key = (k) => localCoop() && ZS.actionsForKey(bindings, k, 'p2').length > 0;
+const held = (action) => bindings[action].some(k => k && keys[k] && (ZS.ACTION_BY_ID[action].group !== 'play' || !p2Key(k)));
+let paused = false;
+let rebinding = null; // { action, slot } while the settings screen waits for a key
 
 // keyboard
 window.addEventListener('keydown', (e) => {
-  const k = e.key.toLowerCase();
+  const k = ZS.normKey(e.key);
+  if(e.target.type === 'text' || e.target.type === 'number') return; // typing a room code, server address or map name
+  if(rebinding){ e.preventDefault(); captureBinding(k); return; }
+  const dev = ZS.actionsForKey(bindings, k, 'dev');
+  if(dev.length){ e.preventDefault(); if(!e.repeat) dev.forEach(devAction); return; }
+  if(editor && editorKey(k, e)){ keys[k] = true; return; }
+  if(playback){ replayKey(k, e); return; }
   keys[k] = true;
+  if(p2Key(k)){ for(const action of ZS.actionsForKey(bindings, k, 'p2')) p2Action(action); return; }
+  for(const action of ZS.actionsForKey(bindings, k, 'play')) playAction(action, e);
+});
+window.addEventListener('keyup', (e) => { keys[ZS.normKey(e.key)] = false; });
 
-  // weapon switching 1..6
-  if(e.key === '1') currentWeaponKey = 'pistol';
-  if(e.key === '2') currentWeaponKey = 'smg';
-  if(e.key === '3') currentWeaponKey = 'machine';
-  if(e.key === '4') currentWeaponKey = 'shotgun';
-  if(e.key === '5') currentWeaponKey = 'sniper';
-  if(e.key === '6') currentWeaponKey = 'rocket';
+function playAction(action, e){
+  const s = sim.state;
+  if(action === 'pause'){
+    if(!e.repeat) paused ? resumeGame() : pauseGame();
+    return;
+  }
+  if(paused) return;
+  const def = ZS.ACTION_BY_ID[action];
+  if(def.weapon) pending.weapon = def.weapon;
+  else if(action === 'nextWeapon') pending.weapon = nextOwnedWeapon();
+  else if(action === 'reload') pending.reload = true;
+  else if(action === 'confirm'){
+    // start / restart / skip the intermission
+    if(!s.started) startGame();
+    else if(s.over) restartGame();
+    else if(s.intermission){ if(shopInRun) closeShop(); pending.ready = true; }
+  } else if(action === 'shop'){
+    // shop between waves
+    if(s.started && !s.over && s.intermission){ if(shopInRun) closeShop(); else openShop(); }
+  } else if(action === 'export'){
+    // export the run that just ended
+    if(s.over) exportReplay();
+  }
+}
 
-  // reload
-  if(e.key === 'r') startReload();
+// player 2's one-shot keys (moving and holding fire are read in readP2)
+function p2Action(action){
+  if(paused) return;
+  if(action === 'p2fire'){ if(profile.settings.toggleFire) toggleFire(1); else pending2.fire = true; }
+  else if(action === 'p2reload') pending2.reload = true;
+  else if(action === 'p2nextWeapon') pending2.weapon = nextOwnedWeapon(1, 1);
+}
 
-  // start / restart
-  if(e.key === 'Enter'){
-    if(!gameStarted) startGame();
-    else if(gameOver) restartGame();
-  }
-});
-window.addEventListener('keyup', (e) => { keys[e.key.toLowerCase()] = false; });
+// page coordinates -> view px
+function toView(clientX, clientY){
+  const rect = canvas.getBoundingClientRect();
+  return { x: (clientX - rect.left) * (W / rect.width), y: (clientY - rect.top) * (H / rect.height) };
+}
 
-// mouse
+// mouse: at sensitivity 1 the crosshair is the cursor; otherwise it moves by the scaled
+// mouse deltas (with pointer lock during a run, so it can't run off the canvas)
 canvas.addEventListener('mousemove', (e) => {
-  const rect = canvas.getBoundingClientRect();
-  mouse.x = (e.clientX - rect.left) * (canvas.width / rect.width);
-  mouse.y = (e.clientY - rect.top) * (canvas.height / rect.height);
+  aimSource = 'mouse';
+  document.body.classList.remove('pad-nav');
+  const sens = profile.settings.mouseSensitivity;
+  if(sens === 1 && document.pointerLockElement !== canvas) cursor = toView(e.clientX, e.clientY);
+  else {
+    const scale = W / canvas.getBoundingClientRect().width;
+    cursor.x = Math.max(0, Math.min(W, cursor.x + e.movementX * scale * sens));
+    cursor.y = Math.max(0, Math.min(H, cursor.y + e.movementY * scale * sens));
+  }
+  mouse = camera.toWorld(cursor.x, cursor.y);
+  if(editing()){ const p = editorPoint(); editor.pointerMove(p.x, p.y); }
 });
 canvas.addEventListener('mousedown', (e) => {
-  mouseDown = true;
-  shootAtMouse();
+  if(editing()){
+    cursor = toView(e.clientX, e.clientY);
+    const p = editorPoint();
+    editor.pointerDown(p.x, p.y);
+    renderEditor();
+    return;
+  }
+  if(runLive() && profile.settings.mouseSensitivity !== 1 && document.pointerLockElement !== canvas && canvas.requestPointerLock) canvas.requestPointerLock();
+  if(profile.settings.toggleFire) toggleFire(0);
+  else { mouseDown = true; pending.fire = true; }
 });
+// leaving pointer lock (Esc) mid-run pauses
+document.addEventListener('pointerlockchange', () => { if(document.pointerLockElement !== canvas) pauseGame(); });
 canvas.addEventListener('mouseup', () => mouseDown = false);
+// a drag in the editor ends wherever the button comes up
+window.addEventListener('mouseup', () => {
+  if(!editing()) return;
+  const p = editorPoint();
+  editor.pointerUp(p.x, p.y);
+  renderEditor();
+});
 
-/* ------------------------ Mobile Controls (basic) ------------------------ */
-let mobileFire = false;
+/* ------------------------ Touch Controls (twin-stick) ------------------------ */
+// left half of the screen: floating move stick; right half: floating aim stick that fires
+// while held, or a quick tap to aim at that spot and shoot once. Each stick follows its own
+// touch identifier, so moving and shooting work at the same time.
+const STICK_RADIUS = 60;     // px of thumb travel for full deflection
+const STICK_DEADZONE = 0.15; // fraction of STICK_RADIUS
+const TAP_MS = 220;          // a shorter touch that never left the deadzone is a tap
+const AIM_REACH = 200;       // stick aiming puts the crosshair this far from the player
+
+const mobileControls = document.getElementById('mobile-controls');
 const fireBtn = document.getElementById('fireBtn');
 const reloadBtn = document.getElementById('reloadBtn');
-if(fireBtn){
-  fireBtn.addEventListener('touchstart', (e)=>{ e.preventDefault(); mobileFire = true; shootAtMouse(); });
-  fireBtn.addEventListener('touchend', (e)=>{ e.preventDefault(); mobileFire = false; });
-}
-if(reloadBtn){
-  reloadBtn.addEventListener('touchstart', (e)=>{ e.preventDefault(); startReload(); });
-}
-
-/* ------------------------ Shooting & Reload ------------------------ */
-function playSfx(name){
-  const s = sounds[name];
-  if(!s) return;
-  try{ s.currentTime = 0; s.play(); }catch(e){}
-}
-
-function shootAtMouse(){
-  if(!gameStarted || gameOver) return;
-  const w = weapons[currentWeaponKey];
-  if(!w || !w.owned) return;
-  if(reloading) return;
-  if(w.ammo <= 0){ autoReload(); return; }
-  const now = nowMs();
-  if(now - lastShotAt < w.fireRate) return;
-  lastShotAt = now;
-  w.ammo--;
-
-  const angle = Math.atan2(mouse.y - player.y, mouse.x - player.x);
-
-  if(w.type === 'bullet'){
-    bullets.push({ x: player.x + Math.cos(angle)*18, y: player.y + Math.sin(angle)*18, vx: Math.cos(angle)*700, vy: Math.sin(angle)*700, r:4, dmg: w.damage, from:'player' });
-  } else if(w.type === 'shot'){
-    const pellets = w.pellets || 6;
-    const spread = w.spread || 0.6;
-    for(let i=0;i<pellets;i++){
-      const a = angle + rand(-spread, spread);
-      bullets.push({ x: player.x + Math.cos(a)*18, y: player.y + Math.sin(a)*18, vx: Math.cos(a)*650, vy: Math.sin(a)*650, r:3, dmg: w.damage, from:'player' });
+const swapBtn = document.getElementById('swapBtn');
+let mobileFire = false;
+
+const newStick = (el) => ({ el, knob: el && el.querySelector('.knob'), id: null, ox: 0, oy: 0, x: 0, y: 0, dragged: false, at: 0 });
+const moveStick = newStick(document.getElementById('joystick'));
+const aimStick = newStick(document.getElementById('aimStick'));
+
+const stickActive = (st) => st.id !== null && Math.hypot(st.x, st.y) > STICK_DEADZONE;
+
+function stickStart(st, t){
+  st.id = t.identifier;
+  st.ox = t.clientX; st.oy = t.clientY;
+  st.x = st.y = 0; st.dragged = false; st.at = performance.now();
+  if(st.el){ st.el.style.left = `${st.ox}px`; st.el.style.top = `${st.oy}px`; st.el.classList.add('active'); }
+  if(st.knob) st.knob.style.transform = '';
+}
+function stickMove(st, t){
+  let dx = t.clientX - st.ox, dy = t.clientY - st.oy;
+  const d = Math.hypot(dx, dy);
+  if(d > STICK_RADIUS){ dx *= STICK_RADIUS / d; dy *= STICK_RADIUS / d; }
+  st.x = dx / STICK_RADIUS; st.y = dy / STICK_RADIUS;
+  if(d > STICK_RADIUS * STICK_DEADZONE) st.dragged = true;
+  if(st.knob) st.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+}
+function stickEnd(st){
+  st.id = null; st.x = st.y = 0;
+  if(st.el) st.el.classList.remove('active');
+}
+
+// next (dir 1) or previous (dir -1) owned weapon after the current (or already queued) one
+function nextOwnedWeapon(dir = 1, slot = 0){
+  const p = sim.state.players[slot], ks = Object.keys(p.weapons);
+  const from = ks.indexOf((slot ? pending2 : pending).weapon || p.currentWeaponKey);
+  for(let i=1;i<=ks.length;i++){
+    const k = ks[(from + i*dir + ks.length*i) % ks.length];
+    if(p.weapons[k].owned) return k;
+  }
+  return p.currentWeaponKey;
+}
+
+window.addEventListener('touchstart', (e) => {
+  if(playback || !sim.state.started || sim.state.over) return;
+  if(e.target.closest && e.target.closest('.mobile-btn, button, select, input')) return;
+  e.preventDefault();
+  aimSource = 'touch';
+  for(const t of e.changedTouches){
+    const st = t.clientX < window.innerWidth / 2 ? moveStick : aimStick;
+    if(st.id === null) stickStart(st, t);
+  }
+}, { passive: false });
+window.addEventListener('touchmove', (e) => {
+  let ours = false;
+  for(const t of e.changedTouches){
+    for(const st of [moveStick, aimStick]) if(st.id === t.identifier){ stickMove(st, t); ours = true; }
+  }
+  if(ours) e.preventDefault();
+}, { passive: false });
+function onTouchEnd(e){
+  for(const t of e.changedTouches){
+    if(moveStick.id === t.identifier) stickEnd(moveStick);
+    if(aimStick.id === t.identifier){
+      if(e.type === 'touchend' && !aimStick.dragged && performance.now() - aimStick.at < TAP_MS){
+        const p = toView(t.clientX, t.clientY);
+        mouse = camera.toWorld(p.x, p.y);
+        pending.fire = true;
+      }
+      stickEnd(aimStick);
     }
-  } else if(w.type === 'rocket'){
-    bullets.push({ x: player.x + Math.cos(angle)*18, y: player.y + Math.sin(angle)*18, vx: Math.cos(angle)*320, vy: Math.sin(angle)*320, r:6, dmg: w.damage*2, from:'player', rocket:true });
   }
+}
+window.addEventListener('touchend', onTouchEnd);
+window.addEventListener('touchcancel', onTouchEnd);
+
+function holdButton(btn, onDown, onUp){
+  if(!btn) return;
+  btn.addEventListener('touchstart', (e)=>{ e.preventDefault(); onDown(); });
+  if(onUp){
+    btn.addEventListener('touchend', (e)=>{ e.preventDefault(); onUp(); });
+    btn.addEventListener('touchcancel', onUp);
+  }
+}
+holdButton(fireBtn, () => { mobileFire = true; pending.fire = true; }, () => { mobileFire = false; });
+holdButton(reloadBtn, () => { pending.reload = true; });
+holdButton(swapBtn, () => { pending.weapon = nextOwnedWeapon(); });
+
+// show the touch layer on touch devices (and on hybrids as soon as the screen is touched)
+function showTouchControls(){
+  mobileControls && mobileControls.classList.remove('hidden');
+  document.body.classList.add('touch');
+}
+if('ontouchstart' in window || navigator.maxTouchPoints > 0 || (window.matchMedia && window.matchMedia('(pointer: coarse)').matches)) showTouchControls();
+else window.addEventListener('touchstart', showTouchControls, { once: true, passive: true });
+
+/* ------------------------ Gamepad ------------------------ */
+// polled once per frame (the Gamepad API has no input events). Pads add into the padState of
+// the player they belong to; buttons act on their press edge. Pads can come and go at any time.
+// Alone or online every pad is player 1's; in local co-op a single pad is player 2's (player 1 keeps the
+// mouse and keyboard), with two pads the first is player 1's and the second player 2's.
+const newPadState = () => ({ move: { x: 0, y: 0 }, fire: false, aimDir: null, aiming: false });
+const padStates = [newPadState(), newPadState()];
+const padPrev = {};        // gamepad index -> pressed flags from the last poll
+let aimSource = 'mouse';   // 'mouse' | 'pad' | 'touch': whichever moved last drives player 1's crosshair
+
+function pollGamepads(){
+  for(const ps of padStates){ ps.move.x = ps.move.y = 0; ps.fire = false; ps.aiming = false; }
+  const pads = [...(navigator.getGamepads ? navigator.getGamepads() : [])].filter(gp => gp && gp.connected);
+  const coop = localCoop();
+  pads.forEach((gp, order) => {
+    const slot = !coop ? 0 : pads.length === 1 ? 1 : Math.min(order, 1);
+    const ps = padStates[slot];
+    const prev = padPrev[gp.index] || (padPrev[gp.index] = []);
+    const down = (b) => !!gp.buttons[b] && (gp.buttons[b].pressed || gp.buttons[b].value > 0.5);
+    const m = ZS.stickValue(gp.axes[0] || 0, gp.axes[1] || 0);
+    ps.move.x += m.x; ps.move.y += m.y;
+    const a = ZS.stickValue(gp.axes[2] || 0, gp.axes[3] || 0);
+    if(a.x || a.y){
+      const d = Math.hypot(a.x, a.y);
+      ps.aimDir = { x: a.x / d, y: a.y / d };
+      ps.aiming = true;
+      if(slot === 0) aimSource = 'pad';
+    }
+    if(down(ZS.PAD.rt) && !profile.settings.toggleFire) ps.fire = true; // toggled on the press instead (padPress)
+    for(let b=0;b<gp.buttons.length;b++){
+      const now = down(b);
+      if(now && !prev[b]) padPress(b, slot);
+      prev[b] = now;
+    }
+  });
+}
 
-  spawnMuzzle(player.x + Math.cos(angle)*18, player.y + Math.sin(angle)*18, angle);
-  playSfx('shoot');
+// topmost open menu, if any
+function activeOverlay(){
+  for(const el of [settingsDiv, statsDiv, pauseMenu, shopDiv, onlineDiv, centerOverlay]) if(!el.classList.contains('hidden')) return el;
+  return null;
+}
 
-  if(w.ammo <= 0) autoReload();
+function padPress(b, slot = 0){
+  const P = ZS.PAD;
+  const s = sim.state;
+  document.body.classList.add('pad-nav');
+  if(editing()) return; // the editor is mouse and keyboard only
+  const overlay = activeOverlay();
+  if(overlay){
+    // menus: D-pad moves the focus, A presses, B goes back
+    if(b === P.up) navigateUI(overlay, 0, -1);
+    else if(b === P.down) navigateUI(overlay, 0, 1);
+    else if(b === P.left) navigateUI(overlay, -1, 0);
+    else if(b === P.right) navigateUI(overlay, 1, 0);
+    else if(b === P.a){ if(overlay.contains(document.activeElement)) document.activeElement.click(); else navigateUI(overlay, 0, 1); }
+    else if(b === P.b) uiBack();
+    else if(b === P.start){ if(paused) resumeGame(); else if(!s.started) startGame(); }
+    return;
+  }
+  if(playback){
+    if(b === P.a || b === P.start) setReplayPaused(!replayPaused);
+    else if(b === P.b) stopReplay();
+    else if(b === P.right) stepReplay();
+    else if(b === P.y) cycleReplaySpeed();
+    return;
+  }
+  if(b === P.start){ if(s.over) restartGame(); else pauseGame(); }
+  else if(b === P.a && (s.over || s.intermission)) playAction('confirm', {});
+  else if(b === P.select) playAction('shop', {});
+  else if(paused) return;
+  // the rest belongs to the pad's player
+  const pend = slot ? pending2 : pending;
+  if(b === P.rt && profile.settings.toggleFire) toggleFire(slot);
+  else if(b === P.x) pend.reload = true;
+  else if(b === P.y || b === P.rb) pend.weapon = nextOwnedWeapon(1, slot);
+  else if(b === P.lb) pend.weapon = nextOwnedWeapon(-1, slot);
 }
 
-function startReload(){
-  if(reloading) return;
-  const w = weapons[currentWeaponKey];
-  if(!w) return;
-  if(w.ammo >= w.maxAmmo) return;
-  reloading = true;
-  playSfx('reload');
-  setTimeout(()=>{ w.ammo = w.maxAmmo; reloading = false; }, w.reload);
+function uiBack(){
+  if(!settingsDiv.classList.contains('hidden')) closeSettings();
+  else if(!shopDiv.classList.contains('hidden')) closeShop();
+  else if(paused) resumeGame();
+  else if(!onlineDiv.classList.contains('hidden')) closeOnline();
+  else if(!statsDiv.classList.contains('hidden')) closeStats();
 }
 
-function autoReload(){
-  if(reloading) return;
-  reloading = true;
-  const w = weapons[currentWeaponKey];
-  if(!w) { reloading = false; return; }
-  setTimeout(()=>{ w.ammo = w.maxAmmo; reloading = false; }, w.reload);
+// spatial focus move among the menu's controls; left/right on a slider changes its value
+function navigateUI(container, dx, dy){
+  const items = [...container.querySelectorAll('button, select, input[type=range], input[type=checkbox]')].filter(el => !el.disabled && !el.closest('.hidden'));
+  if(!items.length) return;
+  const cur = document.activeElement;
+  if(!items.includes(cur)){ items[0].focus(); return; }
+  if(cur.type === 'range' && dx){
+    cur.value = parseFloat(cur.value) + dx * parseFloat(cur.step || 0.05);
+    cur.dispatchEvent(new Event('input'));
+    return;
+  }
+  if(cur.tagName === 'SELECT' && dx){
+    cur.selectedIndex = Math.max(0, Math.min(cur.options.length - 1, cur.selectedIndex + dx));
+    cur.dispatchEvent(new Event('change'));
+    return;
+  }
+  const r0 = cur.getBoundingClientRect();
+  const cx = r0.left + r0.width/2, cy = r0.top + r0.height/2;
+  let best = null, bestScore = Infinity;
+  for(const el of items){
+    if(el === cur) continue;
+    const r = el.getBoundingClientRect();
+    const ex = r.left + r.width/2 - cx, ey = r.top + r.height/2 - cy;
+    const along = ex*dx + ey*dy;
+    if(along <= 0) continue;
+    const score = along + Math.abs(ex*dy - ey*dx) * 2;
+    if(score < bestScore){ bestScore = score; best = el; }
+  }
+  // no layout (or nothing that way): step through the list
+  if(!best) best = items[(items.indexOf(cur) + (dx + dy > 0 ? 1 : -1) + items.length) % items.length];
+  best.focus();
 }
 
-/* ------------------------ Enemies ------------------------ */
-function spawnEnemy(type='normal'){
-  const side = Math.floor(rand(0,4));
-  let x=0,y=0;
-  if(side===0){ x=-30; y=rand(0,H); }
-  if(side===1){ x=W+30; y=rand(0,H); }
-  if(side===2){ x=rand(0,W); y=-30; }
-  if(side===3){ x=rand(0,W); y=H+30; }
+// stick aim: the crosshair rides around the player in direction d, onto a target when aim assist finds one
+// (its cone widens or narrows with the difficulty, modes.js DIFFICULTIES)
+function aimPoint(p, d){
+  const cone = 0.18 * ZS.DIFFICULTIES[runMode(sim.state).difficulty || 'normal'].aimAssist;
+  const target = profile.settings.aimAssist && ZS.aimAssist(p.x, p.y, d.x, d.y, sim.state.enemies, cone);
+  if(target) return { x: target.x, y: target.y };
+  return { x: p.x + d.x * AIM_REACH, y: p.y + d.y * AIM_REACH };
+}
 
-  let e = { x, y, r:18, speed:50, hp:1, type:'normal', color:'#16a34a', lastSpit:0 };
+function placePadCrosshair(){
+  const a = aimPoint(sim.state.player, padStates[0].aimDir);
+  mouse.x = a.x; mouse.y = a.y;
+}
 
-  if(type === 'fast'){ e.speed = 120; e.hp = 1; e.r = 14; e.color = '#f97316'; e.type='fast'; }
-  else if(type === 'tank'){ e.speed = 36; e.hp = 4 + Math.floor(level/2); e.r = 26; e.color = '#14532d'; e.type='tank'; }
-  else if(type === 'spitter'){ e.speed = 45; e.hp = 2; e.r = 18; e.color = '#7c3aed'; e.lastSpit = 0; e.type='spitter'; }
-  else if(type === 'bomber'){ e.speed = 40; e.hp = 1; e.r = 16; e.color = '#dc2626'; e.type='bomber'; }
-  else if(type === 'boss'){ e.speed = 25; e.hp = 20 + level*4; e.r = 48; e.color = '#7f1d1d'; e.type='boss'; }
-  // default normal: speed & hp adjust by level
-  else { e.speed = 50 + (level-1)*3; e.hp = 1 + Math.floor(level/4); }
+window.addEventListener('gamepadconnected', (e) => {
+  showToast(`Controller connected: ${e.gamepad.id}`);
+  padHintEl && padHintEl.classList.remove('hidden');
+});
+window.addEventListener('gamepaddisconnected', (e) => {
+  delete padPrev[e.gamepad.index];
+  showToast('Controller disconnected');
+  if(aimSource === 'pad') pauseGame();
+});
 
-  enemies.push(e);
+// snapshot of the devices for one sim tick (recorded while the run is live)
+function readInput(){
+  let vx = 0, vy = 0;
+  if(held('up')) vy -= 1;
+  if(held('down')) vy += 1;
+  if(held('left')) vx -= 1;
+  if(held('right')) vx += 1;
+  // the move stick and the left pad stick add analog vectors on the same path as the keys
+  if(stickActive(moveStick)){ vx += moveStick.x; vy += moveStick.y; }
+  vx += padStates[0].move.x; vy += padStates[0].move.y;
+  // the aim stick points the crosshair around the player; it stays put after release
+  if(stickActive(aimStick)){
+    const p = sim.state.player, d = Math.hypot(aimStick.x, aimStick.y);
+    mouse.x = p.x + aimStick.x / d * AIM_REACH;
+    mouse.y = p.y + aimStick.y / d * AIM_REACH;
+  } else if(aimSource === 'pad' && padStates[0].aimDir) placePadCrosshair();
+  const input = {
+    move: { x: vx, y: vy },
+    aim: { x: mouse.x, y: mouse.y },
+    fire: fireLatch[0] || mouseDown || mobileFire || stickActive(aimStick) || padStates[0].fire || pending.fire,
+    weapon: pending.weapon,
+    reload: pending.reload,
+    ready: pending.ready,
+    shop: shopInRun ? { buy: pendingBuys } : null,
+    p2: localCoop() ? readP2() : null,
+  };
+  if(shopInRun) pendingBuys = [];
+  pending = { weapon: null, reload: false, fire: false, ready: false };
+  pending2 = { weapon: null, reload: false, fire: false };
+  if(recorder && !sim.state.over) recorder.record(input);
+  return input;
 }
 
-function spawnWave(){
-  enemies = [];
-  const count = enemiesToSpawn + Math.floor(level * 1.2);
-  for(let i=0;i<count;i++){
-    if(level%5===0 && i===0) spawnEnemy('boss');
-    else {
-      const r = Math.random();
-      if(r < 0.55) spawnEnemy('normal');
-      else if(r < 0.75) spawnEnemy('fast');
-      else if(r < 0.88) spawnEnemy('spitter');
-      else spawnEnemy('tank');
-    }
-  }
+// player 2 has no mouse: they aim with their pad's right stick, or along the way they last walked
+let p2AimDir = { x: 1, y: 0 };
+function readP2(){
+  const pad = padStates[1];
+  let vx = pad.move.x, vy = pad.move.y;
+  if(held('p2up')) vy -= 1;
+  if(held('p2down')) vy += 1;
+  if(held('p2left')) vx -= 1;
+  if(held('p2right')) vx += 1;
+  if(pad.aiming) p2AimDir = pad.aimDir;
+  else if((vx || vy) && !pad.aimDir){ const d = Math.hypot(vx, vy); p2AimDir = { x: vx / d, y: vy / d }; }
+  return {
+    move: { x: vx, y: vy },
+    aim: aimPoint(sim.state.players[1], p2AimDir),
+    fire: fireLatch[1] || pad.fire || (held('p2fire') && !profile.settings.toggleFire) || pending2.fire,
+    weapon: pending2.weapon,
+    reload: pending2.reload,
+  };
+}
+
+/* ------------------------ Screen reader announcements ------------------------ */
+// two live regions (index.html): polite for the run's news, assertive (urgent) for game over
+const HP_ANNOUNCE_MS = 2000; // at most one HP line this often; a change in between waits its turn
+let hpBand = null;           // the quarter of their HP this machine's player was last told about
+let hpAnnouncedAt = 0;
+
+function announce(text, urgent = false){
+  const el = urgent ? srAlertEl : srStatusEl;
+  el.textContent = '';
+  el.textContent = text; // cleared first, so the same words twice are still read
 }
 
-/* ------------------------ Particles / Effects ------------------------ */
-function spawnParticle(x,y,dx,dy,life,color,r){
-  particles.push({ x, y, dx, dy, life, age:0, color, r });
+// when the local player's HP moves into another quarter, e.g. "HP 40 of 100"
+function announceHp(s){
+  const p = s.player;
+  if(!s.started || s.over || benchCount || p.down) return;
+  const band = Math.ceil(Math.max(0, p.hp) / p.maxHp * 4);
+  if(hpBand === null) hpBand = band;
+  const now = performance.now();
+  if(band === hpBand || now - hpAnnouncedAt < HP_ANNOUNCE_MS) return;
+  hpBand = band; hpAnnouncedAt = now;
+  announce(`HP ${Math.max(0, Math.floor(p.hp))} of ${p.maxHp}`);
 }
-function spawnBlood(x,y,n=6){
-  for(let i=0;i<n;i++) spawnParticle(x, y, rand(-120,120), rand(-120,120), rand(500,900), '#b91c1c', rand(1.5,3.5));
+
+function toggleFire(slot){
+  if(!runLive() || paused) return;
+  fireLatch[slot] = !fireLatch[slot];
+  announce(`${localCoop() ? `Player ${slot + 1} ` : ''}auto-fire ${fireLatch[slot] ? 'on' : 'off'}`);
 }
-function spawnMuzzle(x,y,angle){
-  for(let i=0;i<4;i++){
-    const s = rand(120,260);
-    spawnParticle(x, y, Math.cos(angle + rand(-0.6,0.6)) * s, Math.sin(angle + rand(-0.6,0.6)) * s, rand(120,260), '#f59e0b', rand(2,4));
+
+/* ------------------------ Sim events -> audio ------------------------ */
+let banner = null; // { text, until (sim time) } shown at the top of the arena
+
+function handleEvents(){
+  for(const ev of sim.drainEvents()){
+    if(ev.type === 'sfx') audio.play(ev.name, ev);
+    if(ev.type === 'sfx' && ev.name === 'explosion') camera.shake(ev.kind === 'big' ? 18 : ev.kind === 'slam' ? 12 : 7, ev.x, ev.y);
+    if(ev.type === 'sfx' && ev.name === 'hurt' && ev.kind === 'boss') camera.shake(10);
+    if(ev.type === 'wave') banner = { text: ev.special || ev.level % 5 === 0 ? `Level ${ev.level}: ${ev.name}!` : `Level ${ev.level}`, until: sim.state.time + 1800 };
+    if(ev.type === 'purchase' && shopInRun) renderShop();
+    if(ev.type === 'gameover' && document.pointerLockElement && document.exitPointerLock) document.exitPointerLock();
+    if(ev.type === 'boss') banner = { text: ev.phase > 1 ? `${ev.name} — phase ${ev.phase}` : `${ev.name} approaches!`, until: sim.state.time + 2200 };
+    if(ev.type === 'down' && !sim.state.over) banner = { text: `Player ${ev.player + 1} is down — stand next to them to revive`, until: sim.state.time + 2500 };
+    if(ev.type === 'power') banner = { text: `${sim.state.players.length > 1 ? `P${ev.player + 1}: ` : ''}${ZS.POWERS[ev.key].name}!`, until: sim.state.time + 1500 };
+    if(ev.type === 'revive') banner = { text: `Player ${ev.player + 1} is back up`, until: sim.state.time + 1500 };
+    if(ev.type === 'damage') addDamageNumber(ev);
+    if(ev.type === 'wave') announce(banner.text);
+    if(ev.type === 'level') announce(`${ev.summary.name} cleared. Level ${ev.level} next`);
+    if(ev.type === 'boss') announce(banner.text);
+    if(ev.type === 'down') announce(`Player ${ev.player + 1} is down`, !sim.state.over);
+    if(ev.type === 'gameover') announce(`Game over. Score ${ev.score}, level ${ev.level}`, true);
+    // replays, online runs, editor test runs, the benchmark and runs the console changed never touch the save
+    if(playback || net || benchCount || editorMap || sim.state.dev) continue;
+    if(ev.type !== 'sfx') unlockAchievements(ev);
+    if(ev.type === 'level' && sim.state.mode.checkpoints) saveStore.save(ZS.checkpointRun(profile, sim));
+    if(ev.type === 'gameover'){
+      runRank = ZS.scoreRank(profile.highScores[ZS.scoreTable(sim.state.mode)], ev.score);
+      saveStore.save(ZS.finishRun(profile, sim));
+    }
   }
 }
 
-/* ------------------------ Pickups ------------------------ */
-function spawnPickup(x,y,type='coin',val=1){
-  pickups.push({ x, y, type, val, age:0 });
+/* ------------------------ Damage numbers ------------------------ */
+const DAMAGE_NUMBER_MS = 800;   // how long one rises before it's gone
+const DAMAGE_NUMBER_RISE = 36;  // px over that time
+let damageNumbers = [];         // { x, y, amount, color, at (sim time) }
+
+// hits landing on the same spot in the same tick (shotgun pellets) add up into one number
+function addDamageNumber(ev){
+  const at = sim.state.time;
+  const color = ev.status ? ZS.STATUS_EFFECTS[ev.status].color : ev.player != null ? '#ef4444' : '#f9fafb';
+  const same = damageNumbers.find(d => d.at === at && d.x === ev.x && d.y === ev.y && d.color === color);
+  if(same) same.amount += ev.amount;
+  else damageNumbers.push({ x: ev.x, y: ev.y, amount: ev.amount, color, at });
 }
 
-/* ------------------------ Utils: collisions ------------------------ */
-function circleRectCollision(cx,cy,cr,rx,ry,rw,rh){
-  const closestX = clamp(cx, rx, rx+rw);
-  const closestY = clamp(cy, ry, ry+rh);
-  const dx = cx - closestX; const dy = cy - closestY;
-  return (dx*dx + dy*dy) < (cr*cr);
+// sim time, so they pause with the game and a new run (or a replay's restart) sweeps them away
+function drawDamageNumbers(s){
+  damageNumbers = damageNumbers.filter(d => d.at <= s.time && s.time - d.at < DAMAGE_NUMBER_MS);
+  ctx.font = hudFont(13, true); ctx.textAlign = 'center';
+  ctx.strokeStyle = 'rgba(0,0,0,0.8)'; ctx.lineWidth = 3;
+  for(const d of damageNumbers){
+    const k = (s.time - d.at) / DAMAGE_NUMBER_MS, y = d.y - 4 - k * DAMAGE_NUMBER_RISE;
+    const text = d.amount >= 10 || Number.isInteger(d.amount) ? String(Math.round(d.amount)) : d.amount.toFixed(1);
+    ctx.globalAlpha = 1 - k * k;
+    ctx.strokeText(text, d.x, y);
+    ctx.fillStyle = d.color; ctx.fillText(text, d.x, y);
+  }
+  ctx.globalAlpha = 1;
 }
 
-/* ------------------------ Update Loop ------------------------ */
-let lastT = 0;
-let pickupSpawnTimer = 0;
+/* ------------------------ Drawing ------------------------ */
+// the accessibility settings' look: palette (accessibility.js), high contrast, HUD text size
+let palette = ZS.paletteOf(profile.settings.palette);
+const playerColor = (slot) => palette.players[slot];
+const highContrast = () => profile.settings.highContrast;
+const showMarks = () => profile.settings.markers || profile.settings.highContrast;
+const hudFont = (px, bold = false) => `${bold ? 'bold ' : ''}${Math.round(px * profile.settings.hudScale)}px Arial`;
+
+function applyDisplaySettings(){
+  palette = ZS.paletteOf(profile.settings.palette);
+  document.body.classList.toggle('high-contrast', highContrast());
+  document.documentElement.style.setProperty('--hud-scale', profile.settings.hudScale);
+}
 
-function update(ts){
-  if(!lastT) lastT = ts;
-  const dt = Math.min(0.05, (ts - lastT) / 1000);
-  lastT = ts;
+// an outline and the type's shape (enemies.js mark) in whichever ink shows on its colour
+function drawEnemyMark(e, color){
+  const def = ZS.ENEMIES[e.type], mark = def && ZS.MARKS[def.mark];
+  ctx.strokeStyle = highContrast() ? '#fff' : '#0b0b0b'; ctx.lineWidth = 2;
+  ctx.beginPath(); ctx.arc(e.x, e.y, e.r, 0, Math.PI*2); ctx.stroke();
+  if(!mark) return;
+  ctx.fillStyle = ZS.inkOn(color);
+  ctx.beginPath(); mark(ctx, e.x, e.y, e.r * 0.45); ctx.fill();
+}
 
-  if(!gameStarted){
-    requestAnimationFrame(update);
-    return;
+// a ring per status (damage.js) around a player or zombie at (0, 0), from radius `ring` out; the next free radius
+function drawStatusRings(t, ring, time){
+  for(const k in t.status){
+    const def = ZS.STATUS_EFFECTS[k];
+    if(!def) continue;
+    ctx.strokeStyle = def.color; ctx.lineWidth = 2;
+    ctx.globalAlpha = 0.6 + 0.3 * Math.sin(time / 90);
+    ctx.beginPath(); ctx.arc(0, 0, ring, 0, Math.PI*2); ctx.stroke();
+    ring += 4;
   }
+  ctx.globalAlpha = 1;
+  return ring;
+}
 
-  // auto-play bg music if exists
-  if(sounds.bg && sounds.bg.paused && !gameOver){ try{ sounds.bg.play(); } catch(e){} }
+// the world through the camera, then the view-fixed layer: off-screen markers, minimap, bars, overlays
+function draw(s){
+  ctx.setTransform(viewScale, 0, 0, viewScale, 0, 0);
+  ctx.fillStyle = '#0b0b0b';
+  ctx.fillRect(0,0,W,H);
+  ctx.save();
+  ctx.translate(-Math.round((camera.x + camera.ox) * viewScale) / viewScale, -Math.round((camera.y + camera.oy) * viewScale) / viewScale);
+  drawWorld(s);
+  if(debugOverlay) drawDebugWorld(s);
+  ctx.restore();
 
-  // movement input
-  let vx = 0, vy = 0;
-  if(keys['w'] || keys['arrowup']) vy -= 1;
-  if(keys['s'] || keys['arrowdown']) vy += 1;
-  if(keys['a'] || keys['arrowleft']) vx -= 1;
-  if(keys['d'] || keys['arrowright']) vx += 1;
-  const mag = Math.hypot(vx, vy) || 1;
-  player.x += (vx/mag) * player.speed * dt;
-  player.y += (vy/mag) * player.speed * dt;
-
-  // clamp inside canvas
-  player.x = clamp(player.x, player.r, W - player.r);
-  player.y = clamp(player.y, player.r, H - player.r);
-
-  // avoid walls (simple push-back)
-  for(const w of walls){
-    if(circleRectCollision(player.x, player.y, player.r, w.x, w.y, w.w, w.h)){
-      if(player.x < w.x) player.x = w.x - player.r - 1;
-      else if(player.x > w.x + w.w) player.x = w.x + w.w + player.r + 1;
-      if(player.y < w.y) player.y = w.y - player.r - 1;
-      else if(player.y > w.y + w.h) player.y = w.y + w.h + player.r + 1;
-    }
+  if(s.started){
+    drawOffscreenEnemies(s);
+    drawMinimap(s);
   }
+  drawBossBar(s);
+  if(debugOverlay) drawDebugStats(s);
 
-  // auto-fire while holding (desktop)
-  if(mouseDown) shootAtMouse();
+  if(paused){ ctx.fillStyle = 'rgba(0,0,0,0.4)'; ctx.fillRect(0,0,W,H); }
 
-  // update bullets
-  for(let i=bullets.length-1;i>=0;i--){
-    const b = bullets[i];
-    b.x += b.vx * dt; b.y += b.vy * dt;
-    // wall collisions
-    let hitWall = false;
-    for(const w of walls){
-      if(circleRectCollision(b.x, b.y, b.r, w.x, w.y, w.w, w.h)){ hitWall = true; break; }
-    }
-    if(hitWall){ if(b.rocket) explode(b.x,b.y,1.2); bullets.splice(i,1); continue; }
-    if(b.x < -40 || b.x > W+40 || b.y < -40 || b.y > H+40) { bullets.splice(i,1); continue; }
-  }
-
-  // update enemies
-  for(let i=enemies.length-1;i>=0;i--){
-    const e = enemies[i];
-    // spitter attack
-    if(e.type === 'spitter' && nowMs() - e.lastSpit > 1400){
-      const a = Math.atan2(player.y - e.y, player.x - e.x);
-      bullets.push({ x: e.x, y: e.y, vx: Math.cos(a)*220, vy: Math.sin(a)*220, r:5, dmg:1, from:'enemy' });
-      e.lastSpit = nowMs();
-    }
+  // the run's summary (#summary) goes on top
+  if(s.over){ ctx.fillStyle = 'rgba(0,0,0,0.7)'; ctx.fillRect(0,0,W,H); }
+}
 
-    // movement toward player
-    let dx = player.x - e.x, dy = player.y - e.y;
-    const len = Math.hypot(dx, dy) || 1;
-    e.x += (dx/len) * e.speed * dt;
-    e.y += (dy/len) * e.speed * dt;
-
-    // collision with player
-    if(Math.hypot(e.x - player.x, e.y - player.y) < e.r + player.r){
-      player.hp -= (e.type === 'tank' ? 12 : 6);
-      spawnBlood(player.x + rand(-6,6), player.y + rand(-6,6), 8);
-      if(e.type === 'bomber'){ explode(e.x, e.y, 1.0); enemies.splice(i,1); }
-      else { enemies.splice(i,1); }
-      playSfx('zombieDeath');
-      if(Math.random() < 0.5) spawnPickup(player.x, player.y, 'coin', 1 + Math.floor(Math.random()*3));
-    }
-  }
+// world px; what's well outside the view is skipped
+function drawWorld(s){
+  const seen = (x, y, r) => camera.inView(x, y, r + 40);
 
-  // bullets hitting enemies
-  for(let i=enemies.length-1;i>=0;i--){
-    const e = enemies[i];
-    for(let j=bullets.length-1;j>=0;j--){
-      const b = bullets[j];
-      if(b.from !== 'player') continue;
-      if(Math.hypot(e.x - b.x, e.y - b.y) < e.r + b.r){
-        e.hp -= b.dmg;
-        spawnBlood(b.x, b.y, 4);
-        bullets.splice(j,1);
-        if(e.hp <= 0){
-          // enemy died
-          const coinGain = (e.type === 'boss') ? 50 : (e.type === 'tank' ? 8 : 3 + Math.floor(Math.random()*3));
-          coins += coinGain;
-          score += (e.type === 'boss' ? 200 : 10);
-          spawnPickup(e.x, e.y, 'coin', coinGain);
-          if(e.type === 'bomber'){ explode(e.x, e.y, 1.0); }
-          enemies.splice(i,1);
-          playSfx('zombieDeath');
-        }
-        break;
-      }
-    }
-  }
+  // background; high contrast drops the floor decoration for plain black
+  ctx.fillStyle = highContrast() ? '#000' : sim.map.background;
+  ctx.fillRect(0,0,sim.map.width,sim.map.height);
 
-  // bullets hitting player (enemy projectiles)
-  for(let i=bullets.length-1;i>=0;i--){
-    const b = bullets[i];
-    if(b.from === 'enemy' && Math.hypot(b.x - player.x, b.y - player.y) < b.r + player.r){
-      player.hp -= 8;
-      spawnBlood(player.x, player.y, 6);
-      bullets.splice(i,1);
-    }
+  // floor decoration
+  if(!highContrast()) for(const t of sim.map.tiles){
+    if(t.x > camera.x + W || t.y > camera.y + H || t.x + t.w < camera.x || t.y + t.h < camera.y) continue;
+    ctx.fillStyle = t.color; ctx.fillRect(t.x, t.y, t.w, t.h);
   }
 
-  // update particles
-  for(let i=particles.length-1;i>=0;i--){
-    const p = particles[i];
-    p.age += dt*1000;
-    p.x += p.dx * dt; p.y += p.dy * dt;
-    if(p.age > p.life) particles.splice(i,1);
-  }
+  // walls
+  fillWalls(sim.walls);
 
   // pickups
-  for(let i=pickups.length-1;i>=0;i--){
-    const pk = pickups[i];
-    pk.age = (pk.age || 0) + dt*1000;
-    if(Math.hypot(pk.x - player.x, pk.y - player.y) < 20){
-      if(pk.type === 'coin') coins += pk.val;
-      if(pk.type === 'ammo'){
-        const w = weapons[currentWeaponKey];
-        if(w) w.ammo = Math.min(w.maxAmmo, w.ammo + 8);
-      }
-      pickups.splice(i,1);
+  for(const pk of s.pickups) if(seen(pk.x, pk.y, pk.r)) drawPickup(pk, s.time);
+
+  // boss telegraphs under the enemies
+  for(const e of s.enemies) if(e.attack) drawBossAttack(e, s.time);
+
+  // enemies: the type's draw hook (enemies.js) or a disc in its (palette) colour, and its shape marker
+  for(const e of s.enemies){
+    if(!seen(e.x, e.y, e.r)) continue;
+    const def = ZS.ENEMIES[e.type], color = ZS.enemyColor(palette, e);
+    if(def && def.draw) def.draw(ctx, e, s.time);
+    else {
+      ctx.beginPath();
+      ctx.arc(e.x, e.y, e.r, 0, Math.PI*2);
+      ctx.fillStyle = color; ctx.fill();
     }
+    if(showMarks()) drawEnemyMark(e, color);
+    // hp bar small
+    ctx.fillStyle = 'rgba(0,0,0,0.7)'; ctx.fillRect(e.x - e.r, e.y - e.r - 8, e.r*2, 6);
+    ctx.fillStyle = '#ef4444';
+    const hpW = Math.max(0, (e.hp / e.maxHp) * e.r*2);
+    ctx.fillRect(e.x - e.r, e.y - e.r - 8, hpW, 6);
+    if(e.status){ ctx.save(); ctx.translate(e.x, e.y); drawStatusRings(e, e.r + 3, s.time); ctx.restore(); }
   }
 
-  // spawn periodic pickups
-  pickupSpawnTimer += dt;
-  if(pickupSpawnTimer > 6){
-    if(Math.random() < 0.6) spawnPickup(rand(60, W-60), rand(60, H-60), 'coin', 1 + Math.floor(Math.random()*3));
-    pickupSpawnTimer = 0;
+  // bullets: the weapon's drawBullet hook (weapons.js) or a dot; with markers, the zombies' are outlined diamonds
+  for(const b of s.bullets){
+    const def = b.weapon && ZS.WEAPONS[b.weapon];
+    if(def && def.drawBullet){ def.drawBullet(ctx, b); continue; }
+    const enemy = b.from !== 'player';
+    ctx.beginPath();
+    if(enemy && showMarks()) ZS.MARKS.diamond(ctx, b.x, b.y, b.r * 1.6);
+    else ctx.arc(b.x, b.y, b.r, 0, Math.PI*2);
+    ctx.fillStyle = enemy ? palette.enemyBullet : palette.playerBullet; ctx.fill();
+    if(enemy && showMarks()){ ctx.strokeStyle = highContrast() ? '#fff' : '#0b0b0b'; ctx.lineWidth = 1.5; ctx.stroke(); }
   }
 
-  // level progression: if all enemies dead -> next level
-  if(enemies.length === 0 && gameStarted && !gameOver){
-    level++;
-    enemiesToSpawn += 2;
-    spawnWave();
-    coins += 5;
-    // refill some ammo for current weapon
-    const cw = weapons[currentWeaponKey];
-    if(cw) cw.ammo = Math.min(cw.maxAmmo, cw.ammo + Math.floor(cw.maxAmmo * 0.2));
-  }
+  // players
+  for(const player of s.players) drawPlayer(player, s);
 
-  // game over check
-  if(player.hp <= 0 && !gameOver){
-    gameOver = true;
-    playSfx('zombieDeath');
+  // particles
+  for(const p of s.particles){
+    if(!seen(p.x, p.y, p.r)) continue;
+    ctx.globalAlpha = 1 - (p.age / p.life);
+    ctx.fillStyle = p.color; ctx.beginPath(); ctx.arc(p.x, p.y, p.r, 0, Math.PI*2); ctx.fill();
+    ctx.globalAlpha = 1;
   }
 
-  // update UI
-  scoreEl && (scoreEl.textContent = `Score: ${score}`);
-  coinsEl && (coinsEl.textContent = `Coins: ${coins}`);
-  levelEl && (levelEl.textContent = `Level: ${level}`);
-  hpEl && (hpEl.textContent = `HP: ${Math.max(0, Math.floor(player.hp))}`);
-  weaponEl && (weaponEl.textContent = `Weapon: ${weapons[currentWeaponKey].name}`);
-  ammoEl && (ammoEl.textContent = `Ammo: ${weapons[currentWeaponKey].ammo}/${weapons[currentWeaponKey].maxAmmo}`);
+  drawDamageNumbers(s);
 
-  requestAnimationFrame(update);
+  // crosshair: the live aim (it replaces the cursor during a run) or the recorded one in a replay
+  canvas.classList.toggle('playing', runLive() && !paused);
+  if(runLive()) drawCrosshair(mouse.x, mouse.y);
+  else if(playback) drawCrosshair(s.player.aim.x, s.player.aim.y);
+  if(runLive() || playback){
+    for(const p of s.players) if(p !== s.player && !p.down) drawCrosshair(p.aim.x, p.aim.y, playerColor(p.slot));
+  }
 }
 
-/* ------------------------ Explosion ------------------------ */
-function explode(x,y,scale=1){
-  for(let i=0;i<40;i++){
-    spawnParticle(x, y, rand(-300,300), rand(-300,300), rand(400,900), '#fb923c', rand(2,5));
-  }
-  // damage enemies near explosion
-  const radius = 60 * scale;
-  for(let i=enemies.length-1;i>=0;i--){
-    const e = enemies[i];
-    if(Math.hypot(e.x - x, e.y - y) < radius + e.r){
-      e.hp -= 3 + level;
-      if(e.hp <= 0){ spawnPickup(e.x, e.y, 'coin', 3 + Math.floor(Math.random()*5)); enemies.splice(i,1); }
-    }
+function fillWalls(walls){
+  ctx.fillStyle = highContrast() ? '#e5e7eb' : '#1f2937';
+  for(const w of walls){
+    if(!w.points){ ctx.fillRect(w.x, w.y, w.w, w.h); continue; }
+    ctx.beginPath();
+    w.points.forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+    ctx.closePath(); ctx.fill();
   }
-  playSfx('explosion');
 }
 
-/* ------------------------ Drawing ------------------------ */
-function draw(){
-  // background
-  ctx.fillStyle = '#050406';
-  ctx.fillRect(0,0,W,H);
-
-  // walls
-  ctx.fillStyle = '#1f2937';
-  for(const w of walls) ctx.fillRect(w.x, w.y, w.w, w.h);
-
-  // pickups
-  for(const pk of pickups){
-    if(pk.type === 'coin'){ ctx.fillStyle = '#f59e0b'; ctx.beginPath(); ctx.arc(pk.x, pk.y, 8,0,Math.PI*2); ctx.fill(); }
-    if(pk.type === 'ammo'){ ctx.fillStyle = '#60a5fa'; ctx.fillRect(pk.x-6, pk.y-6, 12,12); }
+// an arrow on the view's edge for each zombie out of sight, pointing at it
+function drawOffscreenEnemies(s){
+  for(const e of s.enemies){
+    if(camera.inView(e.x, e.y, e.r)) continue;
+    const p = camera.edgePoint(e.x, e.y, 14), size = e.boss ? 14 : 8;
+    ctx.save();
+    ctx.translate(p.x, p.y); ctx.rotate(p.angle);
+    ctx.globalAlpha = e.boss ? 1 : 0.75;
+    ctx.fillStyle = ZS.enemyColor(palette, e);
+    ctx.beginPath(); ctx.moveTo(size, 0); ctx.lineTo(-size * 0.7, -size * 0.7); ctx.lineTo(-size * 0.7, size * 0.7); ctx.closePath(); ctx.fill();
+    ctx.restore();
   }
+}
 
-  // enemies
-  for(const e of enemies){
+// the whole map in the bottom-left corner: walls, pickups, zombies, players and the view's frame
+const MINIMAP_W = 180, MINIMAP_H = 120;
+function drawMinimap(s){
+  const map = sim.map, k = Math.min(MINIMAP_W / map.width, MINIMAP_H / map.height);
+  const mw = map.width * k, mh = map.height * k, mx = 12, my = H - mh - 12;
+  ctx.save();
+  ctx.fillStyle = 'rgba(0,0,0,0.6)'; ctx.fillRect(mx - 3, my - 3, mw + 6, mh + 6);
+  ctx.translate(mx, my); ctx.scale(k, k);
+  ctx.fillStyle = map.background; ctx.fillRect(0, 0, map.width, map.height);
+  ctx.fillStyle = '#4b5563';
+  for(const w of sim.walls){
+    if(!w.points){ ctx.fillRect(w.x, w.y, w.w, w.h); continue; }
     ctx.beginPath();
-    ctx.arc(e.x, e.y, e.r, 0, Math.PI*2);
-    ctx.fillStyle = e.color; ctx.fill();
-    // hp bar small
-    ctx.fillStyle = 'rgba(0,0,0,0.7)'; ctx.fillRect(e.x - e.r, e.y - e.r - 8, e.r*2, 6);
-    ctx.fillStyle = '#ef4444'; 
-    const hpMax = (e.type==='boss') ? (20 + level*4) : (e.type==='tank' ? (4+Math.floor(level/2)) : 1 + Math.floor(level/4));
-    const hpW = Math.max(0, (e.hp / hpMax) * e.r*2);
-    ctx.fillRect(e.x - e.r, e.y - e.r - 8, hpW, 6);
+    w.points.forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+    ctx.closePath(); ctx.fill();
   }
+  const dot = (x, y, r, color) => { ctx.fillStyle = color; ctx.fillRect(x - r / k, y - r / k, r * 2 / k, r * 2 / k); };
+  for(const pk of s.pickups){ const def = ZS.PICKUPS[pk.type]; if(def) dot(pk.x, pk.y, 1.5, def.color); }
+  for(const e of s.enemies) dot(e.x, e.y, e.boss ? 4 : 1.5, e.boss ? '#fde68a' : '#ef4444');
+  for(const p of s.players) dot(p.x, p.y, 3, p.down ? '#6b7280' : playerColor(p.slot));
+  ctx.strokeStyle = 'rgba(255,255,255,0.6)'; ctx.lineWidth = 1 / k;
+  ctx.strokeRect(camera.x, camera.y, W, H);
+  ctx.restore();
+}
 
-  // bullets
-  for(const b of bullets){
-    ctx.beginPath();
-    ctx.arc(b.x, b.y, b.r, 0, Math.PI*2);
-    ctx.fillStyle = (b.from === 'player' ? '#fbbf24' : '#ef4444'); ctx.fill();
+// coins are discs, the rest tiles with their icon (or the pickup's draw hook); blinking for their last seconds
+function drawPickup(pk, time){
+  const def = ZS.PICKUPS[pk.type];
+  if(!def) return;
+  if(pk.age > pk.life - ZS.BLINK_MS && Math.floor(time / 150) % 2) return;
+  if(def.draw){ def.draw(ctx, pk, time); return; }
+  ctx.fillStyle = def.color;
+  if(def.kind === 'coin'){ ctx.beginPath(); ctx.arc(pk.x, pk.y, pk.r, 0, Math.PI*2); ctx.fill(); return; }
+  if(def.kind === 'power'){
+    ctx.globalAlpha = 0.35 + 0.25 * Math.sin(time / 120);
+    ctx.beginPath(); ctx.arc(pk.x, pk.y, pk.r + 6, 0, Math.PI*2); ctx.fill();
+    ctx.globalAlpha = 1;
   }
+  ctx.fillRect(pk.x - pk.r, pk.y - pk.r, pk.r*2, pk.r*2);
+  ctx.fillStyle = '#0b1220'; ctx.font = 'bold 12px Arial'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+  ctx.fillText(def.icon, pk.x, pk.y + 1);
+  ctx.textBaseline = 'alphabetic';
+}
 
-  // player
+// downed players are greyed out with their revive progress around them; co-op tags each player
+function drawPlayer(player, s){
   ctx.save();
   ctx.translate(player.x, player.y);
-  ctx.beginPath(); ctx.arc(0,0,player.r,0,Math.PI*2); ctx.fillStyle = '#0ea5a4'; ctx.fill();
+  // flickers while it can't be hurt again after a hit
+  const hurt = !player.down && s.time < player.hurtUntil && Math.floor(s.time / 60) % 2;
+  ctx.globalAlpha = player.down ? 0.5 : hurt ? 0.35 : 1;
+  ctx.beginPath(); ctx.arc(0,0,player.r,0,Math.PI*2); ctx.fillStyle = player.down ? '#6b7280' : playerColor(player.slot); ctx.fill();
+  if(showMarks()){ ctx.strokeStyle = highContrast() ? '#fff' : '#0b0b0b'; ctx.lineWidth = 2; ctx.stroke(); }
+  ctx.globalAlpha = 1;
+  if(player.down && player.revive > 0){
+    ctx.strokeStyle = '#4ade80'; ctx.lineWidth = 4;
+    ctx.beginPath(); ctx.arc(0, 0, player.r + 6, -Math.PI/2, -Math.PI/2 + Math.PI*2 * player.revive / ZS.REVIVE_MS); ctx.stroke();
+  }
+  // a ring per active power, a grey one while armor lasts, and the statuses on them
+  let ring = player.r + 4;
+  if(player.armor > 0){
+    ctx.strokeStyle = ZS.PICKUPS.armor.color; ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.arc(0, 0, ring, 0, Math.PI*2); ctx.stroke();
+    ring += 4;
+  }
+  for(const k in player.powers){
+    ctx.strokeStyle = ZS.POWERS[k].color; ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.arc(0, 0, ring, 0, Math.PI*2); ctx.stroke();
+    ring += 4;
+  }
+  if(player.status) drawStatusRings(player, ring, s.time);
+  if(s.players.length > 1){
+    ctx.fillStyle = playerColor(player.slot); ctx.font = hudFont(12, true); ctx.textAlign = 'center';
+    ctx.fillText(player.down ? `P${player.slot + 1} DOWN` : `P${player.slot + 1}`, 0, -player.r - 6);
+  }
   ctx.restore();
+}
 
-  // particles
-  for(const p of particles){
-    ctx.globalAlpha = 1 - (p.age / p.life);
-    ctx.fillStyle = p.color; ctx.beginPath(); ctx.arc(p.x, p.y, p.r, 0, Math.PI*2); ctx.fill();
-    ctx.globalAlpha = 1;
+function drawCrosshair(x, y, color = '#f9fafb'){
+  ctx.strokeStyle = color; ctx.lineWidth = 1.5;
+  ctx.beginPath(); ctx.arc(x, y, 8, 0, Math.PI*2);
+  ctx.moveTo(x - 12, y); ctx.lineTo(x + 12, y);
+  ctx.moveTo(x, y - 12); ctx.lineTo(x, y + 12);
+  ctx.stroke();
+}
+
+// wind-ups show where the attack will land; k runs 0..1 until it does
+function drawBossAttack(e, time){
+  const a = e.attack;
+  const k = a.stage === 'windup' ? Math.min(1, (time - a.startAt) / (a.hitAt - a.startAt)) : 1;
+  ctx.save();
+  if(a.kind === 'slam'){
+    ctx.fillStyle = `rgba(239,68,68,${0.12 + 0.25*k})`;
+    ctx.beginPath(); ctx.arc(e.x, e.y, a.radius * k, 0, Math.PI*2); ctx.fill();
+    ctx.strokeStyle = 'rgba(239,68,68,0.8)'; ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.arc(e.x, e.y, a.radius, 0, Math.PI*2); ctx.stroke();
+  } else if(a.kind === 'charge'){
+    const len = a.spec.speed * a.spec.duration / 1000;
+    ctx.strokeStyle = `rgba(250,204,21,${a.stage === 'windup' ? 0.25 + 0.5*k : 0.2})`;
+    ctx.lineWidth = e.r * 2 * (a.stage === 'windup' ? k : 1);
+    ctx.lineCap = 'round';
+    ctx.beginPath(); ctx.moveTo(e.x, e.y); ctx.lineTo(e.x + Math.cos(a.angle)*len, e.y + Math.sin(a.angle)*len); ctx.stroke();
+  } else if(a.kind === 'radial' && a.stage === 'windup'){
+    ctx.fillStyle = '#ef4444';
+    const n = a.spec.bullets;
+    for(let i=0;i<n;i++){
+      const ang = a.angle + i / n * Math.PI * 2, d = e.r + 6 + 14*k;
+      ctx.beginPath(); ctx.arc(e.x + Math.cos(ang)*d, e.y + Math.sin(ang)*d, 3, 0, Math.PI*2); ctx.fill();
+    }
+  } else if(a.kind === 'summon' && a.stage === 'windup'){
+    ctx.strokeStyle = `rgba(192,132,252,${0.3 + 0.6*k})`; ctx.lineWidth = 4;
+    ctx.beginPath(); ctx.arc(e.x, e.y, e.r + 10 + 20*(1-k), 0, Math.PI*2); ctx.stroke();
+  }
+  ctx.restore();
+}
+
+// big health bar for the current boss, with phase marks, plus the phase banner
+function drawBossBar(s){
+  const boss = s.enemies.find(e => e.boss);
+  if(boss){
+    const bw = Math.min(520, W - 80), bx = (W - bw) / 2, by = 18;
+    ctx.fillStyle = 'rgba(0,0,0,0.7)'; ctx.fillRect(bx - 2, by - 2, bw + 4, 16);
+    ctx.fillStyle = '#dc2626'; ctx.fillRect(bx, by, bw * Math.max(0, boss.hp / boss.maxHp), 12);
+    ctx.fillStyle = '#fde68a';
+    for(const ph of ZS.BOSSES[boss.boss].phases) if(ph.at < 1) ctx.fillRect(bx + bw * ph.at - 1, by - 2, 2, 16);
+    ctx.fillStyle = '#fff'; ctx.font = hudFont(14); ctx.textAlign = 'center';
+    ctx.fillText(boss.name, W/2, by + 30);
   }
+  if(banner && s.time < banner.until){
+    ctx.fillStyle = highContrast() ? '#fff' : '#fca5a5'; ctx.font = hudFont(28, true); ctx.textAlign = 'center';
+    ctx.fillText(banner.text, W/2, 70 + 20 * profile.settings.hudScale);
+  }
+}
+
+/* ------------------------ HUD ------------------------ */
+function updateUI(){
+  const s = sim.state;
+  const coop = s.players.length > 1;
+  scoreEl && (scoreEl.textContent = `Score: ${s.score}`);
+  const split = coop && !s.coop.sharedCoins;
+  coinsEl && (coinsEl.textContent = !s.started ? `Coins: ${profile.coins}` : split ? `Coins: P1 ${s.players[0].coins} • P2 ${s.players[1].coins}` : `Coins: ${s.coins}`);
+  levelEl && (levelEl.textContent = `Level: ${s.level}`);
+  updateTimer(s);
+  // the main panel is this machine's player (online that can be player 2), the second the teammate's
+  playerHud(s.player, coop ? `P${s.player.slot + 1} ` : '', hpEl, weaponEl, ammoEl, powersEl);
+  p2HudEl.classList.toggle('hidden', !coop);
+  if(coop){ const mate = s.players.find(p => p !== s.player); playerHud(mate, `P${mate.slot + 1} `, p2HpEl, p2WeaponEl, p2AmmoEl, p2PowersEl); }
+  updateIntermission(s);
+  updateSummary(s);
+  announceHp(s);
+}
+
+// time attack's countdown, and its combo while a kill chain is going
+function updateTimer(s){
+  const mode = runMode(s);
+  timerEl.classList.toggle('hidden', !mode.timeLimit || !s.started);
+  if(!mode.timeLimit) return;
+  const left = Math.max(0, mode.timeLimit - s.time);
+  const combo = s.combo && s.time <= s.combo.until ? ZS.comboMul(s.combo.n) : 1;
+  timerEl.textContent = `Time: ${fmtDuration(left + 999)}${combo > 1 ? ` • Combo x${combo}` : ''}`;
+  timerEl.classList.toggle('low', left < 30000);
+}
+
+// one player's panel: hp and armor (or how far their revive is), weapon, ammo and running powers
+function playerHud(p, tag, hp, weapon, ammo, powers){
+  const w = p.weapons[p.currentWeaponKey];
+  hp && (hp.textContent = p.down ? `${tag}DOWN${p.revive ? ` (revive ${Math.floor(p.revive / ZS.REVIVE_MS * 100)}%)` : ''}`
+    : `${tag}HP: ${Math.max(0, Math.floor(p.hp))}${p.armor > 0 ? ` • Armor ${Math.ceil(p.armor)}` : ''}`);
+  weapon && (weapon.textContent = `${tag}Weapon: ${w.name}`);
+  const reserve = w.infiniteReserve ? '∞' : w.reserve;
+  ammo && (ammo.textContent = `Ammo: ${w.ammo}/${reserve}${p.reloading ? ' (reloading)' : ''}`);
+  if(powers) renderPowers(powers, p.powers, sim.state.time);
+}
+
+// one chip per running power: icon and seconds left
+function renderPowers(el, powers, time){
+  const left = (k) => Math.ceil((powers[k] - time) / 1000);
+  const keys = Object.keys(powers);
+  const shown = keys.map(k => `${k}:${left(k)}`).join();
+  if(el.dataset.shown === shown) return; // rebuild only when a second ticks over
+  el.dataset.shown = shown;
+  el.replaceChildren(...keys.map(k => {
+    const chip = document.createElement('span');
+    chip.className = 'power-chip';
+    chip.style.borderColor = ZS.POWERS[k].color;
+    chip.title = ZS.POWERS[k].name;
+    chip.textContent = `${ZS.POWERS[k].icon} ${left(k)}s`;
+    return chip;
+  }));
+}
+
+// summary of the wave just cleared and the countdown to the next one
+function updateIntermission(s){
+  const im = s.started && !s.over ? s.intermission : null;
+  if(!im && shopInRun) closeShop();
+  intermissionEl.classList.toggle('hidden', !im || shopInRun);
+  if(!im) return;
+  const sum = im.summary;
+  imTitleEl.textContent = `${sum.name} cleared!`;
+  imSummaryEl.textContent = `Kills ${sum.kills} • Coins +${sum.coins} • HP lost ${sum.hpLost} • ${sum.time}s`;
+  imCountdownEl.textContent = `Level ${s.level} in ${Math.ceil(Math.max(0, im.endsAt - s.time) / 1000)}`;
+  imButtonsEl.classList.toggle('hidden', !!playback);
+  imShopBtn.classList.toggle('hidden', !runMode(s).shop);
+}
+
+/* ------------------------ Stats & achievements ------------------------ */
+// the run's stats live on sim.state.stats (online: in the last snapshot); the profile keeps
+// lifetime totals and unlocked achievements. Replays, online runs and the benchmark unlock nothing
+let runUnlocks = []; // unlocked during the current run, for its summary
+let runRank = 0;     // where the run placed in its mode's high-score table (0: it didn't)
+
+function unlockAchievements(ev){
+  const s = sim.state;
+  const got = ZS.checkAchievements(profile.achievements, { ev, run: s.stats, life: profile.stats, over: s.over });
+  if(!got.length) return;
+  runUnlocks.push(...got);
+  saveStore.save(profile);
+  showToast(`Achievement unlocked: ${got.map(a => a.name).join(' • ')}`, 4000);
+}
 
-  // Game over overlay
-  if(gameOver){
-    ctx.fillStyle = 'rgba(0,0,0,0.7)'; ctx.fillRect(0,0,W,H);
-    ctx.fillStyle = 'red'; ctx.font = '48px Arial'; ctx.textAlign = 'center';
-    ctx.fillText('GAME OVER', W/2, H/2 - 20);
-    ctx.fillStyle = '#fff'; ctx.font = '20px Arial';
-    ctx.fillText(`Score: ${score}  Coins: ${coins}`, W/2, H/2 + 12);
-    ctx.fillText('Press ENTER to Restart', W/2, H/2 + 48);
+const fmtDuration = (ms) => {
+  const sec = Math.floor(ms / 1000), h = Math.floor(sec / 3600), m = Math.floor(sec / 60) % 60;
+  const ss = String(sec % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+};
+const fmtPercent = (v) => v == null ? '–' : `${Math.round(v * 100)}%`;
+const sumOf = (map) => Object.values(map).reduce((a, n) => a + n, 0);
+
+// weapon keys, enemy types and the other things kills and hits are counted under
+const STAT_LABELS = { explosion: 'Explosions', nuke: 'Nuke', contact: 'Run-ins', boss: 'Bosses', acid: 'Acid', burn: 'Burning', slow: 'Chill' };
+const statLabel = (k) => ZS.WEAPONS[k] ? ZS.WEAPONS[k].name : STAT_LABELS[k] || k[0].toUpperCase() + k.slice(1);
+
+function statTable(head, rows){
+  const table = document.createElement('table');
+  table.className = 'stat-table';
+  for(const cells of [head].concat(rows)){
+    const tr = table.insertRow();
+    cells.forEach((c, i) => {
+      const td = document.createElement(i === 0 || cells === head ? 'th' : 'td');
+      td.textContent = c;
+      tr.appendChild(td);
+    });
   }
+  return table;
+}
+
+// weapons (shots, accuracy, kills), kills by enemy and damage taken by source
+function statTables(st){
+  const weapons = [...new Set(Object.keys(st.shots).concat(Object.keys(st.killsBy)))];
+  const tables = [];
+  if(weapons.length) tables.push(statTable(['Weapon', 'Shots', 'Hit', 'Kills'],
+    weapons.map(k => [statLabel(k), st.shots[k] || '–', fmtPercent(ZS.accuracy(st, k)), st.killsBy[k] || 0])));
+  if(Object.keys(st.kills).length) tables.push(statTable(['Killed', ''], Object.keys(st.kills).map(k => [statLabel(k), st.kills[k]])));
+  const hurt = Object.keys(st.damage).filter(k => st.damage[k] >= 1);
+  if(hurt.length) tables.push(statTable(['Hurt by', 'HP'], hurt.map(k => [statLabel(k), Math.round(st.damage[k])])));
+  return tables;
+}
+
+const achievementsDone = () => ZS.ACHIEVEMENTS.filter(a => profile.achievements[a.id]).length;
+
+// shown once the run is over, built when it appears
+function updateSummary(s){
+  if(!s.started || !s.over || !s.stats || benchCount){ summaryEl.classList.add('hidden'); return; }
+  if(!summaryEl.classList.contains('hidden')) return;
+  const st = s.stats;
+  const local = !playback && !net && !editorMap;
+  const mode = runMode(s), timeUp = !!mode.timeLimit && s.time >= mode.timeLimit;
+  sumTitleEl.textContent = playback ? 'Replay finished' : timeUp ? "Time's up" : 'Game over';
+  sumHeadEl.textContent = `${mode.id !== 'classic' ? `${mode.name} • ` : ''}Score ${s.score} • Level ${st.level} • Survived ${fmtDuration(st.time)} • Coins earned ${st.coins} • Accuracy ${fmtPercent(ZS.accuracy(st))}`
+    + (local && runRank && s.score ? ` • ${runRank === 1 ? 'New high score!' : `#${runRank} in the table`}` : '');
+  sumTablesEl.replaceChildren(...statTables(st));
+  sumUnlocksEl.textContent = local && runUnlocks.length ? `New: ${runUnlocks.map(a => `★ ${a.name}`).join('  ')}` : '';
+  const life = profile.stats;
+  sumLifeEl.textContent = local ? `Lifetime: ${life.runs} run${life.runs === 1 ? '' : 's'} • ${sumOf(life.kills)} kills • ${fmtDuration(life.time)} played • Achievements ${achievementsDone()}/${ZS.ACHIEVEMENTS.length}` : '';
+  sumButtonsEl.classList.toggle('hidden', !!playback);
+  sumExportBtn.classList.toggle('hidden', !recorder);
+  summaryEl.classList.remove('hidden');
+}
+
+document.getElementById('sumAgainBtn').addEventListener('click', restartGame);
+sumExportBtn.addEventListener('click', exportReplay);
+document.getElementById('sumMenuBtn').addEventListener('click', quitToMenu);
+
+// lifetime totals and every achievement, from the menu
+function openStats(){
+  const life = profile.stats;
+  centerOverlay.classList.add('hidden');
+  statsDiv.classList.remove('hidden');
+  const head = document.createElement('div');
+  head.textContent = life.runs
+    ? `${life.runs} run${life.runs === 1 ? '' : 's'} • ${fmtDuration(life.time)} played • Best level ${profile.best.level} • ${sumOf(life.kills)} kills • Coins earned ${life.coins} • Accuracy ${fmtPercent(ZS.accuracy(life))}`
+    : 'No finished runs yet';
+  lifeStatsEl.replaceChildren(head, ...statTables(life));
+  renderScoreTables();
+  achCountEl.textContent = `${achievementsDone()}/${ZS.ACHIEVEMENTS.length}`;
+  achievementsEl.replaceChildren(...ZS.ACHIEVEMENTS.map(a => {
+    const el = document.createElement('div');
+    const at = profile.achievements[a.id];
+    el.className = 'achievement' + (at ? ' unlocked' : '');
+    el.textContent = `${at ? '★' : '☆'} ${a.name}`;
+    const desc = document.createElement('span');
+    desc.textContent = at ? `${a.desc} — ${new Date(at).toLocaleDateString()}` : a.desc;
+    el.appendChild(desc);
+    return el;
+  }));
+}
 
-  requestAnimationFrame(draw);
+// scores from before the presets were normal
+const difficultyName = (key) => (ZS.DIFFICULTIES[key] || ZS.DIFFICULTIES.normal).name;
+
+// a table per mode, the daily challenge's per day (the latest first)
+function renderScoreTables(){
+  const days = Object.keys(profile.highScores).filter(k => k.startsWith('daily:')).sort().reverse();
+  const tables = Object.keys(ZS.MODES).filter(id => id !== 'daily').map(id => [id, ZS.MODES[id].name])
+    .concat(days.map(k => [k, `Daily ${k.slice(6)}`]));
+  const pick = tables.some(([k]) => k === scoreTableSelect.value) ? scoreTableSelect.value : ZS.scoreTable(selectedMode());
+  scoreTableSelect.replaceChildren(...tables.map(([k, name]) => new Option(name, k)));
+  scoreTableSelect.value = tables.some(([k]) => k === pick) ? pick : 'classic';
+  const list = profile.highScores[scoreTableSelect.value] || [];
+  highScoresEl.replaceChildren(list.length
+    ? statTable(['#', 'Score', 'Level', 'Difficulty', 'Date'], list.map((e, i) => [i + 1, e.score, e.level, difficultyName(e.difficulty), e.date ? new Date(e.date).toLocaleDateString() : '–']))
+    : Object.assign(document.createElement('div'), { className: 'controls-hint', textContent: 'No runs yet' }));
 }
+scoreTableSelect.addEventListener('change', renderScoreTables);
+
+function closeStats(){
+  statsDiv.classList.add('hidden');
+  centerOverlay.classList.remove('hidden');
+}
+
+document.getElementById('statsBtn').addEventListener('click', openStats);
+document.getElementById('closeStats').addEventListener('click', closeStats);
 
 /* ------------------------ Shop UI ------------------------ */
+// menu purchases spend banked coins and carry into every future run; intermission
+// purchases are shop commands in the run's input (so replays repeat them) and are
+// banked with the run at the next checkpoint
+const fmtStat = (track, v) => track === 'reload' ? `${(v/1000).toFixed(2)}s`
+  : track === 'fireRate' ? `${Math.round(1000/v*10)/10}/s`
+  : track === 'blast' ? `${Math.round(60*v)}px` : `${v}`;
+
+let shopInRun = false;  // opened during an intermission: buys go to the sim through the input
+let pendingBuys = [];   // shop commands for the next tick while shopInRun
+let shopPlayer = 0;     // co-op: whose weapons (and coins) the intermission shop is showing
+
+// the wallet the shop shows: the run's during an intermission, else the banked profile
+const shopWallet = () => shopInRun ? sim.wallet(shopPlayer) : profile;
+
+function shopBuy(cmd){
+  if(shopInRun){ pendingBuys.push(Object.assign({ player: shopPlayer }, cmd)); return; } // re-rendered on the sim's purchase event
+  if(ZS.buy(profile, cmd)) saveStore.save(profile);
+  renderShop();
+  updateUI();
+}
+
+function shopButton(label, cost, cmd, wallet){
+  const btn = document.createElement('button');
+  btn.textContent = label;
+  btn.disabled = wallet.coins < cost;
+  btn.addEventListener('click', () => shopBuy(cmd));
+  return btn;
+}
+
 function renderShop(){
+  const wallet = shopWallet();
   shopItemsDiv.innerHTML = '';
-  shopItems.forEach(it=>{
+  // local co-op picks whose shop it is; online it is always your own
+  shopPlayersEl.classList.toggle('hidden', !(shopInRun && localCoop()));
+  for(const btn of shopPlayersEl.querySelectorAll('button')) btn.classList.toggle('active', +btn.dataset.player === shopPlayer);
+  const whose = shopInRun && coopRun() && !sim.state.coop.sharedCoins ? `Player ${shopPlayer + 1} coins` : 'Coins';
+  shopWalletEl && (shopWalletEl.textContent = `${whose}: ${wallet.coins}${shopInRun ? ' • next wave waits while you shop' : ''}`);
+  ZS.SHOP_ITEMS.forEach(it=>{
+    const base = ZS.WEAPONS[it.key];
+    const owned = wallet.owned.includes(it.key);
+    const tiers = wallet.upgrades[it.key] || {};
+    const stats = ZS.weaponStats(it.key, tiers);
     const wrapper = document.createElement('div');
     wrapper.className = 'shop-item';
-    wrapper.innerHTML = `<strong>${weapons[it.key].name}</strong><div>Price: ${it.price}</div>`;
-    const btn = document.createElement('button');
-    btn.textContent = weapons[it.key].owned ? 'Owned' : 'Buy';
-    btn.disabled = weapons[it.key].owned;
-    btn.addEventListener('click', ()=>{
-      if(coins >= it.price){
-        coins -= it.price;
-        weapons[it.key].owned = true;
-        renderShop();
-        updateUI();
-        alert(`${weapons[it.key].name} purchased! Press its hotkey to equip.`);
-      } else alert('Not enough coins');
-    });
-    wrapper.appendChild(btn);
+    wrapper.innerHTML = `<strong>${base.name}</strong>`;
+    if(!owned){
+      wrapper.insertAdjacentHTML('beforeend', `<div>Price: ${it.price}</div>`);
+      wrapper.appendChild(shopButton('Buy', it.price, { kind:'weapon', key: it.key }, wallet));
+      shopItemsDiv.appendChild(wrapper);
+      return;
+    }
+    // reserve ammo
+    const reserve = base.infiniteReserve ? '∞' : (wallet.reserve[it.key] != null ? wallet.reserve[it.key] : ZS.startingReserve(it.key));
+    wrapper.insertAdjacentHTML('beforeend', `<div>Magazine ${stats.maxAmmo} • Reserve ${reserve}</div>`);
+    if(!base.infiniteReserve){
+      wrapper.appendChild(shopButton(`+${stats.maxAmmo} ammo (${base.ammoPrice})`, base.ammoPrice, { kind:'ammo', key: it.key }, wallet));
+    }
+    // upgrade tracks: current tier, next tier's stat and its cost
+    const list = document.createElement('div');
+    list.className = 'upgrades';
+    for(const track of ZS.tracksFor(it.key)){
+      const def = ZS.UPGRADE_TRACKS[track];
+      const tier = tiers[track] || 0;
+      const row = document.createElement('div');
+      row.className = 'upgrade';
+      const now = fmtStat(track, stats[def.stat]);
+      if(tier >= def.max){
+        row.innerHTML = `<span>${def.label} ${tier}/${def.max}: ${now}</span><em>MAX</em>`;
+      } else {
+        const next = fmtStat(track, ZS.weaponStats(it.key, Object.assign({}, tiers, { [track]: tier + 1 }))[def.stat]);
+        const cost = ZS.upgradeCost(it.key, track, tier);
+        row.innerHTML = `<span>${def.label} ${tier}/${def.max}: ${now} → ${next}</span>`;
+        row.appendChild(shopButton(`${cost}`, cost, { kind:'upgrade', key: it.key, track }, wallet));
+      }
+      list.appendChild(row);
+    }
+    wrapper.appendChild(list);
     shopItemsDiv.appendChild(wrapper);
   });
 }
-shopBtn && shopBtn.addEventListener('click', ()=>{ shopDiv.classList.remove('hidden'); centerOverlay.classList.add('hidden'); renderShop(); });
-closeShopBtn && closeShopBtn.addEventListener('click', ()=>{ shopDiv.classList.add('hidden'); centerOverlay.classList.remove('hidden'); });
 
-/* ------------------------ UI / Start / Restart ------------------------ */
-startBtn && startBtn.addEventListener('click', ()=>{
+// from the menu the shop spends the bank; during an intermission it spends the run's coins
+function openShop(){
+  const s = sim.state;
+  shopInRun = !!(s.started && !s.over && s.intermission && !playback);
+  if(shopInRun && !runMode(s).shop) return;
+  pendingBuys = [];
+  shopPlayer = net ? sim.slot : 0;
+  shopDiv.classList.remove('hidden');
   centerOverlay.classList.add('hidden');
-  startGame();
+  renderShop();
+}
+function closeShop(){
+  shopDiv.classList.add('hidden');
+  if(!shopInRun) centerOverlay.classList.remove('hidden');
+  shopInRun = false;
+}
+shopBtn && shopBtn.addEventListener('click', openShop);
+imShopBtn.addEventListener('click', openShop);
+imReadyBtn.addEventListener('click', () => { pending.ready = true; });
+closeShopBtn && closeShopBtn.addEventListener('click', closeShop);
+for(const btn of shopPlayersEl.querySelectorAll('button')){
+  btn.addEventListener('click', () => { shopPlayer = +btn.dataset.player; renderShop(); });
+}
+
+/* ------------------------ UI / Start / Restart ------------------------ */
+startBtn && startBtn.addEventListener('click', ()=> startGame());
+continueBtn && continueBtn.addEventListener('click', ()=> startGame(true));
+resetProgressBtn && resetProgressBtn.addEventListener('click', ()=>{
+  if(!confirm('Reset all progress? Coins, weapons and best scores will be lost.')) return;
+  profile = saveStore.reset();
+  applyDisplaySettings();
+  renderMenu();
+  renderShop();
+  updateUI();
 });
 
-function startGame(){
-  gameStarted = true; gameOver = false; score = 0; coins = 0; level = 1; enemiesToSpawn = 6;
-  createPlayer();
-  // give basic weapon
-  weapons.pistol.owned = true;
-  // optionally start bg music
-  if(sounds.bg) try{ sounds.bg.play(); } catch(e){}
-  spawnWave();
-  requestAnimationFrame(update);
-  requestAnimationFrame(draw);
+// start overlay: continue only when a run was left mid-way
+function renderMenu(){
+  playersSelect.value = String(profile.settings.players);
+  coinsSelect.value = profile.settings.sharedCoins ? 'shared' : 'split';
+  coinsSelect.classList.toggle('hidden', profile.settings.players !== 2);
+  coopHintEl.classList.toggle('hidden', profile.settings.players !== 2);
+  continueBtn && continueBtn.classList.toggle('hidden', !profile.run);
+  if(continueBtn && profile.run) continueBtn.textContent = `Continue (Level ${profile.run.checkpoint.level})`;
+  const mode = selectedMode(), top = (profile.highScores[ZS.scoreTable(mode)] || [])[0];
+  const best = mode.id === 'classic' ? profile.best : top || { score: 0, level: 1 };
+  bestEl && (bestEl.textContent = `Best${mode.id === 'classic' ? '' : mode.id === 'daily' ? ' today' : ` (${ZS.MODES[mode.id].name})`}: ${best.score} pts • Level ${best.level} • Bank: ${profile.coins} coins`);
+  renderModeSelect();
+}
+
+// short notice at the bottom of the screen
+let toastTimer = null;
+function showToast(text, ms = 2500){
+  toastEl.textContent = text;
+  toastEl.classList.remove('hidden');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => toastEl.classList.add('hidden'), ms);
+}
+
+/* ------------------------ Pause menu ------------------------ */
+const runLive = () => sim.state.started && !sim.state.over && !playback && !benchCount;
+
+function pauseGame(){
+  if(paused || !runLive()) return;
+  paused = true;
+  mouseDown = false; mobileFire = false; fireLatch = [false, false];
+  if(document.pointerLockElement && document.exitPointerLock) document.exitPointerLock();
+  pauseRestartBtn.classList.toggle('hidden', !!net); // an online run restarts only once it's over
+  pauseMenu.classList.remove('hidden');
+}
+
+function resumeGame(){
+  if(!paused) return;
+  paused = false;
+  pauseMenu.classList.add('hidden');
+  settingsDiv.classList.add('hidden');
+  sim.resetClock(); // don't catch up on the time spent paused
+}
+
+// back to the title; the run can still be continued from its last checkpoint.
+// A test run goes back to the editor instead
+function quitToMenu(){
+  if(editorMap){ backToEditor(); return; }
+  resumeGame();
+  if(shopInRun) closeShop();
+  if(net){ leaveOnline(); return; }
+  recorder = null;
+  dropWeaponEdits();
+  sim.reset();
+  centerOverlay.classList.remove('hidden');
+  renderMenu();
+  updateUI();
+}
+
+document.getElementById('resumeBtn').addEventListener('click', resumeGame);
+const pauseRestartBtn = document.getElementById('pauseRestartBtn');
+pauseRestartBtn.addEventListener('click', () => { resumeGame(); restartGame(); });
+document.getElementById('quitBtn').addEventListener('click', quitToMenu);
+document.getElementById('pauseSettingsBtn').addEventListener('click', () => openSettings(pauseMenu));
+document.addEventListener('visibilitychange', () => { if(document.hidden) pauseGame(); });
+
+/* ------------------------ Settings ------------------------ */
+let settingsFrom = null; // the overlay to go back to
+
+function openSettings(from){
+  settingsFrom = from;
+  from.classList.add('hidden');
+  settingsDiv.classList.remove('hidden');
+  musicVolumeInput.value = profile.settings.musicVolume;
+  sfxVolumeInput.value = profile.settings.sfxVolume;
+  mouseSensitivityInput.value = profile.settings.mouseSensitivity;
+  mouseSensitivityValue.textContent = `${profile.settings.mouseSensitivity.toFixed(2)}x`;
+  aimAssistInput.checked = profile.settings.aimAssist;
+  if(!paletteSelect.options.length) paletteSelect.replaceChildren(...Object.keys(ZS.PALETTES).map(k => new Option(ZS.PALETTES[k].name, k)));
+  paletteSelect.value = ZS.PALETTES[profile.settings.palette] ? profile.settings.palette : 'standard';
+  markersInput.checked = profile.settings.markers;
+  highContrastInput.checked = profile.settings.highContrast;
+  hudScaleInput.min = ZS.HUD_SCALES[0]; hudScaleInput.max = ZS.HUD_SCALES[1];
+  hudScaleInput.value = profile.settings.hudScale;
+  hudScaleValue.textContent = `${Math.round(profile.settings.hudScale * 100)}%`;
+  toggleFireInput.checked = profile.settings.toggleFire;
+  bindingMsg.textContent = '';
+  renderBindings();
+}
+
+function closeSettings(){
+  rebinding = null;
+  settingsDiv.classList.add('hidden');
+  if(settingsFrom) settingsFrom.classList.remove('hidden');
+  renderKeyHints();
+}
+
+function setSetting(name, value){
+  profile.settings[name] = value;
+  saveStore.save(profile);
+}
+
+musicVolumeInput.addEventListener('input', () => {
+  setSetting('musicVolume', parseFloat(musicVolumeInput.value));
+  audio.setVolumes(profile.settings.musicVolume, profile.settings.sfxVolume);
+});
+sfxVolumeInput.addEventListener('input', () => {
+  setSetting('sfxVolume', parseFloat(sfxVolumeInput.value));
+  audio.setVolumes(profile.settings.musicVolume, profile.settings.sfxVolume);
+});
+sfxVolumeInput.addEventListener('change', () => audio.play('shoot'));
+mouseSensitivityInput.addEventListener('input', () => {
+  setSetting('mouseSensitivity', parseFloat(mouseSensitivityInput.value));
+  mouseSensitivityValue.textContent = `${profile.settings.mouseSensitivity.toFixed(2)}x`;
+});
+aimAssistInput.addEventListener('change', () => setSetting('aimAssist', aimAssistInput.checked));
+paletteSelect.addEventListener('change', () => { setSetting('palette', paletteSelect.value); applyDisplaySettings(); });
+markersInput.addEventListener('change', () => setSetting('markers', markersInput.checked));
+highContrastInput.addEventListener('change', () => { setSetting('highContrast', highContrastInput.checked); applyDisplaySettings(); });
+hudScaleInput.addEventListener('input', () => {
+  setSetting('hudScale', parseFloat(hudScaleInput.value));
+  hudScaleValue.textContent = `${Math.round(profile.settings.hudScale * 100)}%`;
+  applyDisplaySettings();
+});
+// a trigger left latched would keep firing with nothing to turn it off
+toggleFireInput.addEventListener('change', () => { setSetting('toggleFire', toggleFireInput.checked); fireLatch = [false, false]; });
+document.getElementById('closeSettings').addEventListener('click', closeSettings);
+document.getElementById('settingsBtn').addEventListener('click', () => openSettings(centerOverlay));
+document.getElementById('resetBindingsBtn').addEventListener('click', () => {
+  profile.settings.keys = {};
+  saveStore.save(profile);
+  bindings = ZS.resolveBindings(profile.settings.keys);
+  bindingMsg.textContent = 'Controls reset to defaults';
+  renderBindings();
+});
+
+// one row per action, a button per key slot; click a slot, then press the new key
+function renderBindings(){
+  bindingsDiv.innerHTML = '';
+  for(const a of ZS.ACTIONS){
+    const row = document.createElement('div');
+    row.className = 'binding';
+    row.innerHTML = `<span>${a.label}</span>`;
+    bindings[a.id].forEach((key, slot) => {
+      const btn = document.createElement('button');
+      const waiting = rebinding && rebinding.action === a.id && rebinding.slot === slot;
+      btn.textContent = waiting ? 'Press a key…' : ZS.keyLabel(key);
+      btn.classList.toggle('waiting', !!waiting);
+      btn.addEventListener('click', () => {
+        rebinding = { action: a.id, slot };
+        bindingMsg.textContent = 'Press a key (Esc cancels, Backspace clears)';
+        renderBindings();
+      });
+      row.appendChild(btn);
+    });
+    bindingsDiv.appendChild(row);
+  }
+}
+
+function captureBinding(k){
+  const { action, slot } = rebinding;
+  rebinding = null;
+  if(k === 'escape'){ bindingMsg.textContent = ''; renderBindings(); return; }
+  const key = (k === 'backspace' || k === 'delete') ? null : k;
+  const clash = key && ZS.findConflict(bindings, action, key);
+  if(clash){
+    bindingMsg.textContent = `${ZS.keyLabel(key)} is already bound to "${ZS.ACTION_BY_ID[clash].label}"; change that first`;
+  } else {
+    bindings[action][slot] = key;
+    profile.settings.keys[action] = bindings[action].slice();
+    saveStore.save(profile);
+    bindingMsg.textContent = '';
+  }
+  renderBindings();
+}
+
+// on-screen hints follow the bindings
+function renderKeyHints(){
+  const first = (action) => ZS.keyLabel(bindings[action].find(k => k) || null);
+  const move = ['up', 'left', 'down', 'right'].map(first).join('');
+  controlsHintEl && (controlsHintEl.textContent = `${move} to move • ${first('weapon1')}-${first(`weapon${Object.keys(ZS.WEAPONS).length}`)} / ${first('nextWeapon')} weapons • ${first('reload')} reload • ${first('pause')} pause • ${first('confirm')} start / restart`);
+  imShopBtn.textContent = `Shop (${first('shop')})`;
+  imReadyBtn.textContent = `Next wave (${first('confirm')})`;
+  replayHintEl && (replayHintEl.textContent = `${first('replayPause')} pause • ${first('replayStep')} step • ${first('replaySpeed')} speed • ${first('replayStop')} stop`);
+  const p2move = ['p2up', 'p2left', 'p2down', 'p2right'].map(first).join('');
+  coopHintEl.textContent = `Player 2: ${p2move} move • ${first('p2fire')} fire • ${first('p2reload')} reload • ${first('p2nextWeapon')} weapon — or a gamepad`;
+}
+
+function startGame(resume = false){
+  if(!onlineDiv.classList.contains('hidden')){ netSend({ type: 'start' }); return; } // the host starts the room
+  centerOverlay.classList.add('hidden');
+  beginRun(resume);
 }
 
 function restartGame(){
-  gameOver = false; player.hp = player.maxHp; score = 0; coins = 0; level = 1; enemiesToSpawn = 6;
-  bullets = []; enemies = []; particles = []; pickups = [];
-  spawnWave();
-  requestAnimationFrame(update);
+  if(net){ netSend({ type: 'restart' }); return; }
+  beginRun();
+}
+
+// a continued run is always classic, and so is a test run; the daily challenge's seed and arena are the day's
+function beginRun(resume = false){
+  const mode = resume || editorMap ? null : selectedMode();
+  const daily = mode && mode.id === 'daily' ? ZS.dailyChallenge(mode.day) : null;
+  const seed = daily ? daily.seed : newSeed();
+  const loadout = ZS.loadoutFor(profile, resume, mode);
+  // a continued run goes back to the arena it was saved on; a test run plays the editor's map
+  let map = editorMap || (daily ? ZS.getBuiltinMap(daily.map) : selectedMap());
+  if(loadout.checkpoint){
+    try { map = ZS.loadMap(loadout.checkpoint.map); } catch(err){ console.warn(err.message); }
+  }
+  if(map !== sim.map) useMap(map);
+  runUnlocks = [];
+  runRank = 0;
+  timeScale = 1;
+  fireLatch = [false, false];
+  hpBand = null;
+  dropWeaponEdits();
+  sim.start(seed, loadout);
+  recorder = ZS.createRecorder(seed, { map: ZS.mapToJSON(map), loadout });
+}
+
+playersSelect.addEventListener('change', () => { setSetting('players', parseInt(playersSelect.value, 10)); renderMenu(); });
+coinsSelect.addEventListener('change', () => setSetting('sharedCoins', coinsSelect.value === 'shared'));
+
+/* ------------------------ Game modes ------------------------ */
+// the mode picked on the start overlay, as it goes into the loadout (modes.js); the daily one is today's
+function selectedMode(){
+  const id = ZS.MODES[profile.settings.mode] ? profile.settings.mode : 'classic';
+  if(id === 'oneWeapon') return { id, weapon: ZS.WEAPONS[profile.settings.modeWeapon] ? profile.settings.modeWeapon : 'pistol' };
+  if(id === 'daily') return { id, day: ZS.dayOf() };
+  return { id };
+}
+
+// the rules the shown run plays by; online runs are classic (their snapshots carry no mode)
+const runMode = (s) => s.mode || ZS.resolveMode(null);
+
+function renderModeSelect(){
+  const mode = selectedMode();
+  if(!modeSelect.options.length) modeSelect.replaceChildren(...Object.keys(ZS.MODES).map(id => new Option(ZS.MODES[id].name, id)));
+  modeSelect.value = mode.id;
+  modeWeaponSelect.classList.toggle('hidden', mode.id !== 'oneWeapon');
+  if(mode.id === 'oneWeapon'){
+    modeWeaponSelect.replaceChildren(...Object.keys(ZS.WEAPONS).map(k => new Option(ZS.WEAPONS[k].label || ZS.WEAPONS[k].name, k)));
+    modeWeaponSelect.value = mode.weapon;
+  }
+  // the daily challenge is the same for everyone, so it's always normal
+  if(!difficultySelect.options.length) difficultySelect.replaceChildren(...Object.keys(ZS.DIFFICULTIES).map(k => new Option(ZS.DIFFICULTIES[k].name, k)));
+  const difficulty = ZS.resolveMode(mode, profile.settings.difficulty).difficulty;
+  difficultySelect.value = difficulty;
+  difficultySelect.disabled = mode.id === 'daily';
+  let desc = ZS.MODES[mode.id].desc;
+  if(mode.id === 'daily'){
+    const d = ZS.dailyChallenge(mode.day), m = ZS.resolveMode(mode);
+    const mods = d.modifiers.map(k => `${ZS.MODIFIERS[k].name} (${ZS.MODIFIERS[k].desc})`).join(', ');
+    desc += ` Today (${d.day}): ${ZS.getBuiltinMap(d.map).name} with the ${ZS.WEAPONS[d.weapon].name}; ${mods}; score x${m.scoreMul}.`;
+  }
+  if(difficulty !== 'normal') desc += ` ${ZS.DIFFICULTIES[difficulty].name}: ${ZS.DIFFICULTIES[difficulty].desc}`;
+  modeDescEl.textContent = desc;
+  // the daily challenge brings its own arena
+  mapSelect && (mapSelect.disabled = mode.id === 'daily');
+}
+
+modeSelect.addEventListener('change', () => { setSetting('mode', modeSelect.value); renderMenu(); });
+modeWeaponSelect.addEventListener('change', () => { setSetting('modeWeapon', modeWeaponSelect.value); renderMenu(); });
+difficultySelect.addEventListener('change', () => { setSetting('difficulty', difficultySelect.value); renderMenu(); });
+
+/* ------------------------ Maps ------------------------ */
+function renderMapSelect(){
+  if(!mapSelect) return;
+  const maps = ZS.BUILTIN_MAPS.concat(customMap ? [customMap] : []);
+  mapSelect.innerHTML = '';
+  for(const m of maps){
+    const opt = document.createElement('option');
+    opt.value = m.id; opt.textContent = m.name;
+    mapSelect.appendChild(opt);
+  }
+  mapSelect.value = selectedMap().id;
+}
+
+// keep custom ids apart from the built-ins
+function addCustomMap(map){
+  customMap = map;
+  if(ZS.BUILTIN_MAPS.some(m => m.id === customMap.id)) customMap.id = 'custom:' + customMap.id;
+}
+
+function chooseMap(id){
+  profile.settings.map = id;
+  saveStore.save(profile);
+  useMap(selectedMap());
+  renderMapSelect();
+}
+
+mapSelect && mapSelect.addEventListener('change', () => chooseMap(mapSelect.value));
+loadMapBtn && loadMapBtn.addEventListener('click', () => mapFileInput.click());
+mapFileInput && mapFileInput.addEventListener('change', () => {
+  const file = mapFileInput.files[0];
+  if(!file) return;
+  file.text().then((text) => {
+    try { addCustomMap(ZS.loadMap(text)); }
+    catch(err){ alert(err.message); return; }
+    chooseMap(customMap.id);
+  });
+  mapFileInput.value = '';
+});
+
+/* ------------------------ Replays ------------------------ */
+function exportReplay(){
+  if(!recorder) return;
+  const data = recorder.toJSON();
+  downloadJSON(data, `zombie-replay-${data.seed}.json`);
+}
+
+function downloadJSON(data, name){
+  const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+function startReplay(data){
+  try { playback = ZS.createPlayback(data); }
+  catch(err){ alert(err.message); return; }
+  let map;
+  try { map = playback.replay.map ? ZS.loadMap(playback.replay.map) : ZS.getBuiltinMap(ZS.DEFAULT_MAP_ID); }
+  catch(err){ playback = null; alert(err.message); return; }
+  recorder = null;
+  replayPaused = false; replaySpeed = 1;
+  centerOverlay.classList.add('hidden');
+  replayBar.classList.remove('hidden');
+  useMap(map);
+  dropWeaponEdits();
+  sim.start(playback.replay.seed, playback.replay.loadout);
+  updateReplayBar();
+}
+
+function stopReplay(){
+  playback = null;
+  replayBar.classList.add('hidden');
+  centerOverlay.classList.remove('hidden');
+  useMap(selectedMap());
+  renderMenu();
+}
+
+function setReplayPaused(p){
+  replayPaused = p;
+  if(!p) sim.resetClock();
+  updateReplayBar();
+}
+
+function stepReplay(){
+  if(!playback || !replayPaused) return;
+  const input = playback.next();
+  if(input) sim.step(input);
+  updateReplayBar();
+}
+
+function cycleReplaySpeed(){
+  replaySpeed = REPLAY_SPEEDS[(REPLAY_SPEEDS.indexOf(replaySpeed) + 1) % REPLAY_SPEEDS.length];
+  updateReplayBar();
+}
+
+function updateReplayBar(){
+  if(!playback) return;
+  const secs = (t) => (t * ZS.TICK_MS / 1000).toFixed(1);
+  replayStatusEl.textContent = `Replay ${secs(playback.tick)}s / ${secs(playback.replay.ticks)}s${playback.done ? ' (end)' : ''}`;
+  replayPauseBtn.textContent = replayPaused ? 'Play' : 'Pause';
+  replaySpeedBtn.textContent = `${replaySpeed}x`;
+}
+
+// Space pause • . step (paused) • F speed • Esc stop
+function replayKey(k, e){
+  for(const action of ZS.actionsForKey(bindings, k, 'replay')){
+    if(action === 'replayPause'){ e.preventDefault(); setReplayPaused(!replayPaused); }
+    else if(action === 'replayStep') stepReplay();
+    else if(action === 'replaySpeed') cycleReplaySpeed();
+    else if(action === 'replayStop') stopReplay();
+  }
+}
+
+loadReplayBtn && loadReplayBtn.addEventListener('click', () => replayFileInput.click());
+replayFileInput && replayFileInput.addEventListener('change', () => {
+  const file = replayFileInput.files[0];
+  if(!file) return;
+  file.text().then(startReplay);
+  replayFileInput.value = '';
+});
+replayPauseBtn && replayPauseBtn.addEventListener('click', () => setReplayPaused(!replayPaused));
+replayStepBtn && replayStepBtn.addEventListener('click', stepReplay);
+replaySpeedBtn && replaySpeedBtn.addEventListener('click', cycleReplaySpeed);
+replayStopBtn && replayStopBtn.addEventListener('click', stopReplay);
+
+/* ------------------------ Online co-op ------------------------ */
+// server/server.js runs the room's sim; here sim is a ZS.createClientSim that sends our input
+// and draws the server's snapshots. The room code and token are kept for the tab's session,
+// so a dropped connection or a reload rejoins the same run.
+const NET_SESSION_KEY = 'zs.online';
+const sessionStore = (() => { try { return window.sessionStorage; } catch(e){ return null; } })();
+
+const newNet = (url) => ({ url, ws: null, code: null, slot: 0, token: null, players: [], leaving: false, lostAt: 0, retry: 0 });
+
+function netSend(msg){
+  if(net && net.ws && net.ws.readyState === WebSocket.OPEN) net.ws.send(JSON.stringify(msg));
+}
+
+// the server that served the page, or a local one when opened from a file
+const defaultServerUrl = () => location.host ? `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}` : 'ws://localhost:8080';
+
+function openOnline(){
+  centerOverlay.classList.add('hidden');
+  onlineDiv.classList.remove('hidden');
+  if(!serverUrlInput.value) serverUrlInput.value = defaultServerUrl();
+  onlineMsgEl.textContent = '';
+  renderOnline();
+}
+
+function closeOnline(){
+  if(net) leaveOnline();
+  onlineDiv.classList.add('hidden');
+  centerOverlay.classList.remove('hidden');
+}
+
+function renderOnline(){
+  const inRoom = !!(net && net.code);
+  onlineJoinEl.classList.toggle('hidden', inRoom);
+  lobbyEl.classList.toggle('hidden', !inRoom);
+  if(!inRoom) return;
+  lobbyCodeEl.textContent = net.code;
+  lobbyStartBtn.classList.toggle('hidden', net.slot !== 0);
+  const who = net.players.map(p => `Player ${p.slot + 1}${p.slot === 0 ? ' (host)' : ''}${p.slot === net.slot ? ' — you' : ''}${p.connected ? '' : ' (reconnecting…)'}`);
+  lobbyPlayersEl.textContent = `${who.join(' • ')}${net.slot === 0 ? '' : ' — waiting for the host to start'}`;
+}
+
+// first message on a fresh connection: create, join or rejoin
+function connectOnline(hello){
+  onlineMsgEl.textContent = '';
+  if(net && net.ws.readyState === WebSocket.OPEN){ netSend(hello); return; } // e.g. another code after a wrong one
+  if(net) return; // still connecting
+  net = newNet(serverUrlInput.value.trim() || defaultServerUrl());
+  openSocket(hello);
+}
+
+function openSocket(hello){
+  let ws;
+  try { ws = new WebSocket(net.url); }
+  catch(err){ onlineMsgEl.textContent = err.message; net = null; return; }
+  net.ws = ws;
+  ws.onopen = () => ws.send(JSON.stringify(hello));
+  ws.onmessage = (e) => { if(net && net.ws === ws) onNetMessage(JSON.parse(e.data)); };
+  ws.onclose = () => { if(net && net.ws === ws) onNetClose(); };
+}
+
+function onNetMessage(msg){
+  if(msg.type === 'snap'){
+    sim.receive(msg);
+    if(msg.waiting.length) banner = { text: `Waiting for player ${msg.waiting.map(i => i + 1).join(' & ')} to reconnect…`, until: msg.time + 1000 };
+  } else if(msg.type === 'joined'){
+    // keep the client sim across a reconnect; a new room (or a new slot in the lobby) gets a fresh one
+    const fresh = !sim.receive || net.slot !== msg.slot;
+    Object.assign(net, { code: msg.code, slot: msg.slot, token: msg.token, retry: 0 });
+    if(sessionStore) sessionStore.setItem(NET_SESSION_KEY, JSON.stringify({ url: net.url, code: net.code, token: net.token }));
+    if(fresh){
+      try { useMap(ZS.loadMap(msg.map), { slot: msg.slot }); }
+      catch(err){ leaveOnline(err.message); return; }
+    }
+    if(net.lostAt){ net.lostAt = 0; showToast('Reconnected'); }
+    if(msg.started) enterOnlineRun();
+    else renderOnline();
+  } else if(msg.type === 'lobby'){
+    net.players = msg.players;
+    renderOnline();
+  } else if(msg.type === 'start'){
+    enterOnlineRun();
+  } else if(msg.type === 'error'){
+    // outside a room it's a refused create/join; inside one the run is gone
+    if(net.code) leaveOnline(msg.message);
+    else onlineMsgEl.textContent = msg.message;
+  }
+}
+
+function enterOnlineRun(){
+  onlineDiv.classList.add('hidden');
+  centerOverlay.classList.add('hidden');
+}
+
+// retry with backoff for as long as the server keeps our place
+function onNetClose(){
+  if(net.leaving) return;
+  if(!net.code){ onlineMsgEl.textContent = `Can't reach ${net.url}`; net = null; return; }
+  if(!net.lostAt){ net.lostAt = Date.now(); showToast('Connection lost — reconnecting…', 4000); }
+  if(Date.now() - net.lostAt > ZS.RECONNECT_MS){ leaveOnline('Lost the connection to the server'); return; }
+  const session = net;
+  setTimeout(() => {
+    if(net === session) openSocket({ type: 'rejoin', version: ZS.NET_VERSION, code: net.code, token: net.token });
+  }, Math.min(5000, 500 * 2 ** net.retry++));
+}
+
+// back to the menu and a local sim
+function leaveOnline(message){
+  if(!net) return;
+  netSend({ type: 'leave' });
+  net.leaving = true;
+  if(net.ws) net.ws.close();
+  net = null;
+  if(sessionStore) sessionStore.removeItem(NET_SESSION_KEY);
+  if(shopInRun) closeShop();
+  resumeGame();
+  useMap(selectedMap());
+  onlineDiv.classList.add('hidden');
+  centerOverlay.classList.remove('hidden');
+  renderMenu();
+  updateUI();
+  if(message) showToast(message, 4000);
+}
+
+function joinRoom(){
+  const code = ZS.normRoomCode(roomCodeInput.value);
+  if(!code){ onlineMsgEl.textContent = `Room codes are ${ZS.ROOM_CODE_LENGTH} letters`; return; }
+  connectOnline({ type: 'join', version: ZS.NET_VERSION, code });
+}
+
+// the host's arena, weapons and coin rule are the room's
+document.getElementById('onlineBtn').addEventListener('click', openOnline);
+document.getElementById('createRoomBtn').addEventListener('click', () => connectOnline({
+  type: 'create', version: ZS.NET_VERSION, map: ZS.mapToJSON(selectedMap()),
+  loadout: ZS.loadoutFor(profile), options: { sharedCoins: profile.settings.sharedCoins },
+}));
+document.getElementById('joinRoomBtn').addEventListener('click', joinRoom);
+roomCodeInput.addEventListener('keydown', (e) => { if(e.key === 'Enter') joinRoom(); });
+lobbyStartBtn.addEventListener('click', () => netSend({ type: 'start' }));
+document.getElementById('onlineBackBtn').addEventListener('click', closeOnline);
+
+// a reload mid-game picks the run back up
+function resumeOnline(){
+  let saved = null;
+  try { saved = JSON.parse(sessionStore && sessionStore.getItem(NET_SESSION_KEY)); } catch(e){}
+  if(!saved || !saved.code) return;
+  openOnline();
+  serverUrlInput.value = saved.url;
+  net = Object.assign(newNet(saved.url), { code: saved.code, token: saved.token, lostAt: Date.now() });
+  openSocket({ type: 'rejoin', version: ZS.NET_VERSION, code: saved.code, token: saved.token });
+}
+
+/* ------------------------ Level editor ------------------------ */
+// src/editor.js holds the map being edited; here it gets a toolbar, mouse and keys and is drawn
+// on the canvas with its own scrolling view. T test-plays the map (a normal run that never
+// touches the save) and goes back to editing; leaving keeps a valid, changed map as the custom arena
+const EDITOR_MARGIN = 80;   // px the view can scroll past the map's edges (off-screen spawn zones)
+const EDITOR_PAN = 700;     // px/s with the movement keys
+let editorView = { x: 0, y: 0 };
+let editorMsg = '';         // the last problem (a map that won't load), until the next change
+
+const editing = () => !!editor && !editorMap;
+const editorPoint = () => ({ x: cursor.x + editorView.x, y: cursor.y + editorView.y });
+
+function openEditor(doc = ZS.mapToJSON(selectedMap())){
+  editor = ZS.createEditor(doc);
+  editorMsg = '';
+  centerOverlay.classList.add('hidden');
+  editorDiv.classList.remove('hidden');
+  canvas.classList.add('editing');
+  const d = editor.doc;
+  editorView = { x: (d.width - W) / 2, y: (d.height - H) / 2 };
+  panEditor(0);
+  renderEditor();
+}
+
+function closeEditor(){
+  if(editor.canUndo()){
+    try { addCustomMap(editor.validate()); chooseMap(customMap.id); } catch(err){}
+  }
+  editor = null;
+  editorDiv.classList.add('hidden');
+  canvas.classList.remove('editing');
+  if(sim.map !== selectedMap()) useMap(selectedMap());
+  centerOverlay.classList.remove('hidden');
+  renderMenu();
+  updateUI();
+}
+
+function testEditorMap(){
+  try { editorMap = editor.validate(); }
+  catch(err){ editorMsg = err.message; renderEditor(); return; }
+  editorDiv.classList.add('hidden');
+  canvas.classList.remove('editing');
+  beginRun();
+  showToast(`Testing ${editorMap.name} — ${ZS.keyLabel(bindings.editorTest[0])} goes back to the editor`);
+}
+
+function backToEditor(){
+  resumeGame();
+  if(shopInRun) closeShop();
+  editorMap = null;
+  recorder = null;
+  sim.reset();
+  if(document.pointerLockElement && document.exitPointerLock) document.exitPointerLock();
+  editorDiv.classList.remove('hidden');
+  canvas.classList.remove('playing');
+  canvas.classList.add('editing');
+  updateUI();
+  renderEditor();
+}
+
+// true when the key belongs to the editor; while test-playing only its test key does
+function editorKey(k, e){
+  const actions = ZS.actionsForKey(bindings, k, 'editor');
+  if(editorMap){
+    if(!actions.includes('editorTest')) return false;
+    backToEditor();
+    return true;
+  }
+  const mod = e.ctrlKey || e.metaKey;
+  if(mod && k === 'z'){ e.preventDefault(); e.shiftKey ? editor.redo() : editor.undo(); }
+  else if(mod && k === 'y'){ e.preventDefault(); editor.redo(); }
+  else if(actions.includes('editorTest')) testEditorMap();
+  else if(actions.includes('editorDelete')){ e.preventDefault(); editor.deleteSelected(); }
+  else if(k >= '1' && k <= String(ZS.EDITOR_TOOLS.length)) editor.setTool(ZS.EDITOR_TOOLS[k - 1]);
+  else if(k === 'escape') closeEditor();
+  if(editor) renderEditor();
+  return true;
+}
+
+// the movement keys scroll; the view stays around the map (centred when it all fits)
+function panEditor(dt){
+  const d = editor.doc, v = editorView;
+  const step = EDITOR_PAN * dt;
+  if(held('left')) v.x -= step;
+  if(held('right')) v.x += step;
+  if(held('up')) v.y -= step;
+  if(held('down')) v.y += step;
+  const fit = (pos, size, view) => size + EDITOR_MARGIN * 2 <= view ? (size - view) / 2 : Math.max(-EDITOR_MARGIN, Math.min(size + EDITOR_MARGIN - view, pos));
+  v.x = fit(v.x, d.width, W);
+  v.y = fit(v.y, d.height, H);
+}
+
+// toolbar state and a line about the selection (or the tool in hand)
+function renderEditor(){
+  const d = editor.doc;
+  for(const btn of editorDiv.querySelectorAll('[data-tool]')) btn.classList.toggle('active', btn.dataset.tool === editor.tool);
+  edUndoBtn.disabled = !editor.canUndo();
+  edRedoBtn.disabled = !editor.canRedo();
+  const sel = editor.selection;
+  edDeleteBtn.disabled = !sel || sel.kind === 'start';
+  edGridSelect.value = editor.grid;
+  if(document.activeElement !== edNameInput) edNameInput.value = d.name;
+  if(document.activeElement !== edWidthInput) edWidthInput.value = d.width;
+  if(document.activeElement !== edHeightInput) edHeightInput.value = d.height;
+  edMsgEl.textContent = editorMsg || describeSelection();
+}
+
+const TOOL_HINTS = {
+  select: 'Click to select, drag to move, drag a corner to resize • Delete removes • Ctrl+Z / Ctrl+Y • arrows/WASD scroll',
+  wall: 'Drag out a wall', spawn: 'Drag out a spawn zone (a click makes a single spawn point)',
+  pickup: 'Click to add a pickup point', start: 'Click where the player starts',
+};
+
+function describeSelection(){
+  const sel = editor.selection, it = editor.selected();
+  if(!it) return TOOL_HINTS[editor.tool];
+  if(sel.kind === 'wall') return it.points ? `Wall #${sel.index}: polygon, ${it.points.length} points` : `Wall #${sel.index}: ${it.w}×${it.h} at (${it.x}, ${it.y})`;
+  if(sel.kind === 'zone') return `Spawn zone "${it.name}": ${it.w}×${it.h} at (${it.x}, ${it.y})${it.types ? ` • only ${it.types.join(', ')}` : ''}${it.weight && it.weight !== 1 ? ` • weight ${it.weight}` : ''}`;
+  if(sel.kind === 'pickup') return `Pickup point at (${it.x}, ${it.y})`;
+  return `Player start at (${it.x}, ${it.y})`;
+}
+
+// the map being edited, its grid, spawn zones, pickup points and start, and the selection
+function drawEditor(){
+  const d = editor.doc;
+  ctx.setTransform(viewScale, 0, 0, viewScale, 0, 0);
+  ctx.fillStyle = '#0b0b0b';
+  ctx.fillRect(0,0,W,H);
+  ctx.save();
+  ctx.translate(-editorView.x, -editorView.y);
+
+  ctx.fillStyle = d.background || '#050406';
+  ctx.fillRect(0, 0, d.width, d.height);
+  for(const t of d.tiles){ ctx.fillStyle = t.color; ctx.fillRect(t.x, t.y, t.w, t.h); }
+
+  // grid lines (every fourth one on the finest grid)
+  if(editor.grid){
+    const g = editor.grid < 20 ? editor.grid * 4 : editor.grid;
+    ctx.strokeStyle = 'rgba(255,255,255,0.06)'; ctx.lineWidth = 1;
+    ctx.beginPath();
+    for(let x = 0; x <= d.width; x += g){ ctx.moveTo(x, 0); ctx.lineTo(x, d.height); }
+    for(let y = 0; y <= d.height; y += g){ ctx.moveTo(0, y); ctx.lineTo(d.width, y); }
+    ctx.stroke();
+  }
+  ctx.strokeStyle = '#4b5563'; ctx.lineWidth = 2;
+  ctx.strokeRect(0, 0, d.width, d.height);
+
+  fillWalls(d.walls);
+
+  // spawn zones: flat ones are lines, point ones a dot
+  ctx.font = '11px Arial'; ctx.textAlign = 'left';
+  for(const z of d.spawnZones){
+    ctx.fillStyle = 'rgba(239,68,68,0.15)'; ctx.strokeStyle = 'rgba(239,68,68,0.8)'; ctx.lineWidth = 3;
+    if(z.w && z.h){ ctx.fillRect(z.x, z.y, z.w, z.h); ctx.lineWidth = 1; ctx.strokeRect(z.x, z.y, z.w, z.h); }
+    else if(z.w || z.h){ ctx.beginPath(); ctx.moveTo(z.x, z.y); ctx.lineTo(z.x + z.w, z.y + z.h); ctx.stroke(); }
+    else { ctx.beginPath(); ctx.arc(z.x, z.y, 5, 0, Math.PI*2); ctx.stroke(); }
+    ctx.fillStyle = '#fca5a5';
+    ctx.fillText(z.name, z.x + 4, z.y - 4);
+  }
+
+  // pickup points and the player start
+  ctx.fillStyle = '#60a5fa';
+  for(const p of d.pickupPoints){
+    ctx.beginPath(); ctx.moveTo(p.x, p.y - 8); ctx.lineTo(p.x + 8, p.y); ctx.lineTo(p.x, p.y + 8); ctx.lineTo(p.x - 8, p.y); ctx.closePath(); ctx.fill();
+  }
+  const st = d.playerStart;
+  ctx.beginPath(); ctx.arc(st.x, st.y, 16, 0, Math.PI*2);
+  ctx.fillStyle = playerColor(0); ctx.fill();
+  ctx.fillStyle = '#fff'; ctx.font = '12px Arial'; ctx.textAlign = 'center';
+  ctx.fillText('P1', st.x, st.y + 4);
+
+  // the wall or zone being dragged out
+  const pre = editor.preview();
+  if(pre){
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = pre.tool === 'wall' ? '#9ca3af' : '#ef4444'; ctx.lineWidth = 2;
+    ctx.strokeRect(pre.rect.x, pre.rect.y, pre.rect.w, pre.rect.h);
+    ctx.setLineDash([]);
+  }
+
+  const b = editor.selectionBounds();
+  if(b){
+    ctx.strokeStyle = '#facc15'; ctx.lineWidth = 2;
+    ctx.strokeRect(b.x - 2, b.y - 2, b.w + 4, b.h + 4);
+    ctx.fillStyle = '#facc15';
+    for(const h of editor.handles()) ctx.fillRect(h.x - 4, h.y - 4, 8, 8);
+  }
+  ctx.restore();
+}
+
+const mapSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'my-map';
+
+// name, size and grid from the toolbar; sizes stay within what the loader accepts
+function clampMapSize(input, fallback){
+  const v = parseInt(input.value, 10);
+  return isFinite(v) ? Math.max(200, Math.min(ZS.MAX_MAP_SIZE, v)) : fallback;
+}
+edNameInput.addEventListener('change', () => {
+  const name = edNameInput.value.trim() || 'My map';
+  editor.edit(d => { d.name = name; d.id = mapSlug(name); });
+  edNameInput.blur();
+  renderEditor();
+});
+edWidthInput.addEventListener('change', () => { editor.edit(d => { d.width = clampMapSize(edWidthInput, d.width); }); edWidthInput.blur(); renderEditor(); });
+edHeightInput.addEventListener('change', () => { editor.edit(d => { d.height = clampMapSize(edHeightInput, d.height); }); edHeightInput.blur(); renderEditor(); });
+for(const g of ZS.GRID_SIZES){
+  const opt = document.createElement('option');
+  opt.value = g; opt.textContent = g ? `${g}px` : 'Off';
+  edGridSelect.appendChild(opt);
+}
+edGridSelect.addEventListener('change', () => { editor.setGrid(parseInt(edGridSelect.value, 10)); edGridSelect.blur(); });
+
+// any change clears the last error
+const editorAction = (fn) => () => { editorMsg = ''; fn(); renderEditor(); };
+for(const btn of editorDiv.querySelectorAll('[data-tool]')) btn.addEventListener('click', editorAction(() => editor.setTool(btn.dataset.tool)));
+edUndoBtn.addEventListener('click', editorAction(() => editor.undo()));
+edRedoBtn.addEventListener('click', editorAction(() => editor.redo()));
+edDeleteBtn.addEventListener('click', editorAction(() => editor.deleteSelected()));
+document.getElementById('edTest').addEventListener('click', testEditorMap);
+document.getElementById('edNew').addEventListener('click', editorAction(() => editor.load(ZS.blankMap())));
+document.getElementById('edClose').addEventListener('click', closeEditor);
+document.getElementById('editorBtn').addEventListener('click', () => openEditor());
+
+// exported maps load from the menu's "Load map file…" too; ones with problems go out anyway, with a warning
+document.getElementById('edExport').addEventListener('click', () => {
+  const data = editor.toJSON();
+  downloadJSON(data, `${data.id || 'map'}.json`);
+  try { editor.validate(); editorMsg = ''; }
+  catch(err){ editorMsg = `Exported, but it won't load until this is fixed — ${err.message}`; }
+  renderEditor();
+});
+document.getElementById('edImport').addEventListener('click', () => edFileInput.click());
+edFileInput.addEventListener('change', () => {
+  const file = edFileInput.files[0];
+  if(!file) return;
+  file.text().then((text) => {
+    try { editor.load(ZS.mapToJSON(ZS.loadMap(text))); editorMsg = ''; }
+    catch(err){ editorMsg = err.message; }
+    renderEditor();
+  });
+  edFileInput.value = '';
+});
+
+/* ------------------------ Benchmark scene (?bench=2000) ------------------------ */
+const benchCount = parseInt(new URLSearchParams(location.search).get('bench'), 10) || 0;
+let fps = 0, frameMs = 0, lastFrameAt = 0;
+
+// crowd the arena and keep the player alive to watch collision cost at scale
+function startBench(){
+  centerOverlay.classList.add('hidden');
+  sim.start(newSeed(), { owned: Object.keys(ZS.WEAPONS) });
+  recorder = null;
+  const s = sim.state;
+  s.player.maxHp = s.player.hp = Infinity;
+  s.player.currentWeaponKey = 'machine';
+  const types = ['normal', 'fast', 'spitter', 'tank', 'bomber'];
+  for(let i=0;i<benchCount;i++){
+    const e = sim.spawnEnemy(types[i % types.length]);
+    e.x = Math.random() * sim.map.width; e.y = Math.random() * sim.map.height;
+  }
+}
+
+function drawBenchStats(s){
+  ctx.fillStyle = '#fff'; ctx.font = '14px Arial'; ctx.textAlign = 'left';
+  ctx.fillText(`${fps.toFixed(0)} fps • enemies ${s.enemies.length} • bullets ${s.bullets.length} • particles ${s.particles.length}`, 12, H - 12);
+}
+
+/* ------------------------ Debug overlay & developer console ------------------------ */
+const devConsoleEl = document.getElementById('devConsole');
+const devLogEl = document.getElementById('devLog');
+const devInput = document.getElementById('devInput');
+const DEV_LOG_LINES = 60;
+const DEV_HISTORY = 30;
+let debugOverlay = false;
+let timeScale = 1;       // the console's game speed for a live run (sim.advance scale)
+let devHistory = [], devHistoryAt = 0;
+
+function devAction(action){
+  if(action === 'devOverlay') debugOverlay = !debugOverlay;
+  else if(action === 'devConsole') toggleConsole();
+}
+
+// while it's open the keys go to the console, so nothing is left held down in the game
+function toggleConsole(open = devConsoleEl.classList.contains('hidden')){
+  devConsoleEl.classList.toggle('hidden', !open);
+  if(!open){ devInput.blur(); return; }
+  for(const k in keys) keys[k] = false;
+  mouseDown = false;
+  if(document.pointerLockElement && document.exitPointerLock) document.exitPointerLock();
+  devInput.focus();
+}
+
+function devLog(text, cls = ''){
+  for(const line of String(text).split('\n')){
+    const div = document.createElement('div');
+    div.className = cls; div.textContent = line;
+    devLogEl.appendChild(div);
+  }
+  while(devLogEl.childNodes.length > DEV_LOG_LINES) devLogEl.firstChild.remove();
+  devLogEl.scrollTop = devLogEl.scrollHeight;
+}
+
+// the console's weapon edits belong to the run they were made in (devtools.js)
+function dropWeaponEdits(){
+  const keys = ZS.resetWeaponEdits();
+  if(keys.length) devLog(`Weapon edits undone: ${keys.join(', ')}`);
+}
+
+// commands act on the run being played (or the idle arena behind the menu); a run they change
+// isn't recorded any more, as its replay couldn't repeat them
+function runDevCommand(line){
+  if(!line.trim()) return;
+  devHistory = devHistory.filter(l => l !== line).concat([line]).slice(-DEV_HISTORY);
+  devHistoryAt = devHistory.length;
+  devLog(`> ${line}`, 'cmd');
+  if(playback){ devLog('Not during a replay', 'err'); return; }
+  try {
+    const out = ZS.runCommand(line, { sim, at: mouse, timeScale, setTimeScale: (k) => { timeScale = k; sim.resetClock(); } });
+    if(out) devLog(out);
+  } catch(err){ devLog(err.message, 'err'); }
+  if(sim.state.dev) recorder = null;
+  updateUI();
+  if(shopInRun) renderShop();
+}
+
+devInput.addEventListener('keydown', (e) => {
+  const k = ZS.normKey(e.key);
+  if(k === 'escape' || ZS.actionsForKey(bindings, k, 'dev').includes('devConsole')){ e.preventDefault(); toggleConsole(false); return; }
+  if(k === 'enter'){ runDevCommand(devInput.value); devInput.value = ''; return; }
+  if(k === 'arrowup' || k === 'arrowdown'){
+    e.preventDefault();
+    devHistoryAt = Math.max(0, Math.min(devHistory.length, devHistoryAt + (k === 'arrowup' ? -1 : 1)));
+    devInput.value = devHistory[devHistoryAt] || '';
+  }
+});
+
+// world px: walls, every hitbox, and a line from each zombie to the player it's after
+function drawDebugWorld(s){
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = '#facc15';
+  for(const w of sim.walls){
+    if(!w.points){ ctx.strokeRect(w.x, w.y, w.w, w.h); continue; }
+    ctx.beginPath();
+    w.points.forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+    ctx.closePath(); ctx.stroke();
+  }
+  const circle = (c, color) => { ctx.strokeStyle = color; ctx.beginPath(); ctx.arc(c.x, c.y, c.r, 0, Math.PI*2); ctx.stroke(); };
+  ctx.globalAlpha = 0.4; ctx.strokeStyle = '#f87171';
+  ctx.beginPath();
+  for(const e of s.enemies) if(e.target){ ctx.moveTo(e.x, e.y); ctx.lineTo(e.target.x, e.target.y); }
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+  for(const e of s.enemies) circle(e, '#f87171');
+  for(const b of s.bullets) circle(b, b.from === 'player' ? '#fde047' : '#fb923c');
+  for(const pk of s.pickups) circle(pk, '#4ade80');
+  for(const p of s.players) circle(p, '#38bdf8');
+}
+
+// view px, right side under the HUD
+function drawDebugStats(s){
+  const lines = [
+    `${fps.toFixed(0)} fps • ${frameMs.toFixed(1)} ms/frame`,
+    `enemies ${s.enemies.length} • bullets ${s.bullets.length} • particles ${s.particles.length} • pickups ${s.pickups.length}`,
+    `tick ${s.tick} • level ${s.level} • time x${timeScale}${s.dev && s.dev.god ? ' • god' : ''}`,
+  ];
+  if(s.dev) lines.push('console run: not saved or recorded');
+  ctx.font = '12px monospace'; ctx.textAlign = 'right';
+  ctx.fillStyle = 'rgba(0,0,0,0.6)';
+  ctx.fillRect(W - 12 - 380, 90, 380, lines.length * 16 + 8);
+  ctx.fillStyle = '#e5e7eb';
+  lines.forEach((l, i) => ctx.fillText(l, W - 18, 106 + i * 16));
+  ctx.textAlign = 'left';
+}
+
+/* ------------------------ Main loop ------------------------ */
+function frame(ts){
+  const dt = lastFrameAt ? Math.min(0.1, (ts - lastFrameAt) / 1000) : 0;
+  if(lastFrameAt) fps = fps * 0.9 + (1000 / Math.max(1, ts - lastFrameAt)) * 0.1;
+  const frameStart = performance.now();
+  lastFrameAt = ts;
+  pollGamepads();
+  if(editing()){
+    panEditor(dt);
+    updateAudio(sim.state);
+    drawEditor();
+    requestAnimationFrame(frame);
+    return;
+  }
+  const s = sim.state;
+  if(playback){
+    if(!replayPaused){
+      sim.advance(() => playback.next(), replaySpeed);
+      if(playback.done) setReplayPaused(true);
+    }
+    handleEvents();
+    updateUI();
+    updateReplayBar();
+  } else if(s.started && (!paused || net)){
+    // an online run can't pause: the server hears that nothing is pressed
+    sim.advance(paused ? () => ZS.NO_INPUT : readInput, timeScale);
+    handleEvents();
+    updateUI();
+  }
+  const focus = focusOf(sim.state);
+  camera.follow(focus.x, focus.y, dt);
+  if(aimSource === 'mouse') mouse = camera.toWorld(cursor.x, cursor.y);
+  updateAudio(sim.state);
+  draw(sim.state);
+  if(benchCount) drawBenchStats(sim.state);
+  frameMs = frameMs * 0.9 + (performance.now() - frameStart) * 0.1;
+  requestAnimationFrame(frame);
 }
 
-/* ------------------------ Init & helpers ------------------------ */
-pickupSpawnTimer = 0;
+/* ------------------------ Init ------------------------ */
+applyDisplaySettings();
 renderShop(); // pre-render
-spawnWave();
-requestAnimationFrame(draw);
-
-/* ------------------------ Notes ------------------------
-- The code is intentionally balanced for demo; tweak numbers near top for difficulty.
-- Fixes: single declaration of enemiesToSpawn, consistent function names, no duplicate lets.
-- Mobile joystick is minimal here; you can swap in a full joystick library or expand the touch handlers.
-- If you want full-file zip (with sample audio), tell me and I will generate it.
---------------------------------------------------------- */
\ No newline at end of file
+renderMapSelect();
+renderMenu();
+renderKeyHints();
+updateUI();
+if(benchCount) startBench();
+else resumeOnline();
+requestAnimationFrame(frame);
@@ -0,0 +1,59 @@
+/* mods/example.js - an example mod: a flamethrower, a zombie that splits in two and a coin jackpot
+   In the browser, load it after src/ and before game.js (see index.html); for online play start
+   the server with it too: node server/server.js 8080 --mod mods/example.js
+   Everything goes through the registries (src/weapons.js, src/enemies.js, src/pickups.js), whose
+   headers list what a definition can have; the built-in weapons and zombies are defined the same way.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) factory(Object.assign({}, require('../src/weapons.js'), require('../src/pickups.js'), require('../src/enemies.js')));
+  else factory(root.ZS);
+})(this, function(ZS){
+'use strict';
+
+const { registerWeapon, registerEnemy, registerPickup } = ZS;
+
+const FLAME_MS = 450;
+
+// short-lived flames in a cone that set zombies on fire; a 'shot' weapon, so it gets the pellets and spread upgrades
+registerWeapon('flamer', {
+  name:'Flamer', label:'Flamethrower', maxAmmo:80, damage:0.4, fireRate:50, reload:1800,
+  type:'shot', pellets:2, spread:0.25, status:'burn', price:180, ammoPrice:16, hotkey:'8', sound:'smg',
+  fire(f, w){
+    for(let i=0;i<w.pellets;i++) f.bullet(f.angle + f.rand(-w.spread, w.spread), f.rand(260, 340), 5, { ttl: FLAME_MS });
+  },
+  drawBullet(ctx, b){
+    const k = b.ttl != null ? Math.max(0, b.ttl / FLAME_MS) : 0.6;
+    ctx.globalAlpha = 0.35 + 0.5 * k;
+    ctx.fillStyle = k > 0.5 ? '#fde047' : '#f97316';
+    ctx.beginPath(); ctx.arc(b.x, b.y, b.r + (1 - k) * 6, 0, Math.PI*2); ctx.fill();
+    ctx.globalAlpha = 1;
+  },
+});
+
+// worth a lot of coins, and it flies to you like they do
+registerPickup('jackpot', {
+  r:10, life:10000, color:'#facc15', icon:'$', magnet:true, sound:'powerup',
+  collect: (p, pk, api) => { api.addCoins(p, pk.val); },
+});
+
+// a slow, tough zombie that falls apart into two runners
+registerEnemy('splitter', {
+  name:'Splitter', color:'#0d9488', r:22, speed:42, hp: (level) => 3 + Math.floor(level/3),
+  cost:2.5, mix:{ from:5, weight:0.08 }, coins:6, sound:'tank', mark:'diamond',
+  drops:{ chance:0.25, items:[ { type:'jackpot', weight:1, val:25 }, { type:'ammo', weight:2, val:1 } ] },
+  die(e, api){
+    for(let i=0;i<2;i++){
+      const m = api.spawnEnemy('fast');
+      const a = e.flank * Math.PI / 2 + i * Math.PI;
+      m.x = e.x + Math.cos(a) * e.r; m.y = e.y + Math.sin(a) * e.r;
+      api.pushOutOfWalls(m);
+    }
+  },
+  draw(ctx, e){
+    ctx.fillStyle = e.color;
+    ctx.beginPath(); ctx.arc(e.x, e.y, e.r, 0, Math.PI*2); ctx.fill();
+    ctx.strokeStyle = '#042f2e'; ctx.lineWidth = 3;
+    ctx.beginPath(); ctx.moveTo(e.x, e.y - e.r); ctx.lineTo(e.x, e.y + e.r); ctx.stroke();
+  },
+});
+});
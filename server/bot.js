@@ -0,0 +1,99 @@
+/* server/bot.js - headless online player, for trying the server without a second browser
+   Usage: node server/bot.js [url=ws://localhost:8080] [room code] [seconds=60]
+   Without a code it creates a room (and starts it once someone joins, or after 10s alone);
+   with one it joins that room. It wanders around, shoots at the nearest zombie, readies up
+   between waves, restarts after game over; a joining bot drops its connection once, 20s
+   in, to exercise reconnects.
+*/
+const ws = require('./ws.js');
+const { NET_VERSION, normRoomCode } = require('../src/net.js');
+const { TICK_MS } = require('../src/sim.js');
+
+const [url = 'ws://localhost:8080', codeArg = '', seconds = '60'] = process.argv.slice(2);
+const endAt = Date.now() + Number(seconds) * 1000;
+const DROP_AFTER_MS = 20000; // one deliberate disconnect this long into the run
+
+let conn = null, code = normRoomCode(codeArg), token = null, slot = 0, seq = 0;
+let started = false, dropped = false, startedAt = 0, lastSnap = null, snaps = 0;
+const log = (msg) => console.log(`[bot${code ? ' ' + code : ''}] ${msg}`);
+
+async function open(first){
+  conn = await ws.connect(url);
+  conn.on('message', onMessage);
+  conn.on('close', onClose);
+  if(first) conn.send(JSON.stringify(code ? { type: 'join', version: NET_VERSION, code } : { type: 'create', version: NET_VERSION, loadout: { owned: ['pistol'] } }));
+  else conn.send(JSON.stringify({ type: 'rejoin', version: NET_VERSION, code, token }));
+}
+
+function onMessage(text){
+  const msg = JSON.parse(text);
+  switch(msg.type){
+    case 'joined':
+      code = msg.code; token = msg.token; slot = msg.slot;
+      log(`in room as player ${slot + 1}`);
+      if(slot === 0 && !msg.started) setTimeout(() => { if(!started) send({ type: 'start' }); }, 10000);
+      break;
+    case 'lobby':
+      if(slot === 0 && !started && msg.players.length > 1) send({ type: 'start' });
+      break;
+    case 'start':
+      started = true; startedAt = Date.now();
+      log(`run started with ${msg.players} player(s)`);
+      break;
+    case 'snap':
+      lastSnap = msg; snaps++;
+      if(msg.waiting.length) log(`waiting for player ${msg.waiting.map(s => s + 1).join(', ')}`);
+      for(const e of msg.events) if(e.type === 'level' || e.type === 'gameover' || e.type === 'down' || e.type === 'revive') log(`${e.type} ${JSON.stringify(e)}`);
+      if(msg.over) send({ type: 'restart' });
+      break;
+    case 'error':
+      log(`error: ${msg.message}`);
+      break;
+  }
+}
+
+function onClose(){
+  if(Date.now() > endAt) return;
+  log('connection lost, reconnecting');
+  setTimeout(() => open(false).catch(err => { log(err.message); process.exit(1); }), 1000);
+}
+
+const send = (msg) => { if(conn && conn.open) conn.send(JSON.stringify(msg)); };
+
+// steer and aim from the latest snapshot
+function botInput(){
+  const s = lastSnap;
+  const me = s && s.players[slot];
+  if(!me) return { move: { x: 0, y: 0 }, aim: null, fire: false, weapon: null, reload: false, ready: false, shop: null };
+  let target = null, best = Infinity;
+  for(const e of s.enemies){
+    const d = Math.hypot(e.x - me.x, e.y - me.y);
+    if(d < best){ best = d; target = e; }
+  }
+  const t = Date.now() / 1000 + slot;
+  const move = target && best < 160
+    ? { x: (me.x - target.x) / best, y: (me.y - target.y) / best } // back off
+    : { x: Math.cos(t * 0.7), y: Math.sin(t * 1.1) };
+  return {
+    move, aim: target ? { x: target.x, y: target.y } : null, fire: !!target,
+    weapon: null, reload: false, ready: !!s.intermission, shop: null,
+  };
+}
+
+setInterval(() => {
+  if(Date.now() > endAt){
+    log(`done, ${snaps} snapshots${lastSnap ? `, level ${lastSnap.level}, score ${lastSnap.score}` : ''}`);
+    if(conn) conn.close();
+    process.exit(0);
+  }
+  if(!started) return;
+  if(!dropped && slot > 0 && Date.now() - startedAt > DROP_AFTER_MS){
+    dropped = true;
+    log('dropping the connection on purpose');
+    conn.close();
+    return;
+  }
+  send({ type: 'input', seq: ++seq, input: botInput() });
+}, TICK_MS);
+
+open(true).catch(err => { log(err.message); process.exit(1); });
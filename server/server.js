@@ -0,0 +1,373 @@
+/* server/server.js - online co-op: serves the game and runs each room's sim authoritatively
+   Usage: node server/server.js [port=8080] [--mod mods/example.js ...]   (or PORT=...)
+   Open http://localhost:8080 in two browser tabs (or on two machines), "Play online", create a
+   room in one and join with its code in the other. server/bot.js is a headless second player.
+   Protocol and snapshots: src/net.js. One room = one createSim() stepped by a shared timer;
+   every tick takes the next queued input of each client (or repeats what they held).
+   Mods (--mod, repeatable) register into the same registries as in the browser, so the
+   server runs the weapons and zombies the players' pages draw; both need the same mods.
+*/
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const ws = require('./ws.js');
+const { loadMap, mapToJSON, getBuiltinMap, DEFAULT_MAP_ID } = require('../src/maps.js');
+const { createSim, NO_INPUT } = require('../src/sim.js');
+const { DIFFICULTIES } = require('../src/modes.js');
+const { WEAPONS, UPGRADE_TRACKS, tracksFor } = require('../src/weapons.js');
+const {
+  NET_VERSION, MAX_PLAYERS, SNAPSHOT_EVERY, RECONNECT_MS, ROOM_CODE_CHARS, ROOM_CODE_LENGTH,
+  normRoomCode, snapshotOf,
+} = require('../src/net.js');
+
+const args = process.argv.slice(2);
+const MODS = args.filter((a, i) => args[i-1] === '--mod');
+const PORT = Number(args.find((a, i) => a !== '--mod' && args[i-1] !== '--mod') || process.env.PORT || 8080);
+for(const file of MODS) require(path.resolve(file));
+const ROOT = path.resolve(__dirname, '..');
+const LOOP_MS = 8;       // timer granularity; the sim still steps in whole TICK_MS ticks
+const MAX_QUEUE = 8;     // inputs buffered per client before old ones are dropped
+const MAX_HOLD = 15;     // ticks a silent client keeps its last input before standing still
+
+/* ------------------------ Static files ------------------------ */
+const TYPES = {
+  '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json', '.png': 'image/png', '.mp3': 'audio/mpeg', '.ogg': 'audio/ogg', '.wav': 'audio/wav',
+};
+
+function serveStatic(req, res){
+  let rel;
+  try { rel = decodeURIComponent(new URL(req.url, 'http://x').pathname); } catch(e){ rel = null; }
+  if(rel === '/') rel = '/index.html';
+  // no dot-files or folders (.git) and nothing outside the repo
+  const file = rel && path.join(ROOT, rel);
+  if(!file || !file.startsWith(ROOT + path.sep) || rel.split('/').some(part => part.startsWith('.'))){
+    res.writeHead(404); res.end('Not found'); return;
+  }
+  fs.readFile(file, (err, data) => {
+    if(err){ res.writeHead(404); res.end('Not found'); return; }
+    res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+/* ------------------------ Rooms ------------------------ */
+const rooms = new Map(); // code -> room
+
+function newRoomCode(){
+  for(;;){
+    let code = '';
+    for(let i=0;i<ROOM_CODE_LENGTH;i++) code += ROOM_CODE_CHARS[crypto.randomInt(ROOM_CODE_CHARS.length)];
+    if(!rooms.has(code)) return code;
+  }
+}
+
+function createRoom(map, loadout, options){
+  const room = {
+    code: newRoomCode(), map, loadout, options, clients: [], sim: null, ticks: 0, seed: 0, snapDue: false, waitSnapAt: 0,
+  };
+  rooms.set(room.code, room);
+  log(`room ${room.code} created`);
+  return room;
+}
+
+// slot 0 hosts: they start and are the run's player 1
+function addClient(room, conn){
+  const client = { slot: room.clients.length, token: crypto.randomBytes(12).toString('hex'), conn, queue: [], held: NO_INPUT, starved: 0, ack: 0, droppedAt: 0 };
+  room.clients.push(client);
+  return client;
+}
+
+const send = (conn, msg) => { if(conn && conn.open) conn.send(JSON.stringify(msg)); };
+const broadcast = (room, msg) => { const text = JSON.stringify(msg); for(const c of room.clients) if(c.conn && c.conn.open) c.conn.send(text); };
+
+function sendLobby(room){
+  broadcast(room, { type: 'lobby', code: room.code, host: 0, players: room.clients.map(c => ({ slot: c.slot, connected: !!c.conn })) });
+}
+
+function joined(room, client){
+  send(client.conn, { type: 'joined', code: room.code, slot: client.slot, token: client.token, map: mapToJSON(room.map), started: !!room.sim });
+  sendLobby(room);
+}
+
+function startRun(room){
+  guarded(room, 'start', () => startSim(room));
+}
+
+function startSim(room){
+  room.seed = crypto.randomInt(0x7fffffff);
+  room.sim = createSim({ map: room.map, seed: room.seed, now: () => performance.now() });
+  const coop = room.clients.length > 1 ? { sharedCoins: room.options.sharedCoins !== false } : null;
+  room.sim.start(room.seed, Object.assign({}, room.loadout, { checkpoint: null, coop }));
+  room.ticks = 0;
+  for(const c of room.clients){ c.queue = []; c.held = NO_INPUT; }
+  broadcast(room, { type: 'start', players: room.clients.length });
+  log(`room ${room.code} started with ${room.clients.length} player(s)`);
+}
+
+function closeRoom(room){
+  rooms.delete(room.code);
+  log(`room ${room.code} closed`);
+}
+
+// a sim that throws ends its own room only, never the server and the other rooms on it
+function guarded(room, what, fn){
+  try { fn(); }
+  catch(err){
+    log(`room ${room.code}: ${what} failed: ${err.stack || err.message}`);
+    if(!rooms.has(room.code)) return;
+    closeRoom(room);
+    for(const o of room.clients){
+      send(o.conn, { type: 'error', message: 'The game hit an error on the server' });
+      if(o.conn) o.conn.close();
+    }
+  }
+}
+
+/* ------------------------ Inputs ------------------------ */
+// clean copy of what a client sent: only the fields and types the sim reads
+function cleanInput(inp){
+  inp = inp || {};
+  const vec = (v) => v && isFinite(v.x) && isFinite(v.y) ? { x: +v.x, y: +v.y } : null;
+  const move = vec(inp.move) || { x: 0, y: 0 };
+  const len = Math.hypot(move.x, move.y);
+  if(len > 1){ move.x /= len; move.y /= len; }
+  const shop = inp.shop && Array.isArray(inp.shop.buy) ? { buy: inp.shop.buy.slice(0, 8).filter(b => b && typeof b === 'object').map(b => ({ kind: String(b.kind), key: String(b.key), track: b.track == null ? undefined : String(b.track) })) } : null;
+  return {
+    move, aim: vec(inp.aim), fire: !!inp.fire, weapon: typeof inp.weapon === 'string' ? inp.weapon : null,
+    reload: !!inp.reload, ready: !!inp.ready, shop,
+  };
+}
+
+function queueInput(client, seq, input){
+  if(!(seq > client.ack)) return;
+  client.queue.push({ seq, input: cleanInput(input) });
+  // a client far ahead (tab was throttled, lag spike) loses its oldest inputs,
+  // but their one-shot actions carry over so no press or purchase is lost
+  while(client.queue.length > MAX_QUEUE){
+    const old = client.queue.shift().input, next = client.queue[0].input;
+    next.weapon = next.weapon || old.weapon;
+    next.reload = next.reload || old.reload;
+    next.ready = next.ready || old.ready;
+    if(old.shop) next.shop = { buy: old.shop.buy.concat(next.shop ? next.shop.buy : []) };
+  }
+}
+
+// one tick's input for the sim: the host drives player 1 at the top level, the second client p2
+function mergedInput(room){
+  const per = room.clients.map(c => {
+    const q = c.queue.shift();
+    if(q){
+      c.ack = q.seq;
+      c.starved = 0;
+      c.held = Object.assign({}, q.input, { weapon: null, reload: false, ready: false, shop: q.input.shop && { buy: [] } });
+      return q.input;
+    }
+    // nothing arrived in time: keep moving, aiming and firing as before, for a moment
+    return ++c.starved > MAX_HOLD ? NO_INPUT : c.held;
+  });
+  const input = Object.assign({}, per[0], { p2: per[1] || null });
+  const buys = [];
+  let shop = false;
+  per.forEach((inp, slot) => {
+    if(inp.ready) input.ready = true;
+    if(inp.shop){ shop = true; for(const b of inp.shop.buy) buys.push(Object.assign({}, b, { player: slot })); }
+  });
+  input.shop = shop ? { buy: buys } : null;
+  return input;
+}
+
+/* ------------------------ Loop ------------------------ */
+function tickRoom(room){
+  const sim = room.sim;
+  if(!sim) return;
+  const waiting = room.clients.filter(c => !c.conn).map(c => c.slot);
+  if(waiting.length){
+    // hold the run while someone reconnects; the others still hear who they're waiting for
+    sim.resetClock();
+    if(Date.now() - room.waitSnapAt > 500){ room.waitSnapAt = Date.now(); sendSnapshot(room, waiting); }
+    return;
+  }
+  sim.advance(() => {
+    const input = mergedInput(room);
+    if(++room.ticks % SNAPSHOT_EVERY === 0) room.snapDue = true;
+    return input;
+  });
+  if(room.snapDue){
+    room.snapDue = false;
+    sendSnapshot(room, waiting);
+  }
+}
+
+// the snapshot is the same for everyone except ack, so it is serialized once
+function sendSnapshot(room, waiting){
+  const body = JSON.stringify(Object.assign(snapshotOf(room.sim), { events: room.sim.drainEvents(), waiting }));
+  for(const c of room.clients){
+    if(c.conn && c.conn.open) c.conn.send(`{"type":"snap","ack":${c.ack},${body.slice(1)}`);
+  }
+}
+
+function dropExpired(){
+  const t = Date.now();
+  for(const room of rooms.values()){
+    for(const c of room.clients){
+      if(!c.conn && t - c.droppedAt > RECONNECT_MS){
+        log(`room ${room.code}: player ${c.slot + 1} did not come back`);
+        for(const o of room.clients) send(o.conn, { type: 'error', message: `Player ${c.slot + 1} left the game` });
+        closeRoom(room);
+        for(const o of room.clients) if(o.conn) o.conn.close();
+        break;
+      }
+    }
+  }
+}
+
+setInterval(() => {
+  for(const room of rooms.values()) guarded(room, 'tick', () => tickRoom(room));
+}, LOOP_MS);
+setInterval(dropExpired, 1000);
+
+/* ------------------------ Connections ------------------------ */
+function onConnection(conn){
+  let room = null, client = null;
+  const fail = (message) => send(conn, { type: 'error', message });
+
+  // a message that throws is dropped and only its sender hears about it; the rooms carry on
+  conn.on('message', (text) => {
+    try { onMessage(text); }
+    catch(err){
+      log(`bad message${room ? ` in room ${room.code}` : ''}: ${err.stack || err.message}`);
+      fail('Bad message');
+    }
+  });
+
+  function onMessage(text){
+    let msg;
+    try { msg = JSON.parse(text); } catch(e){ fail('Bad message'); return; }
+    if(!msg || typeof msg.type !== 'string') return;
+
+    if(msg.type === 'input'){
+      if(client && room.sim) queueInput(client, Number(msg.seq), msg.input);
+      return;
+    }
+    if(msg.type === 'create' || msg.type === 'join' || msg.type === 'rejoin'){
+      if(room){ fail('Already in a room'); return; }
+      if(msg.version !== NET_VERSION){ fail('Game version differs from the server, reload the page'); return; }
+    }
+
+    switch(msg.type){
+      case 'create': {
+        let map;
+        try { map = msg.map ? loadMap(msg.map) : getBuiltinMap(DEFAULT_MAP_ID); }
+        catch(err){ fail(`Bad map: ${err.message}`); return; }
+        room = createRoom(map, cleanLoadout(msg.loadout), { sharedCoins: !msg.options || msg.options.sharedCoins !== false });
+        client = addClient(room, conn);
+        joined(room, client);
+        break;
+      }
+      case 'join': {
+        const r = rooms.get(normRoomCode(msg.code));
+        if(!r){ fail('No room with that code'); return; }
+        if(r.sim){ fail('That game has already started'); return; }
+        if(r.clients.length >= MAX_PLAYERS){ fail('That room is full'); return; }
+        room = r;
+        client = addClient(room, conn);
+        joined(room, client);
+        log(`room ${room.code}: player ${client.slot + 1} joined`);
+        break;
+      }
+      case 'rejoin': {
+        const r = rooms.get(normRoomCode(msg.code));
+        const c = r && r.clients.find(o => o.token === msg.token);
+        if(!c){ fail('That game is over'); return; }
+        if(c.conn) c.conn.close(); // a stale connection the server hasn't noticed dropping yet
+        room = r; client = c;
+        client.conn = conn;
+        client.queue = []; client.held = NO_INPUT;
+        joined(room, client);
+        log(`room ${room.code}: player ${client.slot + 1} reconnected`);
+        break;
+      }
+      case 'start':
+        if(!client || client.slot !== 0 || room.sim) return;
+        startRun(room);
+        break;
+      case 'restart':
+        if(!client || !room.sim || !room.sim.state.over) return;
+        startRun(room);
+        break;
+      case 'leave':
+        leave();
+        break;
+    }
+  }
+
+  conn.on('close', () => {
+    if(!client || client.conn !== conn) return;
+    if(room.sim && !room.sim.state.over){
+      // keep their place for RECONNECT_MS; the run waits
+      client.conn = null;
+      client.droppedAt = Date.now();
+      log(`room ${room.code}: player ${client.slot + 1} dropped`);
+      sendLobby(room);
+    } else leave();
+  });
+
+  // gone for good: a lobby reshuffles, a run can't carry on without them
+  function leave(){
+    if(!room) return;
+    const r = room, c = client;
+    room = client = null;
+    c.conn = null;
+    if(!r.sim){
+      r.clients.splice(r.clients.indexOf(c), 1);
+      r.clients.forEach((o, i) => { o.slot = i; });
+      if(!r.clients.length){ closeRoom(r); return; }
+      for(const o of r.clients) send(o.conn, { type: 'joined', code: r.code, slot: o.slot, token: o.token, map: mapToJSON(r.map), started: false });
+      sendLobby(r);
+      return;
+    }
+    closeRoom(r);
+    for(const o of r.clients){
+      if(!o.conn) continue;
+      send(o.conn, { type: 'error', message: `Player ${c.slot + 1} left the game` });
+      o.conn.close();
+    }
+  }
+}
+
+// the host's save decides what everyone starts with; only its known fields are kept:
+// weapons the server has, their upgrade tracks at whole tiers up to the track's max, and ammo counts
+function cleanLoadout(l){
+  l = l || {};
+  const keys = Object.keys(WEAPONS);
+  const owned = Array.isArray(l.owned) ? l.owned.filter(k => keys.includes(k)) : [];
+  const upgrades = {}, reserve = {};
+  for(const key of keys){
+    const tiers = l.upgrades && typeof l.upgrades === 'object' && l.upgrades[key];
+    if(tiers && typeof tiers === 'object') for(const id of tracksFor(key)){
+      const t = tiers[id];
+      if(Number.isInteger(t) && t > 0) (upgrades[key] = upgrades[key] || {})[id] = Math.min(UPGRADE_TRACKS[id].max, t);
+    }
+    const n = l.reserve && typeof l.reserve === 'object' ? l.reserve[key] : null;
+    if(typeof n === 'number' && Number.isFinite(n) && n >= 0) reserve[key] = Math.floor(n);
+  }
+  return {
+    coins: Math.max(0, Math.floor(Number(l.coins) || 0)),
+    owned: owned.length ? owned : ['pistol'],
+    upgrades, reserve,
+    difficulty: Object.keys(DIFFICULTIES).includes(l.difficulty) ? l.difficulty : 'normal',
+  };
+}
+
+function log(msg){ console.log(`[${new Date().toISOString().slice(11, 19)}] ${msg}`); }
+
+/* ------------------------ Server ------------------------ */
+const server = http.createServer(serveStatic);
+server.on('upgrade', (req, socket, head) => {
+  const conn = ws.accept(req, socket, head);
+  if(conn) onConnection(conn);
+});
+server.listen(PORT, () => log(`zombie shooter on http://localhost:${PORT}${MODS.length ? ` with ${MODS.join(', ')}` : ''}`));
@@ -0,0 +1,130 @@
+/* server/ws.js - minimal WebSocket (RFC 6455) on Node's http/net, no dependencies
+   Text messages only (binary frames are ignored), fragmented messages are joined, pings
+   are answered. A connection is an EventEmitter: 'message' (string), 'close'; send(text), close().
+   - accept(req, socket, head): server side, from an http server's 'upgrade' event
+   - connect(url): client side (server/bot.js), resolves to a connection
+*/
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1 << 20; // 1 MB; bigger messages close the connection (1009)
+
+const acceptKey = (key) => crypto.createHash('sha1').update(key + GUID).digest('base64');
+
+function accept(req, socket, head){
+  const key = req.headers['sec-websocket-key'];
+  if(!key || String(req.headers.upgrade).toLowerCase() !== 'websocket'){
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`);
+  return wrap(socket, false, head);
+}
+
+function connect(url){
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const key = crypto.randomBytes(16).toString('base64');
+    const req = http.request({
+      host: u.hostname, port: u.port || 80, path: u.pathname + u.search,
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': key, 'Sec-WebSocket-Version': '13' },
+    });
+    req.on('upgrade', (res, socket, head) => {
+      if(res.headers['sec-websocket-accept'] !== acceptKey(key)){ socket.destroy(); reject(new Error('bad WebSocket handshake')); return; }
+      resolve(wrap(socket, true, head));
+    });
+    req.on('response', (res) => reject(new Error(`WebSocket upgrade refused (${res.statusCode})`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// frames over a raw socket; clients mask what they send, servers don't
+function wrap(socket, isClient, head){
+  const conn = new EventEmitter();
+  let buf = head && head.length ? Buffer.from(head) : Buffer.alloc(0);
+  let parts = [], partsOp = 0, closed = false;
+
+  socket.setNoDelay(true);
+  socket.on('data', (d) => { buf = Buffer.concat([buf, d]); parse(); });
+  socket.on('close', finish);
+  socket.on('error', finish);
+
+  function parse(){
+    while(buf.length >= 2 && !closed){
+      const fin = buf[0] & 0x80, op = buf[0] & 0x0f, masked = buf[1] & 0x80;
+      let len = buf[1] & 0x7f, off = 2;
+      if(len === 126){ if(buf.length < 4) return; len = buf.readUInt16BE(2); off = 4; }
+      else if(len === 127){ if(buf.length < 10) return; len = buf.readUInt32BE(2) * 0x100000000 + buf.readUInt32BE(6); off = 10; }
+      if(len > MAX_PAYLOAD){ conn.close(1009); return; }
+      // RFC 6455 5.1: a server fails a connection whose frames aren't masked, a client one whose are
+      if(!!masked === isClient){ conn.close(1002); return; }
+      const maskAt = off;
+      if(masked) off += 4;
+      if(buf.length < off + len) return;
+      const payload = Buffer.from(buf.subarray(off, off + len));
+      if(masked) for(let i=0;i<len;i++) payload[i] ^= buf[maskAt + (i & 3)];
+      buf = buf.subarray(off + len);
+      frame(fin, op, payload);
+    }
+  }
+
+  function frame(fin, op, payload){
+    if(op === 0x8){ conn.close(); return; }
+    if(op === 0x9){ send(0xA, payload); return; }
+    if(op === 0xA) return;
+    if(op === 0x1 || op === 0x2){ partsOp = op; parts = [payload]; }
+    else if(op === 0x0) parts.push(payload);
+    else return;
+    if(!fin) return;
+    const data = Buffer.concat(parts);
+    parts = [];
+    if(partsOp === 0x1) conn.emit('message', data.toString('utf8'));
+  }
+
+  function send(op, payload){
+    if(closed) return;
+    const len = payload.length;
+    const headLen = len < 126 ? 2 : len < 0x10000 ? 4 : 10;
+    const maskLen = isClient ? 4 : 0;
+    const out = Buffer.alloc(headLen + maskLen + len);
+    out[0] = 0x80 | op;
+    if(len < 126) out[1] = len;
+    else if(len < 0x10000){ out[1] = 126; out.writeUInt16BE(len, 2); }
+    else { out[1] = 127; out.writeUInt32BE(Math.floor(len / 0x100000000), 2); out.writeUInt32BE(len >>> 0, 6); }
+    if(isClient){
+      out[1] |= 0x80;
+      const mask = crypto.randomBytes(4);
+      mask.copy(out, headLen);
+      for(let i=0;i<len;i++) out[headLen + 4 + i] = payload[i] ^ mask[i & 3];
+    } else payload.copy(out, headLen);
+    socket.write(out);
+  }
+
+  function finish(){
+    if(closed) return;
+    closed = true;
+    socket.destroy();
+    conn.emit('close');
+  }
+
+  conn.send = (text) => send(0x1, Buffer.from(text, 'utf8'));
+  conn.close = (code = 1000) => {
+    if(closed) return;
+    const p = Buffer.alloc(2);
+    p.writeUInt16BE(code, 0);
+    send(0x8, p);
+    socket.end();
+    finish();
+  };
+  Object.defineProperty(conn, 'open', { get: () => !closed });
+  return conn;
+}
+
+module.exports = { accept, connect };
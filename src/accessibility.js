@@ -0,0 +1,77 @@
+/* src/accessibility.js - how the host draws for players who need it (settings screen, save.js settings)
+   PALETTES  key -> { name, enemies:{type: color}, playerBullet, enemyBullet, players:[p1, p2] }:
+     colours that stay apart for common kinds of colour blindness; a type a palette doesn't list
+     (a mod's) keeps its own colour. 'standard' is the game's own look.
+   MARKS     shape key -> trace(ctx, x, y, r): the marker drawn on a zombie (enemies.js `mark`) so
+     types differ by shape as well as colour; enemy bullets get an outlined diamond instead of a dot
+   HUD_SCALES  the range of the HUD text size setting
+   High contrast, HUD scale and toggle-to-fire are plain settings the host applies.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ZS = Object.assign(root.ZS || {}, factory());
+})(this, function(){
+'use strict';
+
+const HUD_SCALES = [0.8, 1.6];
+
+// Okabe-Ito based for red-green; reds, greys and teals for blue-yellow
+const PALETTES = {
+  standard: {
+    name: 'Standard', enemies: {},
+    playerBullet: '#fbbf24', enemyBullet: '#ef4444', players: ['#0ea5a4', '#f472b6'],
+  },
+  redGreen: {
+    name: 'Red-green safe (deuteranopia, protanopia)',
+    enemies: { normal:'#009e73', fast:'#f0e442', tank:'#0072b2', spitter:'#56b4e9', bomber:'#d55e00', boss:'#cc79a7' },
+    playerBullet: '#ffffff', enemyBullet: '#e69f00', players: ['#56b4e9', '#f0e442'],
+  },
+  blueYellow: {
+    name: 'Blue-yellow safe (tritanopia)',
+    enemies: { normal:'#009e73', fast:'#f5f5f5', tank:'#7a5195', spitter:'#5ee6d0', bomber:'#ff1f5b', boss:'#f0a3ff' },
+    playerBullet: '#ffffff', enemyBullet: '#ff1f5b', players: ['#5ee6d0', '#ff9db5'],
+  },
+};
+
+// regular polygon with `n` corners, the first one straight up
+function polygon(ctx, x, y, r, n, turn = 0){
+  for(let i=0;i<n;i++){
+    const a = -Math.PI/2 + turn + i * Math.PI*2 / n;
+    i ? ctx.lineTo(x + Math.cos(a)*r, y + Math.sin(a)*r) : ctx.moveTo(x + Math.cos(a)*r, y + Math.sin(a)*r);
+  }
+  ctx.closePath();
+}
+
+const MARKS = {
+  circle:   (ctx, x, y, r) => ctx.arc(x, y, r * 0.8, 0, Math.PI*2),
+  triangle: (ctx, x, y, r) => polygon(ctx, x, y, r, 3),
+  square:   (ctx, x, y, r) => polygon(ctx, x, y, r, 4, Math.PI/4),
+  diamond:  (ctx, x, y, r) => polygon(ctx, x, y, r, 4),
+  cross:    (ctx, x, y, r) => {
+    const t = r * 0.35;
+    ctx.rect(x - r, y - t, r*2, t*2); ctx.rect(x - t, y - r, t*2, r*2);
+  },
+  star:     (ctx, x, y, r) => {
+    for(let i=0;i<10;i++){
+      const a = -Math.PI/2 + i * Math.PI/5, k = i % 2 ? r * 0.45 : r;
+      i ? ctx.lineTo(x + Math.cos(a)*k, y + Math.sin(a)*k) : ctx.moveTo(x + Math.cos(a)*k, y + Math.sin(a)*k);
+    }
+    ctx.closePath();
+  },
+};
+
+const paletteOf = (key) => PALETTES[key] || PALETTES.standard;
+
+// a zombie's colour in a palette
+const enemyColor = (palette, e) => palette.enemies[e.type] || e.color;
+
+// dark or light, whichever reads better on a #rgb / #rrggbb colour (anything else counts as dark)
+function inkOn(color){
+  let hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) ? color.slice(1) : '000';
+  if(hex.length === 3) hex = hex.replace(/./g, '$&$&');
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  return 0.299*r + 0.587*g + 0.114*b > 140 ? '#0b0b0b' : '#f9fafb';
+}
+
+return { PALETTES, MARKS, HUD_SCALES, paletteOf, enemyColor, inkOn };
+});
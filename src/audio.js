@@ -0,0 +1,339 @@
+/* src/audio.js - procedural sound engine (Web Audio): every effect and the music are
+   synthesized on the fly, there are no sound files
+   createAudio() -> engine; without Web Audio (Node, old browsers) every call is a no-op:
+     unlock()                      create/resume the context; call from a user gesture (autoplay rules)
+     play(name, { x, y, kind })    one effect from SOUNDS, kind picks the variant (weapon key,
+                                   enemy type, pickup type); x,y pan and attenuate it around the listener
+     listen(x, y, width)           where the listener is (the local player) and how wide the arena
+     setVolumes(music, sfx)        bus gains, 0..1
+     music(on)  intensity(k)       the generated track; k (0..1) speeds it up and adds layers
+     update()                      schedules the music LOOKAHEAD ahead; once per frame
+   Voices: at most MAX_VOICES effects sound at once and NAME_VOICES of one name (VOICES overrides);
+   past that the oldest is cut, so rapid fire layers without piling up.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ZS = Object.assign(root.ZS || {}, factory());
+})(this, function(){
+'use strict';
+
+const MAX_VOICES = 32;
+const NAME_VOICES = 6;
+const VOICES = { shoot: 10, groan: 3, pickup: 4 };
+const NEAR = 120;               // px from the listener at full volume
+const FAR = 1100;               // px where a sound is down to FAR_GAIN
+const FAR_GAIN = 0.15;
+const PAN_WIDTH = 0.8;          // hard left/right sounds odd on headphones
+const MUSIC_LEVEL = 0.6;        // music bus at volume 1
+const LOOKAHEAD = 0.2;          // s of music scheduled ahead of the clock
+
+/* ------------------------ Effects ------------------------ */
+// gunshots: a filtered noise crack over a falling tone body
+const GUNS = {
+  pistol:  { crack: 2400, body: 170, dur: 0.12, gain: 0.5 },
+  smg:     { crack: 3200, body: 230, dur: 0.07, gain: 0.32 },
+  machine: { crack: 2800, body: 150, dur: 0.08, gain: 0.34 },
+  shotgun: { crack: 1300, body: 90,  dur: 0.32, gain: 0.75 },
+  sniper:  { crack: 4200, body: 120, dur: 0.5,  gain: 0.7 },
+  rocket:  { crack: 700,  body: 70,  dur: 0.55, gain: 0.55, whoosh: true },
+  freeze:  { crack: 5200, body: 520, dur: 0.09, gain: 0.22 },
+};
+
+// zombie voices: a buzzing saw through a vowel-ish band, wobbling
+const GROANS = {
+  normal:  { freq: 105, dur: 0.9,  band: 600,  wobble: 5 },
+  fast:    { freq: 190, dur: 0.45, band: 900,  wobble: 9 },
+  tank:    { freq: 58,  dur: 1.3,  band: 420,  wobble: 3 },
+  spitter: { freq: 150, dur: 0.7,  band: 1100, wobble: 12, gurgle: true },
+  bomber:  { freq: 92,  dur: 0.8,  band: 700,  wobble: 6, gurgle: true },
+  boss:    { freq: 46,  dur: 1.6,  band: 380,  wobble: 2.5 },
+};
+
+// each recipe plays into voice v from time t and returns how long it lasts (s)
+const SOUNDS = {
+  shoot(v, t, kind){
+    const g = GUNS[kind] || GUNS.pistol;
+    v.noise(t, g.dur, { filter: 'bandpass', freq: g.crack, to: g.crack / 4, q: 0.8, gain: g.gain });
+    v.tone(t, g.dur * 0.6, { wave: 'triangle', freq: g.body, to: g.body / 2, gain: g.gain * 0.8 });
+    if(g.whoosh) v.noise(t, g.dur * 1.4, { filter: 'highpass', freq: 400, to: 2400, gain: 0.2, attack: 0.1 });
+    return g.whoosh ? g.dur * 1.4 : g.dur;
+  },
+  reload(v, t, kind){
+    const gap = kind === 'shotgun' || kind === 'sniper' || kind === 'rocket' ? 0.28 : 0.18;
+    v.noise(t, 0.03, { filter: 'highpass', freq: 3000, gain: 0.35 });
+    v.noise(t + 0.04, gap - 0.06, { filter: 'bandpass', freq: 1500, to: 900, q: 2, gain: 0.12 });
+    v.noise(t + gap, 0.04, { filter: 'highpass', freq: 2200, gain: 0.45 });
+    v.tone(t + gap, 0.05, { wave: 'square', freq: 420, to: 300, gain: 0.08 });
+    return gap + 0.06;
+  },
+  empty(v, t){
+    v.noise(t, 0.025, { filter: 'highpass', freq: 4000, gain: 0.3 });
+    return 0.03;
+  },
+  explosion(v, t, kind){
+    const big = kind === 'big', dur = big ? 1.6 : kind === 'slam' ? 0.7 : 1;
+    v.noise(t, dur, { filter: 'lowpass', freq: big ? 1400 : 900, to: 80, gain: big ? 1 : 0.8 });
+    v.tone(t, dur * 0.5, { wave: 'sine', freq: kind === 'slam' ? 60 : 90, to: 28, gain: 0.9 });
+    return dur;
+  },
+  groan(v, t, kind){
+    const g = GROANS[kind] || GROANS.normal;
+    voiceBox(v, t, g, g.dur, g.freq * (0.9 + Math.random() * 0.2), 0.22);
+    return g.dur;
+  },
+  zombieDeath(v, t, kind){
+    const g = GROANS[kind] || GROANS.normal, dur = Math.min(0.5, g.dur * 0.5);
+    voiceBox(v, t, g, dur, g.freq * 1.3, 0.25, g.freq * 0.6);
+    v.noise(t, 0.18, { filter: 'lowpass', freq: 700, to: 200, gain: 0.3 });
+    return dur;
+  },
+  hurt(v, t){
+    v.tone(t, 0.16, { wave: 'square', freq: 240, to: 110, gain: 0.18 });
+    v.noise(t, 0.08, { filter: 'lowpass', freq: 1200, gain: 0.25 });
+    return 0.16;
+  },
+  pickup(v, t, kind){
+    if(kind === 'coin'){
+      v.tone(t, 0.06, { wave: 'square', freq: 988, gain: 0.08 });
+      v.tone(t + 0.06, 0.14, { wave: 'square', freq: 1319, gain: 0.08 });
+      return 0.2;
+    }
+    if(kind === 'ammo'){
+      v.noise(t, 0.05, { filter: 'bandpass', freq: 1800, q: 3, gain: 0.35 });
+      v.tone(t + 0.05, 0.08, { wave: 'triangle', freq: 520, gain: 0.2 });
+      return 0.13;
+    }
+    if(kind === 'armor'){
+      v.tone(t, 0.3, { wave: 'triangle', freq: 660, gain: 0.15 });
+      v.tone(t, 0.3, { wave: 'triangle', freq: 1003, gain: 0.1 });
+      return 0.3;
+    }
+    [523, 659, 784].forEach((f, i) => v.tone(t + i * 0.07, 0.12, { wave: 'sine', freq: f, gain: 0.2 })); // health
+    return 0.26;
+  },
+  powerup(v, t){
+    [392, 523, 659, 784, 1047].forEach((f, i) => v.tone(t + i * 0.05, 0.1, { wave: 'square', freq: f, gain: 0.09 }));
+    return 0.3;
+  },
+  bossRoar(v, t){
+    voiceBox(v, t, GROANS.boss, 1.8, GROANS.boss.freq, 0.5, GROANS.boss.freq * 0.7);
+    v.noise(t, 1.6, { filter: 'lowpass', freq: 500, to: 150, gain: 0.3, attack: 0.2 });
+    return 1.8;
+  },
+  bossShot(v, t){
+    v.tone(t, 0.25, { wave: 'square', freq: 620, to: 140, gain: 0.16 });
+    return 0.25;
+  },
+  bossSummon(v, t){
+    v.tone(t, 0.7, { wave: 'sine', freq: 180, to: 820, gain: 0.22, tremolo: 14 });
+    return 0.7;
+  },
+  gameOver(v, t){
+    [330, 262, 196, 131].forEach((f, i) => v.tone(t + i * 0.28, 0.4, { wave: 'triangle', freq: f, gain: 0.3 }));
+    return 1.3;
+  },
+};
+
+// a zombie voice: saw with a wobble, through a band, swelling in and dying off
+function voiceBox(v, t, g, dur, freq, gain, to = freq * 0.8){
+  v.tone(t, dur, { wave: 'sawtooth', freq, to, gain, attack: dur * 0.25, vibrato: g.wobble, filter: 'bandpass', band: g.band });
+  if(g.gurgle) v.noise(t + dur * 0.3, dur * 0.6, { filter: 'bandpass', freq: 350, q: 6, gain: gain * 0.8, tremolo: 22 });
+}
+
+/* ------------------------ Music ------------------------ */
+// A minor, one chord per bar: roots for the bass, chord tones for the pad and the arpeggio
+const BARS = [
+  { root: 55,    chord: [220, 261.6, 329.6] },   // Am
+  { root: 43.65, chord: [174.6, 220, 261.6] },   // F
+  { root: 49,    chord: [196, 246.9, 293.7] },   // G
+  { root: 41.2,  chord: [164.8, 207.7, 246.9] }, // E
+];
+const STEPS = 16;               // sixteenths per bar
+const TEMPO = [84, 132];        // bpm at intensity 0 and 1
+// layers come in as the intensity passes these
+const LAYERS = { kick: 0.2, hats: 0.4, snare: 0.55, arp: 0.7, fourOnFloor: 0.6, fastHats: 0.85 };
+
+function createAudio(){
+  const AC = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  let ctx = null, master, sfxBus, musicBus, noiseBuf = null;
+  let listener = { x: 0, y: 0, width: 0 };
+  let volumes = { music: 1, sfx: 1 };
+  let voices = [];
+  let musicOn = false, target = 0, level = 0, nextStep = 0, step = 0;
+
+  function unlock(){
+    if(!AC) return;
+    if(!ctx){
+      try { ctx = new AC(); } catch(e){ return; }
+      // a compressor keeps a screen full of shots and explosions from clipping
+      master = ctx.createDynamicsCompressor();
+      master.connect(ctx.destination);
+      sfxBus = ctx.createGain(); sfxBus.connect(master);
+      musicBus = ctx.createGain(); musicBus.connect(master);
+      noiseBuf = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+      const data = noiseBuf.getChannelData(0);
+      for(let i=0;i<data.length;i++) data[i] = Math.random() * 2 - 1;
+      setVolumes(volumes.music, volumes.sfx);
+    }
+    if(ctx.state === 'suspended') ctx.resume().catch(() => {});
+  }
+
+  const ready = () => ctx && ctx.state === 'running';
+
+  function setVolumes(music, sfx){
+    volumes = { music, sfx };
+    if(!ctx) return;
+    musicBus.gain.value = music * MUSIC_LEVEL;
+    sfxBus.gain.value = sfx;
+  }
+
+  /* ---- Sources ---- */
+  // envelope: a quick rise over `attack`, then an exponential fall to silence at t + dur
+  function envelope(t, dur, gain, attack = 0.005){
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(0.0001, t);
+    env.gain.exponentialRampToValueAtTime(gain, t + Math.min(attack, dur / 2));
+    env.gain.exponentialRampToValueAtTime(0.0001, t + dur);
+    return env;
+  }
+
+  // amplitude wobble at `rate` Hz on a gain node
+  function tremolo(node, t, dur, rate){
+    const lfo = ctx.createOscillator(), depth = ctx.createGain();
+    lfo.frequency.value = rate; depth.gain.value = 0.5;
+    lfo.connect(depth); depth.connect(node.gain);
+    lfo.start(t); lfo.stop(t + dur);
+    return lfo;
+  }
+
+  // o: { wave, freq, to, gain, attack, vibrato (Hz), tremolo (Hz), filter + band (Hz) }
+  function tone(out, t, dur, o){
+    const osc = ctx.createOscillator();
+    osc.type = o.wave || 'sine';
+    osc.frequency.setValueAtTime(o.freq, t);
+    if(o.to) osc.frequency.exponentialRampToValueAtTime(o.to, t + dur);
+    const env = envelope(t, dur, o.gain, o.attack);
+    const srcs = [osc];
+    if(o.vibrato){
+      const lfo = ctx.createOscillator(), depth = ctx.createGain();
+      lfo.frequency.value = o.vibrato; depth.gain.value = o.freq * 0.06;
+      lfo.connect(depth); depth.connect(osc.frequency);
+      lfo.start(t); lfo.stop(t + dur);
+      srcs.push(lfo);
+    }
+    if(o.tremolo) srcs.push(tremolo(env, t, dur, o.tremolo));
+    if(o.filter){
+      const f = ctx.createBiquadFilter();
+      f.type = o.filter; f.frequency.value = o.band; f.Q.value = 2;
+      osc.connect(f); f.connect(env);
+    } else osc.connect(env);
+    env.connect(out);
+    osc.start(t); osc.stop(t + dur + 0.02);
+    return srcs;
+  }
+
+  // o: { filter, freq, to, q, gain, attack, tremolo (Hz) }; plays from a random spot in the noise
+  function noise(out, t, dur, o){
+    const src = ctx.createBufferSource();
+    src.buffer = noiseBuf; src.loop = true;
+    const f = ctx.createBiquadFilter();
+    f.type = o.filter || 'lowpass';
+    f.frequency.setValueAtTime(o.freq || 1000, t);
+    if(o.to) f.frequency.exponentialRampToValueAtTime(o.to, t + dur);
+    if(o.q) f.Q.value = o.q;
+    const env = envelope(t, dur, o.gain, o.attack);
+    src.connect(f); f.connect(env); env.connect(out);
+    src.start(t, Math.random() * noiseBuf.duration); src.stop(t + dur + 0.02);
+    const srcs = [src];
+    if(o.tremolo) srcs.push(tremolo(env, t, dur, o.tremolo));
+    return srcs;
+  }
+
+  /* ---- Effects ---- */
+  // a voice: its own gain (distance) and panner into the sfx bus; recipes add sources to it
+  function voice(name){
+    const v = { name, end: 0, sources: [], gain: ctx.createGain(), pan: ctx.createStereoPanner ? ctx.createStereoPanner() : null };
+    if(v.pan){ v.gain.connect(v.pan); v.pan.connect(sfxBus); } else v.gain.connect(sfxBus);
+    v.tone = (t, dur, o) => v.sources.push(...tone(v.gain, t, dur, o));
+    v.noise = (t, dur, o) => v.sources.push(...noise(v.gain, t, dur, o));
+    return v;
+  }
+
+  function place(v, x, y){
+    if(x == null || !listener.width) return;
+    const dx = x - listener.x, d = Math.hypot(dx, y - listener.y);
+    if(v.pan) v.pan.pan.value = Math.max(-1, Math.min(1, dx / (listener.width / 2))) * PAN_WIDTH;
+    v.gain.gain.value = Math.max(FAR_GAIN, Math.min(1, 1 - (d - NEAR) / (FAR - NEAR) * (1 - FAR_GAIN)));
+  }
+
+  function cut(v){
+    for(const src of v.sources) try { src.stop(); } catch(e){}
+    v.gain.disconnect();
+    voices.splice(voices.indexOf(v), 1);
+  }
+
+  function play(name, opts = {}){
+    const recipe = SOUNDS[name];
+    if(!recipe || !ready()) return;
+    const t = ctx.currentTime;
+    for(const v of voices.filter(v => v.end <= t)) cut(v);
+    const same = voices.filter(v => v.name === name);
+    if(same.length >= (VOICES[name] || NAME_VOICES)) cut(same[0]);
+    if(voices.length >= MAX_VOICES) cut(voices[0]);
+    const v = voice(name);
+    place(v, opts.x, opts.y);
+    v.end = t + recipe(v, t, opts.kind) + 0.05;
+    voices.push(v);
+  }
+
+  /* ---- Music ---- */
+  const stepDur = () => 60 / (TEMPO[0] + (TEMPO[1] - TEMPO[0]) * level) / 4;
+
+  function scheduleStep(i, t){
+    level += (target - level) * 0.05; // eases over a couple of bars
+    const bar = BARS[Math.floor(i / STEPS) % BARS.length], n = i % STEPS, sd = stepDur();
+    if(n === 0){
+      for(const f of bar.chord) tone(musicBus, t, sd * STEPS, { wave: 'triangle', freq: f, gain: 0.035, attack: sd * 4 });
+    }
+    if(n % 4 === 0){
+      const f = n === 8 ? bar.root * 2 : bar.root;
+      tone(musicBus, t, sd * 3, { wave: 'sawtooth', freq: f, gain: 0.12 + 0.08 * level, filter: 'lowpass', band: 180 + 700 * level });
+    }
+    if(level > LAYERS.kick && (n === 0 || n === 8 || (level > LAYERS.fourOnFloor && n % 4 === 0))){
+      tone(musicBus, t, 0.18, { wave: 'sine', freq: 120, to: 40, gain: 0.5 });
+    }
+    if(level > LAYERS.snare && (n === 4 || n === 12)) noise(musicBus, t, 0.12, { filter: 'bandpass', freq: 1800, q: 0.7, gain: 0.18 });
+    if(level > LAYERS.hats && n % (level > LAYERS.fastHats ? 1 : 2) === 0){
+      noise(musicBus, t, 0.03, { filter: 'highpass', freq: 7000, gain: n % 4 === 2 ? 0.08 : 0.05 });
+    }
+    if(level > LAYERS.arp && n % 2 === 0){
+      const f = bar.chord[(n / 2) % bar.chord.length] * (n >= 8 ? 2 : 1);
+      tone(musicBus, t, sd * 1.5, { wave: 'square', freq: f, gain: 0.03, filter: 'lowpass', band: 2400 });
+    }
+  }
+
+  function update(){
+    if(!musicOn || !ready()) return;
+    const now = ctx.currentTime;
+    if(nextStep < now) nextStep = now + 0.05; // first call, or back from a stall
+    while(nextStep < now + LOOKAHEAD){
+      scheduleStep(step++, nextStep);
+      nextStep += stepDur();
+    }
+  }
+
+  function music(on){
+    if(on === musicOn) return;
+    musicOn = on;
+    if(on){ step = 0; nextStep = 0; }
+  }
+
+  return {
+    unlock, play, setVolumes, music, update,
+    listen(x, y, width){ listener = { x, y, width }; },
+    intensity(k){ target = Math.max(0, Math.min(1, k)); },
+  };
+}
+
+return { createAudio, SOUNDS };
+});
@@ -0,0 +1,70 @@
+/* src/bosses.js - boss definitions
+   A boss is a big enemy with phases: each phase starts when hp falls to `at` (fraction of maxHp)
+   and picks its attacks, movement speed and attack cooldown. Attacks are telegraphed: the boss
+   winds up for `windup` ms (drawn by the host from e.attack) before the attack lands.
+   A phase may override attack parameters, e.g. { radial: { bullets: 24 } }.
+   The sim runs the attacks (sim.js, Bosses section); this file is data only.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ZS = Object.assign(root.ZS || {}, factory());
+})(this, function(){
+'use strict';
+
+/* Attack structure:
+   radial: ring of `bullets` enemy projectiles at `speed` px/s
+   charge: dash along the locked aim at `speed` for `duration` ms, `damage` on contact
+   summon: `count` minions of `types` around the boss
+   slam:   everything within `radius` px takes `damage` when it lands
+*/
+const BOSS_ATTACKS = {
+  radial: { windup:700,  bullets:14, speed:200 },
+  charge: { windup:850,  speed:430, duration:750, damage:25 },
+  summon: { windup:900,  count:3, types:['normal','fast'] },
+  slam:   { windup:1000, radius:140, damage:22 },
+};
+
+const BOSSES = {
+  butcher: {
+    name:'The Butcher', hp:60, hpPerLevel:6, r:48, speed:28, color:'#7f1d1d', coins:50, score:200,
+    phases:[
+      { at:1,   speed:1,   cooldown:2600, attacks:['charge'] },
+      { at:0.5, speed:1.35,cooldown:1700, attacks:['charge','slam'] },
+    ],
+  },
+  broodmother: {
+    name:'Broodmother', hp:80, hpPerLevel:6, r:44, speed:24, color:'#581c87', coins:70, score:300,
+    phases:[
+      { at:1,   speed:1,   cooldown:2800, attacks:['summon'] },
+      { at:0.6, speed:1,   cooldown:2200, attacks:['summon','radial'] },
+      { at:0.3, speed:1.3, cooldown:1600, attacks:['radial','summon'], radial:{ bullets:20 }, summon:{ count:4 } },
+    ],
+  },
+  abomination: {
+    name:'Abomination', hp:100, hpPerLevel:8, r:54, speed:26, color:'#365314', coins:90, score:400,
+    phases:[
+      { at:1,    speed:1,   cooldown:2400, attacks:['radial','slam'] },
+      { at:0.66, speed:1.2, cooldown:2000, attacks:['charge','radial','slam'] },
+      { at:0.33, speed:1.4, cooldown:1400, attacks:['charge','radial','slam','summon'], radial:{ bullets:22, speed:240 }, slam:{ radius:180 } },
+    ],
+  },
+  // every boss level from 20 on; hp keeps scaling with the level
+  overlord: {
+    name:'Overlord', hp:120, hpPerLevel:10, r:58, speed:30, color:'#450a0a', coins:120, score:500,
+    phases:[
+      { at:1,    speed:1,   cooldown:2000, attacks:['charge','radial','summon'] },
+      { at:0.5,  speed:1.3, cooldown:1500, attacks:['charge','radial','slam','summon'], radial:{ bullets:20 } },
+      { at:0.2,  speed:1.6, cooldown:1000, attacks:['charge','radial','slam'], radial:{ bullets:28, speed:260 }, charge:{ windup:600, speed:500 } },
+    ],
+  },
+};
+
+const BOSS_ORDER = ['butcher', 'broodmother', 'abomination']; // levels 5, 10, 15
+
+function bossForLevel(level){
+  const n = Math.max(1, Math.floor(level / 5));
+  return BOSS_ORDER[n - 1] || 'overlord';
+}
+
+return { BOSSES, BOSS_ATTACKS, bossForLevel };
+});
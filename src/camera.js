@@ -0,0 +1,75 @@
+/* src/camera.js - the view onto a map bigger than the screen
+   The view is w x h world px with its top-left corner at (x, y). It follows a point with
+   exponential smoothing, stays inside the map (a map smaller than the view is centred on that
+   axis) and shakes; drawing offsets by (x + ox, y + oy), where ox/oy is the current shake.
+   No DOM: the host converts pointer positions to view px and calls update() once per frame.
+     resize(w, h, map)     view size and the map it moves over
+     follow(tx, ty, dt)    ease towards centring (tx, ty); a jump bigger than the view snaps
+     snap(tx, ty)          centre on (tx, ty) at once
+     shake(amount, x, y)   kick the view by up to `amount` px; with x,y it fades with distance
+     toWorld(sx, sy)  toView(x, y)  inView(x, y, margin)
+     edgePoint(x, y, margin) -> { x, y, angle } on the view's border towards an off-view point
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ZS = Object.assign(root.ZS || {}, factory());
+})(this, function(){
+'use strict';
+
+const FOLLOW_RATE = 6;          // 1/s: share of the remaining distance closed, exponentially
+const SHAKE_DECAY = 8;          // 1/s
+const MAX_SHAKE = 24;           // px
+
+function createCamera(){
+  let mapW = 0, mapH = 0, shakeAmp = 0;
+  const cam = { x: 0, y: 0, w: 0, h: 0, ox: 0, oy: 0 };
+
+  // top-left corner that centres (tx, ty), kept on the map
+  function clampX(tx){ return mapW <= cam.w ? (mapW - cam.w) / 2 : Math.max(0, Math.min(mapW - cam.w, tx - cam.w / 2)); }
+  function clampY(ty){ return mapH <= cam.h ? (mapH - cam.h) / 2 : Math.max(0, Math.min(mapH - cam.h, ty - cam.h / 2)); }
+
+  cam.resize = (w, h, map) => {
+    cam.w = w; cam.h = h; mapW = map.width; mapH = map.height;
+    cam.x = clampX(cam.x + cam.w / 2); cam.y = clampY(cam.y + cam.h / 2);
+  };
+
+  cam.snap = (tx, ty) => { cam.x = clampX(tx); cam.y = clampY(ty); };
+
+  cam.follow = (tx, ty, dt) => {
+    const x = clampX(tx), y = clampY(ty);
+    if(Math.abs(x - cam.x) > cam.w || Math.abs(y - cam.y) > cam.h){ cam.x = x; cam.y = y; } // new run, respawn
+    else {
+      const k = 1 - Math.exp(-FOLLOW_RATE * dt);
+      cam.x += (x - cam.x) * k; cam.y += (y - cam.y) * k;
+    }
+    shakeAmp *= Math.exp(-SHAKE_DECAY * dt);
+    if(shakeAmp < 0.3) shakeAmp = 0;
+    cam.ox = (Math.random() * 2 - 1) * shakeAmp;
+    cam.oy = (Math.random() * 2 - 1) * shakeAmp;
+  };
+
+  cam.shake = (amount, x, y) => {
+    if(x != null){
+      const d = Math.hypot(x - (cam.x + cam.w / 2), y - (cam.y + cam.h / 2));
+      amount *= Math.max(0, 1 - d / Math.max(cam.w, cam.h));
+    }
+    shakeAmp = Math.min(MAX_SHAKE, Math.max(shakeAmp, amount));
+  };
+
+  cam.toWorld = (sx, sy) => ({ x: sx + cam.x, y: sy + cam.y });
+  cam.toView = (x, y) => ({ x: x - cam.x, y: y - cam.y });
+  cam.inView = (x, y, margin = 0) => x >= cam.x - margin && x <= cam.x + cam.w + margin && y >= cam.y - margin && y <= cam.y + cam.h + margin;
+
+  // where the line from the view's centre to (x, y) leaves the view, `margin` px inside it
+  cam.edgePoint = (x, y, margin = 0) => {
+    const hw = cam.w / 2 - margin, hh = cam.h / 2 - margin;
+    const dx = x - (cam.x + cam.w / 2), dy = y - (cam.y + cam.h / 2);
+    const k = Math.min(dx ? hw / Math.abs(dx) : Infinity, dy ? hh / Math.abs(dy) : Infinity);
+    return { x: cam.w / 2 + dx * k, y: cam.h / 2 + dy * k, angle: Math.atan2(dy, dx) };
+  };
+
+  return cam;
+}
+
+return { createCamera };
+});
@@ -0,0 +1,133 @@
+/* src/controls.js - keyboard actions, rebindable bindings and gamepad helpers
+   Bindings map each action to up to two keys (KeyboardEvent.key, lower-cased).
+   The save stores only the actions the player changed (settings.keys); resolveBindings()
+   lays them over the defaults. Actions in different groups (play / p2 / replay / editor / dev) may share keys;
+   in co-op a key bound to player 2 (group p2) is theirs, even if player 1 also has it.
+   Each registered weapon (weapons.js) gets an action weapon1, weapon2... in registration order,
+   bound to its hotkey, so the built-ins are weapon1-7 and a mod's weapons follow.
+   Gamepads use the standard mapping (PAD); sticks go through stickValue() and aimAssist().
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./weapons.js'));
+  else root.ZS = Object.assign(root.ZS || {}, factory(root.ZS));
+})(this, function(ZS){
+'use strict';
+
+const { WEAPONS } = ZS;
+
+const SLOTS = 2;
+
+const ACTIONS = [
+  { id:'up',          label:'Move up',        group:'play',   keys:['w', 'arrowup'] },
+  { id:'down',        label:'Move down',      group:'play',   keys:['s', 'arrowdown'] },
+  { id:'left',        label:'Move left',      group:'play',   keys:['a', 'arrowleft'] },
+  { id:'right',       label:'Move right',     group:'play',   keys:['d', 'arrowright'] },
+  { id:'reload',      label:'Reload',         group:'play',   keys:['r'] },
+  { id:'nextWeapon',  label:'Next weapon',    group:'play',   keys:['q'] },
+  { id:'confirm',     label:'Start / restart / next wave', group:'play', keys:['enter'] },
+  { id:'shop',        label:'Shop between waves', group:'play', keys:['b'] },
+  { id:'pause',       label:'Pause',          group:'play',   keys:['escape', 'p'] },
+  { id:'export',      label:'Export replay',  group:'play',   keys:['e'] },
+  { id:'p2up',        label:'P2: move up',    group:'p2',     keys:['arrowup'] },
+  { id:'p2down',      label:'P2: move down',  group:'p2',     keys:['arrowdown'] },
+  { id:'p2left',      label:'P2: move left',  group:'p2',     keys:['arrowleft'] },
+  { id:'p2right',     label:'P2: move right', group:'p2',     keys:['arrowright'] },
+  { id:'p2fire',      label:'P2: fire',       group:'p2',     keys:['0', '/'] },
+  { id:'p2reload',    label:'P2: reload',     group:'p2',     keys:['.'] },
+  { id:'p2nextWeapon',label:'P2: next weapon',group:'p2',     keys:['+', ','] },
+  { id:'replayPause', label:'Replay: pause',  group:'replay', keys:[' '] },
+  { id:'replayStep',  label:'Replay: step',   group:'replay', keys:['.'] },
+  { id:'replaySpeed', label:'Replay: speed',  group:'replay', keys:['f'] },
+  { id:'replayStop',  label:'Replay: stop',   group:'replay', keys:['escape'] },
+  { id:'editorTest',  label:'Editor: test-play / back', group:'editor', keys:['t'] },
+  { id:'editorDelete',label:'Editor: delete', group:'editor', keys:['delete', 'backspace'] },
+  { id:'devOverlay',  label:'Debug overlay',  group:'dev',    keys:['f3'] },
+  { id:'devConsole',  label:'Developer console', group:'dev', keys:['`'] },
+];
+const ACTION_BY_ID = {};
+for(const a of ACTIONS) ACTION_BY_ID[a.id] = a;
+
+// weapon actions for weapons registered since the last call, after the ones already there
+function syncWeaponActions(){
+  let at = ACTIONS.indexOf(ACTION_BY_ID.nextWeapon) + 1;
+  Object.keys(WEAPONS).forEach((key, i) => {
+    const id = `weapon${i + 1}`, w = WEAPONS[key];
+    if(!ACTION_BY_ID[id]){
+      ACTION_BY_ID[id] = { id, group:'play', keys: w.hotkey ? [w.hotkey] : [] };
+      ACTIONS.splice(at, 0, ACTION_BY_ID[id]);
+    }
+    Object.assign(ACTION_BY_ID[id], { label: w.label || w.name, weapon: key });
+    at++;
+  });
+}
+syncWeaponActions();
+
+const normKey = (key) => key.toLowerCase();
+
+const KEY_NAMES = { ' ':'Space', arrowup:'↑', arrowdown:'↓', arrowleft:'←', arrowright:'→', escape:'Esc', enter:'Enter', shift:'Shift', control:'Ctrl', alt:'Alt', tab:'Tab' };
+const keyLabel = (key) => key == null ? '—' : KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1));
+
+function defaultBindings(){
+  syncWeaponActions();
+  const b = {};
+  for(const a of ACTIONS) b[a.id] = a.keys.concat([null, null]).slice(0, SLOTS);
+  return b;
+}
+
+// defaults with the saved overrides on top (unknown actions are dropped)
+function resolveBindings(overrides = {}){
+  const b = defaultBindings();
+  for(const id in overrides){
+    if(b[id] && Array.isArray(overrides[id])) b[id] = overrides[id].concat([null, null]).slice(0, SLOTS);
+  }
+  return b;
+}
+
+// the action in the same group that already uses key, or null
+function findConflict(bindings, actionId, key){
+  const group = ACTION_BY_ID[actionId].group;
+  for(const a of ACTIONS){
+    if(a.id !== actionId && a.group === group && bindings[a.id].includes(key)) return a.id;
+  }
+  return null;
+}
+
+function actionsForKey(bindings, key, group){
+  const out = [];
+  for(const a of ACTIONS) if(a.group === group && bindings[a.id].includes(key)) out.push(a.id);
+  return out;
+}
+
+/* ------------------------ Gamepad ------------------------ */
+// standard mapping button indices
+const PAD = { a:0, b:1, x:2, y:3, lb:4, rb:5, lt:6, rt:7, select:8, start:9, up:12, down:13, left:14, right:15 };
+const PAD_DEADZONE = 0.2;
+
+// radial deadzone, rescaled so the output still goes 0..1 past it
+function stickValue(x, y, deadzone = PAD_DEADZONE){
+  const m = Math.hypot(x, y);
+  if(m < deadzone) return { x: 0, y: 0 };
+  const k = Math.min(1, (m - deadzone) / (1 - deadzone)) / m;
+  return { x: x * k, y: y * k };
+}
+
+// the closest live target within `cone` radians (widened by its size) of the aim direction
+// and within range, or null; nearer and better-centred targets win
+function aimAssist(px, py, dx, dy, targets, cone = 0.18, range = 520){
+  const a0 = Math.atan2(dy, dx);
+  let best = null, bestScore = Infinity;
+  for(const t of targets){
+    if(t.dead) continue;
+    const tx = t.x - px, ty = t.y - py, d = Math.hypot(tx, ty);
+    if(d > range || d < 1) continue;
+    let da = Math.abs(Math.atan2(ty, tx) - a0);
+    if(da > Math.PI) da = Math.PI*2 - da;
+    if(da > cone + Math.atan(t.r / d)) continue;
+    const score = da / cone + d / range;
+    if(score < bestScore){ bestScore = score; best = t; }
+  }
+  return best;
+}
+
+return { PAD, stickValue, aimAssist, ACTIONS, ACTION_BY_ID, normKey, keyLabel, defaultBindings, resolveBindings, findConflict, actionsForKey };
+});
@@ -0,0 +1,66 @@
+/* src/damage.js - damage model tables: status effects, enemy armor, knockback, hit timing
+   Every hit goes through the sim's hurtPlayer() / hurtEnemy() (sim.js, Damage section), which use these.
+   STATUS_EFFECTS  key -> { name, color, ms, dps, speed }:
+     dps is dealt in steps every STATUS_TICK_MS, speed multiplies the walking speed while it lasts
+       acid  spitter spit on a player       burn  rockets on zombies       slow  the freeze ray on zombies
+     A weapon's or projectile's `status` (weapons.js, enemies.js) goes on whoever it hits; another hit
+     renews it. Damage over time goes through armor and past the invulnerability after a hit.
+   Armor: a zombie's (enemies.js `armor`) takes a flat amount off every bullet, down to ARMOR_FLOOR of it;
+     explosions ignore it. The player's is the armor pickup's pool (pickups.js ARMOR_SOAK).
+   Knockback: a push in px/s that dies down by KNOCKBACK_DECAY a second, divided by the zombie's `mass`.
+   Contact: zombies hit a player they touch every CONTACT_EVERY ms (enemies.js `hitEvery`) and recoil;
+     only self-destructing ones (bombers) die of it. After a hit a player is safe for HIT_INVULN_MS.
+   Data and pure functions only, like stats.js.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ZS = Object.assign(root.ZS || {}, factory());
+})(this, function(){
+'use strict';
+
+const STATUS_TICK_MS = 500;
+const HIT_INVULN_MS = 400;      // after a hit (statuses aside)
+const CONTACT_EVERY = 800;      // ms between a zombie's hits on a player it touches
+const CONTACT_RECOIL = 260;     // px/s a zombie bounces back after hitting
+const BLAST_PUSH = 320;         // px/s an explosion of scale 1 pushes zombies out
+const KNOCKBACK_DECAY = 7;      // per second
+const ARMOR_FLOOR = 0.25;       // share of a bullet that always gets through armor
+
+const STATUS_EFFECTS = {
+  acid: { name:'Acid',    color:'#a3e635', ms:2500, dps:2 },
+  burn: { name:'Burning', color:'#f97316', ms:3000, dps:1 },
+  slow: { name:'Chilled', color:'#7dd3fc', ms:2000, speed:0.45 },
+};
+
+// put a status on a player or zombie (target.status), or renew it; from: { weapon, owner } it counts for
+function applyStatus(target, key, time, from = null){
+  const def = STATUS_EFFECTS[key];
+  if(!def) return null;
+  const st = target.status[key] || (target.status[key] = { next: time + STATUS_TICK_MS });
+  st.until = time + def.ms;
+  st.weapon = from && from.weapon || key;
+  st.owner = from && from.owner != null ? from.owner : null;
+  return st;
+}
+
+// walking speed multiplier from the statuses a target has
+function statusSpeed(target){
+  let k = 1;
+  for(const key in target.status) if(STATUS_EFFECTS[key].speed) k *= STATUS_EFFECTS[key].speed;
+  return k;
+}
+
+// what a bullet of `dmg` does through `armor`
+const throughArmor = (dmg, armor) => armor ? Math.max(dmg * ARMOR_FLOOR, dmg - armor) : dmg;
+
+// add a push of `force` px/s along (dx, dy) to a zombie's knockback; heavy ones barely move
+function knockback(e, dx, dy, force){
+  const d = Math.hypot(dx, dy) || 1, k = force / (e.mass || 1);
+  e.kx += dx / d * k; e.ky += dy / d * k;
+}
+
+return {
+  STATUS_EFFECTS, STATUS_TICK_MS, HIT_INVULN_MS, CONTACT_EVERY, CONTACT_RECOIL, BLAST_PUSH, KNOCKBACK_DECAY, ARMOR_FLOOR,
+  applyStatus, statusSpeed, throughArmor, knockback,
+};
+});
@@ -0,0 +1,139 @@
+/* src/devtools.js - the developer console's commands (the host toggles it, see controls.js devConsole)
+   runCommand(line, ctx) parses one line and runs it; ctx = { sim, at:{x,y} (the cursor, world px),
+   timeScale, setTimeScale(k) }. It returns the text to print and throws an Error the host prints
+   for a bad command. Commands that change the run go through sim.dev (sim.js), which marks it.
+   Weapon stat edits change WEAPONS itself, for the run they are made in only (never behind the menu):
+   the host calls resetWeaponEdits() before anything else starts or the menu's shop opens up again.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(Object.assign({}, require('./weapons.js'), require('./enemies.js')));
+  else root.ZS = Object.assign(root.ZS || {}, factory(root.ZS));
+})(this, function(ZS){
+'use strict';
+
+const { WEAPONS, ENEMIES } = ZS;
+
+const TIME_SCALES = [0.1, 8];   // the slowest and fastest the game clock can run
+const MAX_SPAWN = 200;          // per spawn command
+const WEAPON_STATS = ['damage', 'maxAmmo', 'fireRate', 'reload', 'pellets', 'spread', 'blast', 'knockback', 'ammoPrice'];
+
+const keyList = (map) => Object.keys(map).join(', ');
+
+const editedStats = {}; // weapon key -> { stat: its value before the console changed it }
+
+function number(str, what){
+  const v = Number(str);
+  if(str == null || str === '' || !Number.isFinite(v)) throw new Error(`${what} must be a number`);
+  return v;
+}
+
+function weaponKey(key){
+  if(!WEAPONS[key]) throw new Error(`No weapon "${key}" (${keyList(WEAPONS)})`);
+  return key;
+}
+
+// a weapon's editable stats as "stat value" pairs
+const weaponSummary = (key) => `${key}: ` + WEAPON_STATS.filter(k => WEAPONS[key][k] != null).map(k => `${k} ${WEAPONS[key][k]}`).join(', ');
+
+const DEV_COMMANDS = {
+  help: {
+    usage: 'help',
+    help: 'this list',
+    run: () => Object.keys(DEV_COMMANDS).map(k => `${DEV_COMMANDS[k].usage} — ${DEV_COMMANDS[k].help}`).join('\n'),
+  },
+  spawn: {
+    usage: 'spawn <type> [n]',
+    help: 'n zombies of a type at the cursor',
+    run([type, n = '1'], { sim, at }){
+      if(!ENEMIES[type]) throw new Error(`No enemy type "${type}" (${keyList(ENEMIES)})`);
+      const count = Math.max(1, Math.min(MAX_SPAWN, Math.floor(number(n, 'n'))));
+      for(let i=0;i<count;i++) sim.dev.spawn(type, at.x + (i % 5) * 12, at.y + Math.floor(i / 5) * 12);
+      return `Spawned ${count} ${type}`;
+    },
+  },
+  level: {
+    usage: 'level <n>',
+    help: "jump straight into level n's wave",
+    run([n], { sim }){
+      sim.dev.level(number(n, 'Level'));
+      return `Level ${sim.state.level}`;
+    },
+  },
+  coins: {
+    usage: 'coins <n> [player]',
+    help: 'give coins (player 1 or 2)',
+    run([n, who = '1'], { sim }){
+      sim.dev.coins(number(n, 'n'), number(who, 'player') - 1);
+      return `Coins: ${sim.state.coins}`;
+    },
+  },
+  give: {
+    usage: 'give <weapon|all> [player]',
+    help: 'a weapon with a full magazine',
+    run([key, who = '1'], { sim }){
+      const keys = key === 'all' ? Object.keys(WEAPONS) : [weaponKey(key)];
+      for(const k of keys) sim.dev.give(k, number(who, 'player') - 1);
+      return `Gave ${keys.join(', ')}`;
+    },
+  },
+  god: {
+    usage: 'god [on|off]',
+    help: 'nothing hurts the players',
+    run([arg], { sim }){
+      const on = arg == null ? !(sim.state.dev && sim.state.dev.god) : arg === 'on';
+      sim.dev.god(on);
+      return `God mode ${on ? 'on' : 'off'}`;
+    },
+  },
+  time: {
+    usage: 'time [scale]',
+    help: `game speed, ${TIME_SCALES[0]}-${TIME_SCALES[1]} (1 is normal)`,
+    run([k], ctx){
+      if(k == null) return `Time scale ${ctx.timeScale}`;
+      const v = Math.max(TIME_SCALES[0], Math.min(TIME_SCALES[1], number(k, 'Scale')));
+      ctx.setTimeScale(v);
+      if(v !== 1) ctx.sim.dev.mark(); // slow motion would make the run's score easy
+      return `Time scale ${v}`;
+    },
+  },
+  weapon: {
+    usage: 'weapon <key> [stat value]',
+    help: `show or change a weapon's base stat (${WEAPON_STATS.join(', ')}) for this run`,
+    run([key, stat, value], { sim }){
+      weaponKey(key);
+      if(stat == null) return weaponSummary(key);
+      if(!WEAPON_STATS.includes(stat)) throw new Error(`Can't edit "${stat}" (${WEAPON_STATS.join(', ')})`);
+      if(!sim.state.started) throw new Error('Start a run first');
+      const v = number(value, stat);
+      if(v < 0) throw new Error(`${stat} can't be negative`);
+      const base = editedStats[key] || (editedStats[key] = {});
+      if(!(stat in base)) base[stat] = WEAPONS[key][stat];
+      WEAPONS[key][stat] = stat === 'maxAmmo' || stat === 'pellets' ? Math.max(1, Math.round(v)) : v;
+      sim.dev.refit(key);
+      return weaponSummary(key);
+    },
+  },
+};
+
+// puts back every stat the weapon command changed; the keys of the weapons it touched
+function resetWeaponEdits(){
+  const keys = Object.keys(editedStats);
+  for(const key of keys){
+    Object.assign(WEAPONS[key], editedStats[key]);
+    delete editedStats[key];
+  }
+  return keys;
+}
+
+// "spawn tank 3" -> the command's output
+function runCommand(line, ctx){
+  const [name, ...args] = String(line).trim().split(/\s+/);
+  if(!name) return '';
+  const cmd = DEV_COMMANDS[name.toLowerCase()];
+  if(!cmd) throw new Error(`Unknown command "${name}" (try help)`);
+  if(!ctx.sim.dev && cmd !== DEV_COMMANDS.help) throw new Error('Not available online');
+  return cmd.run(args, ctx);
+}
+
+return { DEV_COMMANDS, TIME_SCALES, runCommand, resetWeaponEdits };
+});
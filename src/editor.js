@@ -0,0 +1,234 @@
+/* src/editor.js - level editor model: the map being edited, tools, snapping, selection, undo
+   No DOM: the host (game.js) passes pointer positions in world px and draws ed.doc.
+   ed.doc is a map in the plain JSON format (maps.js), changed in place. Tools:
+     select  click picks what's under the pointer (pickup point, player start, wall, spawn zone);
+             drag moves it, dragging a corner handle resizes a rect wall or a spawn zone
+     wall    drag out a rect wall          spawn   drag out a spawn zone (a click makes a point)
+     pickup  click adds a pickup point     start   click puts the player start there
+   Positions snap to `grid` px (0 = off). Each drag, delete or edit() is one undo step.
+   validate() runs the real loader, so the editor reports the same errors a map file would.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./maps.js'));
+  else root.ZS = Object.assign(root.ZS || {}, factory(root.ZS));
+})(this, function(ZS){
+'use strict';
+
+const { loadMap, circleHitsWall, pointInPolygon } = ZS;
+
+const EDITOR_TOOLS = ['select', 'wall', 'spawn', 'pickup', 'start'];
+const GRID_SIZES = [0, 10, 20, 40];
+const MAX_UNDO = 100;
+const HANDLE = 8;          // px around a corner that grabs it
+const POINT_R = 12;        // px around a pickup point or the start that grabs it
+const MIN_WALL = 4;        // thinner drags don't make a wall
+const EDGE = 60;           // px beyond the map edges things can go (spawn zones live off-screen)
+
+const clamp = (v,a,b) => Math.max(a, Math.min(b,v));
+const copy = (o) => JSON.parse(JSON.stringify(o));
+const isPoly = (w) => !!w.points;
+
+// an empty arena: the player in the middle, zombies from all four edges
+function blankMap(width = 1200, height = 800){
+  return {
+    id: 'my-map', name: 'My map', width, height, background: '#050406',
+    playerStart: { x: width / 2, y: height / 2 },
+    walls: [],
+    spawnZones: [
+      { name: 'west',  x: -30,       y: 0,          w: 0,     h: height },
+      { name: 'east',  x: width + 30, y: 0,         w: 0,     h: height },
+      { name: 'north', x: 0,         y: -30,        w: width, h: 0 },
+      { name: 'south', x: 0,         y: height + 30, w: width, h: 0 },
+    ],
+    pickupPoints: [],
+    tiles: [],
+  };
+}
+
+const bboxOf = (pts) => {
+  const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+  return { x: Math.min(...xs), y: Math.min(...ys), w: Math.max(...xs) - Math.min(...xs), h: Math.max(...ys) - Math.min(...ys) };
+};
+
+// the rect spanned by two corners
+const span = (a, b) => ({ x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), w: Math.abs(b.x - a.x), h: Math.abs(b.y - a.y) });
+
+function createEditor(doc = blankMap()){
+  let undoStack = [], redoStack = [];
+  let before = null; // doc as it was when the current change began
+  let drag = null;   // { mode:'move'|'resize'|'create', from, orig, handle, rect }
+
+  const ed = {
+    doc: copy(doc), tool: 'select', grid: 20,
+    selection: null, // { kind:'wall'|'zone'|'pickup'|'start', index }
+  };
+
+  const snap = (v) => ed.grid ? Math.round(v / ed.grid) * ed.grid : Math.round(v);
+  const snapPoint = (x, y) => ({ x: snap(clamp(x, -EDGE, ed.doc.width + EDGE)), y: snap(clamp(y, -EDGE, ed.doc.height + EDGE)) });
+  const onMap = (p) => ({ x: clamp(p.x, 0, ed.doc.width), y: clamp(p.y, 0, ed.doc.height) });
+
+  /* ---- Undo ---- */
+  function begin(){ before = JSON.stringify(ed.doc); }
+  function end(){
+    if(before === null) return;
+    if(before !== JSON.stringify(ed.doc)){
+      undoStack.push(before);
+      if(undoStack.length > MAX_UNDO) undoStack.shift();
+      redoStack = [];
+    }
+    before = null;
+  }
+  function swap(from, to){
+    if(!from.length) return false;
+    to.push(JSON.stringify(ed.doc));
+    ed.doc = JSON.parse(from.pop());
+    ed.selection = null;
+    drag = null;
+    return true;
+  }
+  ed.undo = () => swap(undoStack, redoStack);
+  ed.redo = () => swap(redoStack, undoStack);
+  ed.canUndo = () => undoStack.length > 0;
+  ed.canRedo = () => redoStack.length > 0;
+
+  // any other change (name, size, an imported map) as one undo step
+  ed.edit = (fn) => { begin(); fn(ed.doc); end(); };
+  ed.load = (data) => ed.edit(() => { ed.doc = copy(data); ed.selection = null; });
+
+  /* ---- Selection ---- */
+  ed.selected = () => {
+    const sel = ed.selection;
+    if(!sel) return null;
+    if(sel.kind === 'start') return ed.doc.playerStart;
+    return (sel.kind === 'wall' ? ed.doc.walls : sel.kind === 'zone' ? ed.doc.spawnZones : ed.doc.pickupPoints)[sel.index] || null;
+  };
+
+  // the selection's outline: rect walls and zones as they are, polygons by their bbox
+  ed.selectionBounds = () => {
+    const sel = ed.selection, it = ed.selected();
+    if(!it) return null;
+    if(sel.kind === 'wall' && isPoly(it)) return bboxOf(it.points);
+    if(sel.kind === 'wall' || sel.kind === 'zone') return { x: it.x, y: it.y, w: it.w, h: it.h };
+    return { x: it.x - POINT_R, y: it.y - POINT_R, w: POINT_R * 2, h: POINT_R * 2 };
+  };
+
+  // corner handles of the selection, when it can be resized
+  ed.handles = () => {
+    const sel = ed.selection, it = ed.selected();
+    if(!it || !(sel.kind === 'zone' || (sel.kind === 'wall' && !isPoly(it)))) return [];
+    return [
+      { handle: 'nw', x: it.x, y: it.y }, { handle: 'ne', x: it.x + it.w, y: it.y },
+      { handle: 'sw', x: it.x, y: it.y + it.h }, { handle: 'se', x: it.x + it.w, y: it.y + it.h },
+    ];
+  };
+
+  // what's under (x, y): the selection's handles first, then points, walls (topmost first), zones
+  ed.hitTest = (x, y) => {
+    for(const h of ed.handles()) if(Math.abs(h.x - x) <= HANDLE && Math.abs(h.y - y) <= HANDLE) return Object.assign({ handle: h.handle }, ed.selection);
+    const near = (p) => Math.hypot(p.x - x, p.y - y) <= POINT_R;
+    const d = ed.doc;
+    for(let i=d.pickupPoints.length-1;i>=0;i--) if(near(d.pickupPoints[i])) return { kind: 'pickup', index: i };
+    if(near(d.playerStart)) return { kind: 'start', index: 0 };
+    for(let i=d.walls.length-1;i>=0;i--){
+      const w = d.walls[i];
+      if(isPoly(w) ? pointInPolygon(x, y, w.points) : circleHitsWall(x, y, 2, w)) return { kind: 'wall', index: i };
+    }
+    // zones can be flat lines, so they're grabbed within HANDLE of their rect
+    for(let i=d.spawnZones.length-1;i>=0;i--){
+      const z = d.spawnZones[i];
+      if(x >= z.x - HANDLE && x <= z.x + z.w + HANDLE && y >= z.y - HANDLE && y <= z.y + z.h + HANDLE) return { kind: 'zone', index: i };
+    }
+    return null;
+  };
+
+  ed.setTool = (tool) => { if(EDITOR_TOOLS.includes(tool)){ ed.tool = tool; drag = null; } };
+  ed.setGrid = (grid) => { ed.grid = grid; };
+
+  ed.deleteSelected = () => {
+    const sel = ed.selection;
+    if(!sel || sel.kind === 'start' || !ed.selected()) return false; // the map always has a start
+    ed.edit(d => (sel.kind === 'wall' ? d.walls : sel.kind === 'zone' ? d.spawnZones : d.pickupPoints).splice(sel.index, 1));
+    ed.selection = null;
+    return true;
+  };
+
+  /* ---- Pointer ---- */
+  ed.pointerDown = (x, y) => {
+    const p = snapPoint(x, y);
+    begin();
+    if(ed.tool === 'select'){
+      const hit = ed.hitTest(x, y);
+      ed.selection = hit && { kind: hit.kind, index: hit.index };
+      drag = hit ? { mode: hit.handle ? 'resize' : 'move', handle: hit.handle, from: { x, y }, orig: copy(ed.selected()) } : null;
+    } else if(ed.tool === 'wall' || ed.tool === 'spawn'){
+      drag = { mode: 'create', from: p, rect: span(p, p) };
+    } else if(ed.tool === 'pickup'){
+      ed.doc.pickupPoints.push(onMap(p));
+      ed.selection = { kind: 'pickup', index: ed.doc.pickupPoints.length - 1 };
+    } else if(ed.tool === 'start'){
+      Object.assign(ed.doc.playerStart, onMap(p));
+      ed.selection = { kind: 'start', index: 0 };
+    }
+  };
+
+  ed.pointerMove = (x, y) => {
+    if(!drag) return;
+    const p = snapPoint(x, y);
+    if(drag.mode === 'create'){ drag.rect = span(drag.from, p); return; }
+    const it = ed.selected(), o = drag.orig, kind = ed.selection.kind;
+    if(drag.mode === 'resize'){
+      // the dragged corner follows the pointer, the opposite one stays
+      const fx = drag.handle[1] === 'w' ? o.x + o.w : o.x, fy = drag.handle[0] === 'n' ? o.y + o.h : o.y;
+      const r = span({ x: fx, y: fy }, p);
+      if(kind === 'wall'){ r.w = Math.max(MIN_WALL, r.w); r.h = Math.max(MIN_WALL, r.h); }
+      Object.assign(it, r);
+      return;
+    }
+    const dx = x - drag.from.x, dy = y - drag.from.y;
+    if(kind === 'wall' && isPoly(it)){
+      // polygons keep their shape: the delta snaps, not the points
+      const sx = snap(dx), sy = snap(dy);
+      it.points = o.points.map(q => ({ x: q.x + sx, y: q.y + sy }));
+    } else if(kind === 'pickup' || kind === 'start'){
+      Object.assign(it, onMap(snapPoint(o.x + dx, o.y + dy)));
+    } else {
+      Object.assign(it, snapPoint(o.x + dx, o.y + dy));
+    }
+  };
+
+  ed.pointerUp = (x, y) => {
+    if(drag && drag.mode === 'create'){
+      ed.pointerMove(x, y);
+      const r = drag.rect;
+      if(ed.tool === 'wall' && r.w >= MIN_WALL && r.h >= MIN_WALL){
+        ed.doc.walls.push(r);
+        ed.selection = { kind: 'wall', index: ed.doc.walls.length - 1 };
+      } else if(ed.tool === 'spawn'){
+        ed.doc.spawnZones.push(Object.assign({ name: zoneName() }, r));
+        ed.selection = { kind: 'zone', index: ed.doc.spawnZones.length - 1 };
+      }
+    }
+    drag = null;
+    end();
+  };
+
+  // the rect being dragged out with the wall or spawn tool, for the host to draw
+  ed.preview = () => drag && drag.mode === 'create' ? { tool: ed.tool, rect: drag.rect } : null;
+
+  function zoneName(){
+    const names = new Set(ed.doc.spawnZones.map(z => z.name));
+    let n = ed.doc.spawnZones.length + 1;
+    while(names.has(`zone${n}`)) n++;
+    return `zone${n}`;
+  }
+
+  /* ---- Output ---- */
+  ed.toJSON = () => copy(ed.doc);
+  // the loaded map, or throws the loader's error listing every problem
+  ed.validate = () => loadMap(ed.toJSON());
+
+  return ed;
+}
+
+return { createEditor, blankMap, EDITOR_TOOLS, GRID_SIZES };
+});
@@ -0,0 +1,108 @@
+/* src/enemies.js - enemy registry: every zombie type, the built-in ones and any a mod adds
+   registerEnemy(type, def) adds one to ENEMIES (the same type again replaces it); def:
+     name, color, r, speed, hp   stats; speed and hp may be functions of the level
+     cost       wave budget points per enemy (waves.js); above 0 for one with a mix
+     mix        { from, weight }: joins the regular wave mix from that level on
+                (the built-ins are in waves.js COMPOSITION and SPECIAL_WAVES instead)
+     damage     hp each of its hits costs a player it touches, 6 if unset
+     hitEvery   ms between those hits (damage.js CONTACT_EVERY if unset)
+     selfDestruct   it dies hitting a player instead (its die hook runs)
+     armor, mass    taken off each bullet's damage / how hard it is to knock back (damage.js); 0 and 1 if unset
+     coins, score   for a kill by bullet: a number or fn(e, api); 3-5 coins and 10 points if unset
+     drops      its drop table (pickups.js shape)
+     sound      which zombie's voice it has (audio.js GROANS key, default its own type)
+     mark       the shape drawn on it when shape markers are on (accessibility.js MARKS key)
+   Hooks, all optional; api is the sim's (sim.js, Hook API):
+     init(e, api)              after the stats are set, before maxHp is taken from hp
+     update(e, api, dt)        every tick before it moves (e.target is the player it's after); true skips the walk
+     steer(e, h, api)          change the unit heading h.x/h.y; h.dx/h.dy/h.d is the way to e.target
+     contact(e, player, api)   true when it handled touching a player itself
+     die(e, api)               killed, whatever by (bullet, explosion, status, nuke, touching a player); once
+     draw(ctx, e, time)        instead of the plain disc (world px; the host still draws the hp bar)
+   Hooks run inside the sim: randomness must come from api.rng, so runs and replays stay reproducible.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(Object.assign({}, require('./bosses.js'), require('./pickups.js')));
+  else root.ZS = Object.assign(root.ZS || {}, factory(root.ZS));
+})(this, function(ZS){
+'use strict';
+
+const { BOSSES, bossForLevel, DROP_TABLES } = ZS;
+
+const SPIT_EVERY = 1400;        // ms between spits
+const SPIT_RANGE = 420;         // spitters only spit at a visible player this close
+const SPIT_KEEP = [170, 260];   // spitters back off inside, hold/strafe between, close in beyond
+const SPIT_DAMAGE = 5;          // on impact, then acid (damage.js)
+const FLANK_FROM = 110;         // fast zombies swing wide while further than this
+const FLANK_STRENGTH = 0.9;
+
+const ENEMIES = {};
+
+function registerEnemy(type, def){
+  if(def.cost == null) throw new Error(`Enemy "${type}" needs a wave cost`);
+  // planWave spends a budget on the mix; a free enemy would never use it up
+  if(def.mix && !(def.cost > 0)) throw new Error(`Enemy "${type}" joins the wave mix, so its cost must be above 0`);
+  return ENEMIES[type] = Object.assign({ name: type }, def);
+}
+
+// a stat that may depend on the level
+const statAt = (v, level) => typeof v === 'function' ? v(level) : v;
+
+registerEnemy('normal', {
+  name:'Zombie', color:'#16a34a', r:18, cost:1, mark:'circle', drops: DROP_TABLES.normal,
+  speed: (level) => 50 + (level-1)*3, hp: (level) => 1 + Math.floor(level/4),
+});
+
+registerEnemy('fast', {
+  name:'Runner', color:'#f97316', r:14, speed:120, hp:1, cost:1.5, mark:'triangle', drops: DROP_TABLES.fast,
+  // swing out to one side, tightening in as they close the distance
+  steer(e, h){
+    if(h.d <= FLANK_FROM) return;
+    const k = Math.min(FLANK_STRENGTH, (h.d - FLANK_FROM) / 250);
+    const fx = h.x - h.y * e.flank * k, fy = h.y + h.x * e.flank * k;
+    const fl = Math.hypot(fx, fy) || 1;
+    h.x = fx/fl; h.y = fy/fl;
+  },
+});
+
+registerEnemy('tank', {
+  name:'Tank', color:'#14532d', r:26, speed:36, hp: (level) => 4 + Math.floor(level/2), cost:3, mark:'square',
+  damage:12, coins:8, armor:0.4, mass:2.5, drops: DROP_TABLES.tank,
+});
+
+registerEnemy('spitter', {
+  name:'Spitter', color:'#7c3aed', r:18, speed:45, hp:2, cost:2, mark:'diamond', drops: DROP_TABLES.spitter,
+  init(e){ e.lastSpit = 0; },
+  // needs a clear line to the player
+  update(e, api){
+    const s = api.state, t = e.target;
+    if(!e.los || s.time - e.lastSpit <= SPIT_EVERY || Math.hypot(t.x - e.x, t.y - e.y) >= SPIT_RANGE) return false;
+    const a = Math.atan2(t.y - e.y, t.x - e.x);
+    s.bullets.push({ x: e.x, y: e.y, vx: Math.cos(a)*220, vy: Math.sin(a)*220, r:5, dmg:SPIT_DAMAGE, status:'acid', from:'enemy', source:'spitter' });
+    e.lastSpit = s.time;
+    return false;
+  },
+  // keeps its distance while it can see the player
+  steer(e, h){
+    if(!e.los) return;
+    if(h.d < SPIT_KEEP[0]){ h.x = -h.dx/h.d; h.y = -h.dy/h.d; }
+    else if(h.d < SPIT_KEEP[1]){ h.x = -h.dy/h.d * e.flank * 0.5; h.y = h.dx/h.d * e.flank * 0.5; }
+  },
+});
+
+registerEnemy('bomber', {
+  name:'Bomber', color:'#dc2626', r:16, speed:40, hp:1, cost:1.5, mark:'cross', selfDestruct:true, drops: DROP_TABLES.bomber,
+  die(e, api){ api.explode(e.x, e.y, 1.0); },
+});
+
+// which boss comes is up to the level (bosses.js); the sim runs its attacks
+registerEnemy('boss', {
+  name:'Boss', cost:0, mass:8, mark:'star', drops: DROP_TABLES.boss,
+  coins: (e) => BOSSES[e.boss].coins, score: (e) => BOSSES[e.boss].score,
+  init(e, api){ api.initBoss(e, bossForLevel(api.state.level)); },
+  update(e, api, dt){ return api.updateBoss(e, dt); },
+  contact(e, player, api){ api.bossContact(e, player); return true; },
+});
+
+return { ENEMIES, registerEnemy, statAt };
+});
@@ -0,0 +1,395 @@
+/* src/maps.js - arena maps: format, loader/validator, wall geometry, built-in arenas
+
+   Map format (plain JSON):
+   {
+     "id": "yard", "name": "The Yard",
+     "width": 900, "height": 600,
+     "background": "#050406",                         // optional
+     "playerStart": { "x": 450, "y": 300 },
+     "walls": [
+       { "x": 200, "y": 140, "w": 160, "h": 14 },     // rectangle
+       { "points": [ {"x":0,"y":0}, ... ] }           // polygon, 3+ points, any winding
+     ],
+     "spawnZones": [                                  // enemies appear at a random point inside a zone
+       { "name": "west", "x": -30, "y": 0, "w": 0, "h": 600, "weight": 1, "types": ["boss"] }
+     ],                                               // weight & types optional (types = only these enemies)
+     "pickupPoints": [ { "x": 100, "y": 100 } ],      // optional, random spots when empty
+     "tiles": [ { "x": 0, "y": 0, "w": 50, "h": 50, "color": "#0b0a0d" } ]  // optional floor decoration
+   }
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ZS = Object.assign(root.ZS || {}, factory());
+})(this, function(){
+'use strict';
+
+const MAX_MAP_SIZE = 4000;
+const MAP_FIELDS = ['id','name','width','height','background','playerStart','walls','spawnZones','pickupPoints','tiles'];
+
+/* ------------------------ Geometry ------------------------ */
+const clamp = (v,a,b) => Math.max(a, Math.min(b,v));
+const isPoly = (w) => !!w.points;
+
+function closestOnSegment(px,py,ax,ay,bx,by){
+  const abx = bx-ax, aby = by-ay;
+  const len2 = abx*abx + aby*aby || 1;
+  const t = clamp(((px-ax)*abx + (py-ay)*aby) / len2, 0, 1);
+  return { x: ax + abx*t, y: ay + aby*t };
+}
+
+function pointInPolygon(x,y,pts){
+  let inside = false;
+  for(let i=0, j=pts.length-1; i<pts.length; j=i++){
+    const a = pts[i], b = pts[j];
+    if((a.y > y) !== (b.y > y) && x < (b.x-a.x)*(y-a.y)/(b.y-a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+function closestOnPolygon(x,y,pts){
+  let best = null, bestD = Infinity;
+  for(let i=0, j=pts.length-1; i<pts.length; j=i++){
+    const q = closestOnSegment(x,y,pts[j].x,pts[j].y,pts[i].x,pts[i].y);
+    const d = (q.x-x)*(q.x-x) + (q.y-y)*(q.y-y);
+    if(d < bestD){ bestD = d; best = q; }
+  }
+  return best;
+}
+
+// cheap reject against the wall's bounding box grown by r
+function nearBox(cx,cy,r,b){
+  return cx + r > b.x && cx - r < b.x + b.w && cy + r > b.y && cy - r < b.y + b.h;
+}
+
+function circleHitsWall(cx,cy,r,w){
+  const b = w.bbox || w;
+  if(!nearBox(cx,cy,r,b)) return false;
+  if(!isPoly(w)){
+    const dx = cx - clamp(cx, w.x, w.x+w.w), dy = cy - clamp(cy, w.y, w.y+w.h);
+    return dx*dx + dy*dy < r*r;
+  }
+  if(pointInPolygon(cx,cy,w.points)) return true;
+  const q = closestOnPolygon(cx,cy,w.points);
+  return (q.x-cx)*(q.x-cx) + (q.y-cy)*(q.y-cy) < r*r;
+}
+
+// smallest move {x,y} that takes the circle out of the wall, or null if not touching
+function wallPush(cx,cy,r,w){
+  const b = w.bbox || w;
+  if(!nearBox(cx,cy,r,b)) return null;
+  if(!isPoly(w)){
+    const qx = clamp(cx, w.x, w.x+w.w), qy = clamp(cy, w.y, w.y+w.h);
+    const dx = cx - qx, dy = cy - qy, d = Math.hypot(dx, dy);
+    if(d >= r) return null;
+    if(d > 0) return { x: dx/d*(r-d), y: dy/d*(r-d) };
+    // centre inside the rect: leave through the nearest side
+    const opts = [
+      { x: w.x - r - cx, y: 0 }, { x: w.x + w.w + r - cx, y: 0 },
+      { x: 0, y: w.y - r - cy }, { x: 0, y: w.y + w.h + r - cy },
+    ];
+    return opts.reduce((a,o) => Math.abs(o.x)+Math.abs(o.y) < Math.abs(a.x)+Math.abs(a.y) ? o : a);
+  }
+  const q = closestOnPolygon(cx,cy,w.points);
+  const dx = q.x - cx, dy = q.y - cy, d = Math.hypot(dx, dy) || 1e-6;
+  if(pointInPolygon(cx,cy,w.points)) return { x: dx/d*(d+r), y: dy/d*(d+r) };
+  if(d >= r) return null;
+  return { x: -dx/d*(r-d), y: -dy/d*(r-d) };
+}
+
+function segmentsCross(ax,ay,bx,by,cx,cy,dx,dy){
+  const d1 = (bx-ax)*(cy-ay) - (by-ay)*(cx-ax);
+  const d2 = (bx-ax)*(dy-ay) - (by-ay)*(dx-ax);
+  const d3 = (dx-cx)*(ay-cy) - (dy-cy)*(ax-cx);
+  const d4 = (dx-cx)*(by-cy) - (dy-cy)*(bx-cx);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+// does the segment a->b pass through the wall? (line of sight, projectiles)
+function segmentHitsWall(ax,ay,bx,by,w){
+  const b = w.bbox || w;
+  if(Math.max(ax,bx) < b.x || Math.min(ax,bx) > b.x + b.w || Math.max(ay,by) < b.y || Math.min(ay,by) > b.y + b.h) return false;
+  if(!isPoly(w)){
+    // Liang-Barsky clip against the rect
+    let t0 = 0, t1 = 1;
+    const dx = bx-ax, dy = by-ay;
+    const edges = [[-dx, ax - w.x], [dx, w.x + w.w - ax], [-dy, ay - w.y], [dy, w.y + w.h - ay]];
+    for(const [p, q] of edges){
+      if(p === 0){ if(q < 0) return false; continue; }
+      const r = q / p;
+      if(p < 0){ if(r > t1) return false; if(r > t0) t0 = r; }
+      else { if(r < t0) return false; if(r < t1) t1 = r; }
+    }
+    return true;
+  }
+  const pts = w.points;
+  if(pointInPolygon(ax,ay,pts)) return true;
+  for(let i=0, j=pts.length-1; i<pts.length; j=i++){
+    if(segmentsCross(ax,ay,bx,by,pts[j].x,pts[j].y,pts[i].x,pts[i].y)) return true;
+  }
+  return false;
+}
+
+/* ------------------------ Loader ------------------------ */
+const isNum = (v) => typeof v === 'number' && isFinite(v);
+
+// validates and normalises a map (object or JSON string); throws one Error listing every problem
+function loadMap(data){
+  if(typeof data === 'string'){
+    try { data = JSON.parse(data); } catch(e){ throw new Error('Map is not valid JSON: ' + e.message); }
+  }
+  const errors = [];
+  const err = (path, msg) => errors.push(`${path}: ${msg}`);
+  if(!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Map must be a JSON object');
+
+  for(const k of Object.keys(data)) if(!MAP_FIELDS.includes(k)) err(k, `unknown field (expected one of ${MAP_FIELDS.join(', ')})`);
+
+  const W = data.width, H = data.height;
+  if(!isNum(W) || W < 200 || W > MAX_MAP_SIZE) err('width', `must be a number between 200 and ${MAX_MAP_SIZE}`);
+  if(!isNum(H) || H < 200 || H > MAX_MAP_SIZE) err('height', `must be a number between 200 and ${MAX_MAP_SIZE}`);
+  const inBounds = (p) => p.x >= 0 && p.y >= 0 && p.x <= W && p.y <= H;
+  const point = (p, path) => {
+    if(!p || !isNum(p.x) || !isNum(p.y)){ err(path, 'must be {x, y} with numbers'); return null; }
+    return { x: p.x, y: p.y };
+  };
+
+  const walls = [];
+  if(data.walls !== undefined && !Array.isArray(data.walls)) err('walls', 'must be an array');
+  (Array.isArray(data.walls) ? data.walls : []).forEach((w, i) => {
+    const path = `walls[${i}]`;
+    if(!w || typeof w !== 'object'){ err(path, 'must be an object'); return; }
+    if(w.points !== undefined){
+      if(!Array.isArray(w.points) || w.points.length < 3){ err(`${path}.points`, 'polygon needs at least 3 points'); return; }
+      const pts = w.points.map((p, j) => point(p, `${path}.points[${j}]`));
+      if(pts.includes(null)) return;
+      const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+      const bbox = { x: Math.min(...xs), y: Math.min(...ys), w: Math.max(...xs) - Math.min(...xs), h: Math.max(...ys) - Math.min(...ys) };
+      if(!bbox.w || !bbox.h){ err(`${path}.points`, 'polygon has no area'); return; }
+      walls.push({ points: pts, bbox });
+    } else {
+      if(![w.x, w.y, w.w, w.h].every(isNum)){ err(path, 'rect needs numeric x, y, w, h (or use points for a polygon)'); return; }
+      if(w.w <= 0 || w.h <= 0){ err(path, 'rect w and h must be positive'); return; }
+      walls.push({ x: w.x, y: w.y, w: w.w, h: w.h });
+    }
+  });
+
+  const playerStart = point(data.playerStart, 'playerStart');
+  if(playerStart && isNum(W) && isNum(H)){
+    if(!inBounds(playerStart)) err('playerStart', `(${playerStart.x}, ${playerStart.y}) is outside the ${W}x${H} map`);
+    else {
+      const i = walls.findIndex(w => circleHitsWall(playerStart.x, playerStart.y, 16, w));
+      if(i >= 0) err('playerStart', `player would start inside wall #${i}`);
+    }
+  }
+
+  const spawnZones = [];
+  if(!Array.isArray(data.spawnZones) || !data.spawnZones.length) err('spawnZones', 'need at least one enemy spawn zone');
+  const names = new Set();
+  (Array.isArray(data.spawnZones) ? data.spawnZones : []).forEach((z, i) => {
+    const path = `spawnZones[${i}]`;
+    if(!z || typeof z !== 'object'){ err(path, 'must be an object'); return; }
+    if(typeof z.name !== 'string' || !z.name) err(`${path}.name`, 'must be a non-empty string');
+    else if(names.has(z.name)) err(`${path}.name`, `duplicate zone name "${z.name}"`);
+    names.add(z.name);
+    if(![z.x, z.y].every(isNum)){ err(path, 'needs numeric x, y'); return; }
+    const zw = z.w === undefined ? 0 : z.w, zh = z.h === undefined ? 0 : z.h;
+    if(!isNum(zw) || !isNum(zh) || zw < 0 || zh < 0){ err(path, 'w and h must be numbers >= 0'); return; }
+    const weight = z.weight === undefined ? 1 : z.weight;
+    if(!isNum(weight) || weight <= 0){ err(`${path}.weight`, 'must be a positive number'); return; }
+    if(z.types !== undefined && (!Array.isArray(z.types) || !z.types.every(t => typeof t === 'string'))){ err(`${path}.types`, 'must be an array of enemy type names'); return; }
+    spawnZones.push({ name: z.name, x: z.x, y: z.y, w: zw, h: zh, weight, types: z.types || null });
+  });
+  if(spawnZones.length && !spawnZones.some(z => !z.types)) err('spawnZones', 'at least one zone must accept every enemy type (no "types")');
+
+  const pickupPoints = [];
+  if(data.pickupPoints !== undefined && !Array.isArray(data.pickupPoints)) err('pickupPoints', 'must be an array');
+  (Array.isArray(data.pickupPoints) ? data.pickupPoints : []).forEach((p, i) => {
+    const q = point(p, `pickupPoints[${i}]`);
+    if(!q) return;
+    if(isNum(W) && isNum(H) && !inBounds(q)) err(`pickupPoints[${i}]`, 'is outside the map');
+    else pickupPoints.push(q);
+  });
+
+  const tiles = [];
+  if(data.tiles !== undefined && !Array.isArray(data.tiles)) err('tiles', 'must be an array');
+  (Array.isArray(data.tiles) ? data.tiles : []).forEach((t, i) => {
+    if(!t || ![t.x, t.y, t.w, t.h].every(isNum) || typeof t.color !== 'string'){ err(`tiles[${i}]`, 'needs numeric x, y, w, h and a color string'); return; }
+    tiles.push({ x: t.x, y: t.y, w: t.w, h: t.h, color: t.color });
+  });
+
+  if(data.background !== undefined && typeof data.background !== 'string') err('background', 'must be a color string');
+  if(data.id !== undefined && typeof data.id !== 'string') err('id', 'must be a string');
+  if(data.name !== undefined && typeof data.name !== 'string') err('name', 'must be a string');
+
+  if(errors.length){
+    const e = new Error(`Invalid map${data.name ? ` "${data.name}"` : ''}:\n- ` + errors.join('\n- '));
+    e.errors = errors;
+    throw e;
+  }
+  return {
+    id: data.id || 'custom', name: data.name || data.id || 'Custom map',
+    width: W, height: H, background: data.background || '#050406',
+    playerStart, walls, spawnZones, pickupPoints, tiles,
+  };
+}
+
+// back to the plain JSON format (drops derived fields like bbox)
+function mapToJSON(map){
+  const out = {
+    id: map.id, name: map.name, width: map.width, height: map.height, background: map.background,
+    playerStart: { x: map.playerStart.x, y: map.playerStart.y },
+    walls: map.walls.map(w => isPoly(w) ? { points: w.points.map(p => ({ x: p.x, y: p.y })) } : { x: w.x, y: w.y, w: w.w, h: w.h }),
+    spawnZones: map.spawnZones.map(z => {
+      const o = { name: z.name, x: z.x, y: z.y, w: z.w, h: z.h };
+      if(z.weight !== 1) o.weight = z.weight;
+      if(z.types) o.types = z.types.slice();
+      return o;
+    }),
+    pickupPoints: map.pickupPoints.map(p => ({ x: p.x, y: p.y })),
+    tiles: map.tiles.map(t => Object.assign({}, t)),
+  };
+  return out;
+}
+
+/* ------------------------ Built-in arenas ------------------------ */
+// the four canvas edges, just off-screen (the original spawn rule)
+const edgeZones = (W, H) => [
+  { name: 'west',  x: -30,  y: 0,    w: 0, h: H },
+  { name: 'east',  x: W+30, y: 0,    w: 0, h: H },
+  { name: 'north', x: 0,    y: -30,  w: W, h: 0 },
+  { name: 'south', x: 0,    y: H+30, w: W, h: 0 },
+];
+
+const checker = (W, H, size, color) => {
+  const out = [];
+  for(let y=0; y<H; y+=size) for(let x=(y/size)%2*size; x<W; x+=size*2) out.push({ x, y, w: size, h: size, color });
+  return out;
+};
+
+const BUILTIN_MAPS = [
+  {
+    id: 'yard', name: 'The Yard', width: 900, height: 600,
+    playerStart: { x: 450, y: 300 },
+    walls: [
+      { x: 200, y: 140, w: 160, h: 14 },
+      { x: 520, y: 300, w: 16, h: 180 },
+      { x: 360, y: 420, w: 220, h: 14 },
+    ],
+    spawnZones: edgeZones(900, 600),
+  },
+  {
+    id: 'crossroads', name: 'Crossroads', width: 900, height: 600,
+    background: '#07070a',
+    playerStart: { x: 450, y: 110 },
+    walls: [
+      { x: 120, y: 120, w: 200, h: 120 }, { x: 580, y: 120, w: 200, h: 120 },
+      { x: 120, y: 360, w: 200, h: 120 }, { x: 580, y: 360, w: 200, h: 120 },
+      { points: [ { x: 450, y: 250 }, { x: 490, y: 300 }, { x: 450, y: 350 }, { x: 410, y: 300 } ] },
+    ],
+    spawnZones: [
+      { name: 'north-road', x: 360, y: -30, w: 180, h: 0 },
+      { name: 'south-road', x: 360, y: 630, w: 180, h: 0 },
+      { name: 'west-road',  x: -30, y: 260, w: 0, h: 80 },
+      { name: 'east-road',  x: 930, y: 260, w: 0, h: 80 },
+    ],
+    pickupPoints: [ { x: 60, y: 60 }, { x: 840, y: 60 }, { x: 60, y: 540 }, { x: 840, y: 540 }, { x: 450, y: 520 } ],
+    tiles: [
+      { x: 0, y: 270, w: 900, h: 60, color: '#0d0d12' },
+      { x: 420, y: 0, w: 60, h: 600, color: '#0d0d12' },
+    ],
+  },
+  {
+    id: 'bunker', name: 'Bunker', width: 900, height: 600,
+    background: '#060807',
+    playerStart: { x: 450, y: 300 },
+    walls: [
+      // outer shell with four doorways
+      { x: 150, y: 100, w: 250, h: 16 }, { x: 500, y: 100, w: 250, h: 16 },
+      { x: 150, y: 484, w: 250, h: 16 }, { x: 500, y: 484, w: 250, h: 16 },
+      { x: 150, y: 100, w: 16, h: 150 }, { x: 150, y: 350, w: 16, h: 150 },
+      { x: 734, y: 100, w: 16, h: 150 }, { x: 734, y: 350, w: 16, h: 150 },
+      // hexagonal pillars
+      { points: [ { x: 300, y: 280 }, { x: 320, y: 268 }, { x: 340, y: 280 }, { x: 340, y: 320 }, { x: 320, y: 332 }, { x: 300, y: 320 } ] },
+      { points: [ { x: 560, y: 280 }, { x: 580, y: 268 }, { x: 600, y: 280 }, { x: 600, y: 320 }, { x: 580, y: 332 }, { x: 560, y: 320 } ] },
+    ],
+    spawnZones: edgeZones(900, 600).concat([
+      { name: 'vents', x: 40, y: 40, w: 820, h: 20, weight: 0.5, types: ['fast', 'bomber'] },
+    ]),
+    pickupPoints: [ { x: 250, y: 200 }, { x: 650, y: 200 }, { x: 250, y: 400 }, { x: 650, y: 400 } ],
+    tiles: checker(900, 600, 50, '#0a0d0b').filter(t => t.x >= 150 && t.x < 750 && t.y >= 100 && t.y < 500),
+  },
+  {
+    id: 'graveyard', name: 'Graveyard', width: 900, height: 600,
+    background: '#050705',
+    playerStart: { x: 450, y: 540 },
+    walls: [
+      // crypt
+      { points: [ { x: 380, y: 60 }, { x: 450, y: 20 }, { x: 520, y: 60 }, { x: 520, y: 130 }, { x: 380, y: 130 } ] },
+      // rows of headstones
+      { x: 160, y: 230, w: 24, h: 12 }, { x: 260, y: 230, w: 24, h: 12 }, { x: 360, y: 230, w: 24, h: 12 },
+      { x: 516, y: 230, w: 24, h: 12 }, { x: 616, y: 230, w: 24, h: 12 }, { x: 716, y: 230, w: 24, h: 12 },
+      { x: 210, y: 340, w: 24, h: 12 }, { x: 310, y: 340, w: 24, h: 12 },
+      { x: 566, y: 340, w: 24, h: 12 }, { x: 666, y: 340, w: 24, h: 12 },
+      // dead tree
+      { points: [ { x: 120, y: 470 }, { x: 150, y: 440 }, { x: 170, y: 480 }, { x: 140, y: 500 } ] },
+    ],
+    spawnZones: [
+      { name: 'crypt', x: 400, y: 140, w: 100, h: 20, weight: 2 },
+      { name: 'west-fence', x: -30, y: 0, w: 0, h: 400 },
+      { name: 'east-fence', x: 930, y: 0, w: 0, h: 400 },
+      { name: 'boss-gate', x: 440, y: -40, w: 20, h: 0, weight: 5, types: ['boss'] },
+    ],
+    pickupPoints: [ { x: 100, y: 120 }, { x: 800, y: 120 }, { x: 450, y: 300 }, { x: 800, y: 500 } ],
+    tiles: [
+      { x: 420, y: 130, w: 60, h: 470, color: '#0b0c09' },
+    ],
+  },
+  {
+    // bigger than the screen: the camera scrolls, zombies come from every side of town
+    id: 'outskirts', name: 'Outskirts', width: 2400, height: 1600,
+    background: '#060606',
+    playerStart: { x: 1200, y: 940 },
+    walls: [
+      // four blocks of houses around the square
+      { x: 300, y: 250, w: 260, h: 180 }, { x: 700, y: 250, w: 220, h: 180 },
+      { x: 1480, y: 250, w: 220, h: 180 }, { x: 1840, y: 250, w: 260, h: 180 },
+      { x: 300, y: 1170, w: 260, h: 180 }, { x: 700, y: 1170, w: 220, h: 180 },
+      { x: 1480, y: 1170, w: 220, h: 180 }, { x: 1840, y: 1170, w: 260, h: 180 },
+      // warehouses east and west
+      { x: 160, y: 620, w: 320, h: 110 }, { x: 160, y: 870, w: 320, h: 110 },
+      { x: 1920, y: 620, w: 320, h: 110 }, { x: 1920, y: 870, w: 320, h: 110 },
+      // fountain in the square
+      { points: [ { x: 1200, y: 730 }, { x: 1250, y: 760 }, { x: 1250, y: 840 }, { x: 1200, y: 870 }, { x: 1150, y: 840 }, { x: 1150, y: 760 } ] },
+      // wrecked cars on the roads
+      { x: 1020, y: 520, w: 70, h: 34 }, { x: 1300, y: 1050, w: 70, h: 34 },
+      { points: [ { x: 640, y: 780 }, { x: 700, y: 760 }, { x: 712, y: 792 }, { x: 652, y: 812 } ] },
+      { points: [ { x: 1700, y: 810 }, { x: 1760, y: 830 }, { x: 1748, y: 862 }, { x: 1688, y: 842 } ] },
+    ],
+    spawnZones: edgeZones(2400, 1600).concat([
+      { name: 'north-alley', x: 580, y: 260, w: 100, h: 160, weight: 0.5 },
+      { name: 'south-alley', x: 1720, y: 1180, w: 100, h: 160, weight: 0.5 },
+    ]),
+    pickupPoints: [
+      { x: 1200, y: 640 }, { x: 1040, y: 1000 }, { x: 320, y: 800 }, { x: 2080, y: 800 },
+      { x: 620, y: 500 }, { x: 1780, y: 500 }, { x: 620, y: 1100 }, { x: 1780, y: 1100 },
+    ],
+    tiles: [
+      { x: 0, y: 760, w: 2400, h: 80, color: '#0c0c0e' },
+      { x: 1160, y: 0, w: 80, h: 1600, color: '#0c0c0e' },
+      { x: 980, y: 560, w: 440, h: 480, color: '#0a0a0b' },
+    ],
+  },
+];
+
+const DEFAULT_MAP_ID = 'yard';
+const builtinCache = {};
+// loaded (validated) built-in map by id, falling back to the default arena
+function getBuiltinMap(id){
+  const def = BUILTIN_MAPS.find(m => m.id === id) || BUILTIN_MAPS.find(m => m.id === DEFAULT_MAP_ID);
+  return builtinCache[def.id] || (builtinCache[def.id] = loadMap(def));
+}
+
+return {
+  BUILTIN_MAPS, DEFAULT_MAP_ID, MAX_MAP_SIZE, loadMap, mapToJSON, getBuiltinMap,
+  circleHitsWall, wallPush, segmentHitsWall, pointInPolygon,
+};
+});
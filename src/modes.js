@@ -0,0 +1,131 @@
+/* src/modes.js - game modes, their scoring, and the daily challenge
+   A run's mode travels in its loadout as { id, weapon?, day? } (so replays repeat it);
+   resolveMode() turns that into the rules the sim plays by (sim.js state.mode):
+     waves      'levels': planned waves with intermissions (waves.js), 'trickle': one enemy at a time,
+                faster and tougher as the level goes up every TRICKLE_LEVEL_MS
+     intermission   ms between levels (default waves.js INTERMISSION_MS)   shop  buying between levels
+     timeLimit  ms of live play before the run ends      checkpoints  saved each level, so it can be continued
+     loadout    'profile' (your weapons and upgrades), 'oneWeapon' (just `weapon`, endless reserve) or
+                'daily' (pistol + the day's weapon, no upgrades); only classic brings the bank along
+     fixedSpawns    waves and spawns draw from their own random stream, so they come the same way
+                    whatever the players do (everyone's daily run meets the same zombies)
+     killScore(points, s)   what a kill is worth in this mode; secondScore: points per second alive;
+                    levelScore: points per cleared level, times the level
+   and the modifiers' multipliers: enemyHp, enemySpeed, playerHp, damage, mapDrops, scoreMul.
+   The difficulty preset (DIFFICULTIES, travels in the loadout next to the mode) adds its own:
+   enemySpeed, enemyDamage (what zombies' hits cost), spawns (wave budget) and killMul (kill points);
+   the daily challenge is always played at normal, so everyone's day is the same.
+   Every mode keeps its own high-score table (save.js), the daily one per day (scoreTable()).
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(Object.assign({}, require('./rng.js'), require('./maps.js')));
+  else root.ZS = Object.assign(root.ZS || {}, factory(root.ZS));
+})(this, function(ZS){
+'use strict';
+
+const { createRng, hashSeed, BUILTIN_MAPS } = ZS;
+
+const TRICKLE_LEVEL_MS = 30000;  // endless: the level (intensity) goes up this often
+const COMBO_MS = 2000;           // time attack: kills closer together than this build the combo
+const COMBO_STEP = 5;            // kills per +1 multiplier
+const MAX_COMBO = 5;
+const HIGH_SCORES = 10;          // entries kept per table
+const DAILY_TABLES = 7;          // days of daily tables kept
+
+// the multiplier the current kill chain has reached; each kill extends it
+function comboKill(points, s){
+  const c = s.combo;
+  if(s.time > c.until) c.n = 0;
+  c.n++;
+  c.until = s.time + COMBO_MS;
+  return points * comboMul(c.n);
+}
+const comboMul = (n) => Math.min(MAX_COMBO, 1 + Math.floor((n - 1) / COMBO_STEP));
+
+const MODES = {
+  classic: {
+    name:'Classic', desc:'Level after level with a boss every 5th and the shop in between. Progress is banked and can be continued.',
+    waves:'levels', shop:true, checkpoints:true, loadout:'profile',
+  },
+  endless: {
+    name:'Endless survival', desc:'No waves and no shop: zombies keep trickling in, more and tougher every 30 s. Kills are worth more the longer you last, plus 1 point a second.',
+    waves:'trickle', loadout:'profile', secondScore:1,
+    killScore: (points, s) => Math.round(points * (1 + 0.25 * (s.level - 1))),
+  },
+  timeAttack: {
+    name:'Time attack', desc:`3 minutes, waves back to back, no shop. Kills within ${COMBO_MS / 1000} s of each other build a combo worth up to x${MAX_COMBO}.`,
+    waves:'levels', intermission:0, timeLimit:180000, loadout:'profile',
+    killScore: comboKill,
+  },
+  oneWeapon: {
+    name:'One weapon', desc:'Just the weapon you pick, with its upgrades and an endless reserve, and no shop. Kills score x1.5 and each cleared level 50 x its number.',
+    waves:'levels', intermission:4000, loadout:'oneWeapon', levelScore:50,
+    killScore: (points) => Math.round(points * 1.5),
+  },
+  daily: {
+    name:'Daily challenge', desc:"Today's seed picks the arena, a second weapon and two modifiers, and the zombies come the same way for everyone. Modifiers multiply the score.",
+    waves:'levels', intermission:4000, loadout:'daily', fixedSpawns:true,
+    killScore: (points, s) => Math.round(points * s.mode.scoreMul),
+  },
+};
+
+// difficulty presets; aimAssist scales the gamepad's aim assist cone (host only)
+const DIFFICULTIES = {
+  easy:   { name:'Easy',   desc:'Slower zombies that hit softer, smaller waves, stronger aim assist. Kills score x0.5.', enemySpeed:0.8, enemyDamage:0.6, spawns:0.75, aimAssist:1.6, killMul:0.5 },
+  normal: { name:'Normal', desc:'The game as it is meant to be played.', enemySpeed:1, enemyDamage:1, spawns:1, aimAssist:1, killMul:1 },
+  hard:   { name:'Hard',   desc:'Faster zombies that hit harder, bigger waves, weaker aim assist. Kills score x1.5.', enemySpeed:1.2, enemyDamage:1.4, spawns:1.3, aimAssist:0.6, killMul:1.5 },
+};
+
+// what the daily challenge can pick (built-ins only, so mods don't change anyone's day)
+const MODIFIERS = {
+  hasty:  { name:'Hasty',        desc:'zombies move 25% faster',            score:1.3, enemySpeed:1.25 },
+  sturdy: { name:'Sturdy',       desc:'zombies have 50% more hp',           score:1.3, enemyHp:1.5 },
+  glass:  { name:'Glass cannon', desc:'half the hp, twice the damage dealt', score:1.2, playerHp:0.5, damage:2 },
+  scarce: { name:'Scarcity',     desc:'nothing turns up at pickup points',  score:1.2, mapDrops:false },
+};
+const DAILY_WEAPONS = ['smg', 'machine', 'shotgun', 'sniper', 'rocket'];
+
+// YYYY-MM-DD in UTC, so the whole team is on the same day
+const dayOf = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// the day's run: seed, arena, extra weapon and two modifiers, all from the date
+function dailyChallenge(day = dayOf()){
+  const seed = hashSeed('daily:' + day);
+  const rng = createRng(seed);
+  const map = BUILTIN_MAPS[rng.int(0, BUILTIN_MAPS.length)].id;
+  const weapon = DAILY_WEAPONS[rng.int(0, DAILY_WEAPONS.length)];
+  const pool = Object.keys(MODIFIERS), modifiers = [];
+  while(modifiers.length < 2) modifiers.push(pool.splice(rng.int(0, pool.length), 1)[0]);
+  return { day, seed, map, weapon, modifiers };
+}
+
+// the rules a run plays by, from the mode and difficulty in its loadout (none: classic, normal)
+function resolveMode(spec, difficulty = 'normal'){
+  const id = spec && MODES[spec.id] ? spec.id : 'classic';
+  const mode = Object.assign({ id, enemyHp:1, enemySpeed:1, playerHp:1, damage:1, mapDrops:true, scoreMul:1, onlyWeapon:null, daily:null }, MODES[id]);
+  mode.difficulty = id !== 'daily' && Object.keys(DIFFICULTIES).includes(difficulty) ? difficulty : 'normal';
+  const d = DIFFICULTIES[mode.difficulty];
+  Object.assign(mode, { enemySpeed: d.enemySpeed, enemyDamage: d.enemyDamage, spawns: d.spawns, killMul: d.killMul });
+  if(id === 'oneWeapon') mode.onlyWeapon = spec.weapon || 'pistol';
+  if(id === 'daily'){
+    mode.daily = dailyChallenge(spec.day);
+    mode.day = mode.daily.day;
+    for(const k of mode.daily.modifiers){
+      const m = MODIFIERS[k];
+      for(const stat of ['enemyHp', 'enemySpeed', 'playerHp', 'damage']) if(m[stat]) mode[stat] *= m[stat];
+      if(m.mapDrops === false) mode.mapDrops = false;
+      mode.scoreMul *= m.score;
+    }
+    mode.scoreMul = Math.round(mode.scoreMul * 100) / 100;
+  }
+  return mode;
+}
+
+// which high-score table a run goes in (a mode spec or a resolved mode): the mode's, or the day's for the daily challenge
+const scoreTable = (spec) => spec && spec.id === 'daily' ? `daily:${spec.day}` : (spec && MODES[spec.id] ? spec.id : 'classic');
+
+return {
+  MODES, MODIFIERS, DIFFICULTIES, DAILY_WEAPONS, TRICKLE_LEVEL_MS, COMBO_MS, HIGH_SCORES, DAILY_TABLES,
+  comboMul, dayOf, dailyChallenge, resolveMode, scoreTable,
+};
+});
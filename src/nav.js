@@ -0,0 +1,149 @@
+/* src/nav.js - shared enemy navigation
+   One flow field per sim: a grid over the map (plus an off-map margin where
+   enemies spawn), Dijkstra from the players' cells outwards, and a per-cell
+   direction to step in. With several players each cell leads to the nearest one.
+   Rebuilt only when a player changes cell, so each enemy's lookup is O(1) no
+   matter how many are chasing.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./maps.js'));
+  else root.ZS = Object.assign(root.ZS || {}, factory(root.ZS));
+})(this, function(ZS){
+'use strict';
+
+const { circleHitsWall, segmentHitsWall } = ZS;
+
+const SQRT2 = Math.SQRT2;
+// 8-neighbourhood, as flat arrays (the field rebuild is the sim's hottest loop on big maps)
+const NDX = [1,-1,0,0,1,1,-1,-1], NDY = [0,0,1,-1,1,-1,1,-1], NCOST = [1,1,1,1,SQRT2,SQRT2,SQRT2,SQRT2];
+
+function lineOfSight(walls, ax,ay,bx,by){
+  for(const w of walls) if(segmentHitsWall(ax,ay,bx,by,w)) return false;
+  return true;
+}
+
+/* opts: cellSize (px), margin (px of walkable space around the map), clearance (px kept from walls) */
+function createNavGrid(map, opts = {}){
+  const cell = opts.cellSize || 20;
+  const margin = opts.margin == null ? 80 : opts.margin;
+  const clearance = opts.clearance == null ? 8 : opts.clearance;
+  const ox = -margin, oy = -margin;
+  const cols = Math.ceil((map.width + margin*2) / cell);
+  const rows = Math.ceil((map.height + margin*2) / cell);
+  const n = cols * rows;
+
+  const blocked = new Uint8Array(n);
+  for(let r=0;r<rows;r++) for(let c=0;c<cols;c++){
+    const x = ox + (c+0.5)*cell, y = oy + (r+0.5)*cell;
+    for(const w of map.walls){
+      if(circleHitsWall(x, y, cell*0.5 + clearance, w)){ blocked[r*cols + c] = 1; break; }
+    }
+  }
+
+  const dist = new Float32Array(n);
+  const dirX = new Float32Array(n), dirY = new Float32Array(n);
+  // binary heap of cell indices keyed by dist (reused between rebuilds)
+  const heap = new Int32Array(n * 8);
+  let heapLen = 0;
+  let targetKey = '';
+
+  const cellOf = (x, y) => {
+    const c = Math.min(cols-1, Math.max(0, Math.floor((x - ox) / cell)));
+    const r = Math.min(rows-1, Math.max(0, Math.floor((y - oy) / cell)));
+    return r*cols + c;
+  };
+
+  function push(i){
+    let k = heapLen++;
+    heap[k] = i;
+    while(k > 0){
+      const p = (k-1) >> 1;
+      if(dist[heap[p]] <= dist[heap[k]]) break;
+      const t = heap[p]; heap[p] = heap[k]; heap[k] = t; k = p;
+    }
+  }
+  function pop(){
+    const top = heap[0];
+    heap[0] = heap[--heapLen];
+    let k = 0;
+    for(;;){
+      const l = k*2+1, r = l+1;
+      let m = k;
+      if(l < heapLen && dist[heap[l]] < dist[heap[m]]) m = l;
+      if(r < heapLen && dist[heap[r]] < dist[heap[m]]) m = r;
+      if(m === k) break;
+      const t = heap[m]; heap[m] = heap[k]; heap[k] = t; k = m;
+    }
+    return top;
+  }
+
+  // diagonal moves may not cut a blocked corner
+  function canStep(c, r, dx, dy){
+    const nc = c+dx, nr = r+dy;
+    if(nc < 0 || nr < 0 || nc >= cols || nr >= rows) return false;
+    if(blocked[nr*cols + nc]) return false;
+    if(dx && dy && (blocked[r*cols + nc] || blocked[nr*cols + c])) return false;
+    return true;
+  }
+
+  function build(starts){
+    dist.fill(Infinity);
+    heapLen = 0;
+    for(const start of starts){ dist[start] = 0; push(start); }
+    while(heapLen){
+      const i = pop();
+      const c = i % cols, r = (i - c) / cols;
+      const d = dist[i];
+      for(let k=0;k<8;k++){
+        if(!canStep(c, r, NDX[k], NDY[k])) continue;
+        const j = i + NDY[k]*cols + NDX[k], nd = d + NCOST[k];
+        if(nd < dist[j]){ dist[j] = nd; if(heapLen < heap.length) push(j); }
+      }
+    }
+    // each cell points at its cheapest neighbour; blocked cells point back to open ground
+    for(let i=0;i<n;i++){
+      const c = i % cols, r = (i - c) / cols;
+      let best = blocked[i] ? Infinity : dist[i], bx = 0, by = 0;
+      for(let k=0;k<8;k++){
+        const dx = NDX[k], dy = NDY[k], nc = c+dx, nr = r+dy;
+        if(nc < 0 || nr < 0 || nc >= cols || nr >= rows) continue;
+        const j = nr*cols + nc;
+        if(blocked[j]) continue;
+        if(!blocked[i] && !canStep(c, r, dx, dy)) continue;
+        const v = dist[j] + (blocked[i] ? NCOST[k] : 0);
+        if(v < best){ best = v; bx = dx; by = dy; }
+      }
+      const len = Math.hypot(bx, by) || 1;
+      dirX[i] = bx / len; dirY[i] = by / len;
+    }
+  }
+
+  return {
+    cols, rows, cellSize: cell, originX: ox, originY: oy, blocked, dist, dirX, dirY,
+    cellOf,
+    // rebuild the field if the target moved to another cell; returns true when rebuilt
+    update(x, y){
+      return this.updateTargets([{ x, y }]);
+    },
+    // same for several targets ({x,y} each); every cell leads to the closest of them
+    updateTargets(points){
+      const cells = points.map(p => cellOf(p.x, p.y));
+      const key = cells.join(',');
+      if(key === targetKey) return false;
+      targetKey = key;
+      build(cells);
+      return true;
+    },
+    // writes the direction to walk from (x,y) into out; false when already at a target or cut off
+    direction(x, y, out){
+      const i = cellOf(x, y);
+      if(dist[i] === 0 || dist[i] === Infinity && !blocked[i]) return false;
+      if(!dirX[i] && !dirY[i]) return false;
+      out.x = dirX[i]; out.y = dirY[i];
+      return true;
+    },
+  };
+}
+
+return { createNavGrid, lineOfSight };
+});
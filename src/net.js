@@ -0,0 +1,295 @@
+/* src/net.js - online co-op protocol, shared by server/server.js and the browser client
+   The server runs the only real sim; clients send their input every tick and draw snapshots.
+   Messages are JSON text frames, { type, ... }:
+     client -> server
+       create{ version, map, loadout, options:{sharedCoins} }   new room, the sender hosts it
+       join{ version, code }  rejoin{ version, code, token }  leave{}
+       start{}  (host, in the lobby)  restart{}  (anyone, after game over)
+       input{ seq, input }   one per client tick; input is the sim's player-1 shape plus ready/shop
+     server -> client
+       joined{ code, slot, token, map, started }   lobby{ code, host, players:[{slot, connected}] }
+       start{ slot, players }   snap{ ack, waiting:[slot], ...snapshotOf() }   error{ message }
+   ack is the last input seq the server has used for that client, for prediction (createPredictor).
+   A dropped client has RECONNECT_MS to rejoin with its token; the run waits for them meanwhile.
+   In the browser, createClientSim() takes the place of createSim() while playing online.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(Object.assign({}, require('./maps.js'), require('./weapons.js'), require('./pickups.js'), require('./sim.js')));
+  else root.ZS = Object.assign(root.ZS || {}, factory(root.ZS));
+})(this, function(ZS){
+'use strict';
+
+const { circleHitsWall, WEAPONS, weaponStats, POWERS, createSim, createPlayerMover, TICK_MS } = ZS;
+
+const NET_VERSION = 2;
+const MAX_PLAYERS = 2;          // the sim's co-op is two players
+const SNAPSHOT_EVERY = 3;       // ticks between snapshots (20 per second)
+const INTERP_DELAY = 100;       // ms clients draw behind the newest snapshot
+const RECONNECT_MS = 30000;
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // no I/O to misread
+const ROOM_CODE_LENGTH = 4;
+const MAX_STEPS = 8;            // client ticks per advance() before it gives up catching up
+
+// upper-cased code, or null when it can't be one
+function normRoomCode(str){
+  const code = String(str || '').trim().toUpperCase();
+  if(code.length !== ROOM_CODE_LENGTH) return null;
+  for(const ch of code) if(!ROOM_CODE_CHARS.includes(ch)) return null;
+  return code;
+}
+
+const r1 = (v) => Math.round(v * 10) / 10;
+
+/* ------------------------ Snapshots (server) ------------------------ */
+// what clients need to draw the run and fill the HUD; particles stay on the server
+function snapshotOf(sim){
+  const s = sim.state;
+  return {
+    tick: s.tick, time: s.time, started: s.started, over: s.over,
+    score: s.score, coins: s.coins, level: s.level, coop: s.coop, intermission: s.intermission,
+    players: s.players.map(p => ({
+      slot: p.slot, x: r1(p.x), y: r1(p.y), r: p.r, speed: p.speed, hp: p.hp, maxHp: p.maxHp,
+      armor: p.armor, maxArmor: p.maxArmor, powers: p.powers, status: packStatus(p.status), hurtUntil: p.hurtUntil,
+      down: p.down, revive: p.revive, coins: p.coins, aim: { x: r1(p.aim.x), y: r1(p.aim.y) },
+      weapon: p.currentWeaponKey, reloading: p.reloading, weapons: packWeapons(p.weapons),
+    })),
+    enemies: s.enemies.map(e => ({
+      id: e.id, x: r1(e.x), y: r1(e.y), r: e.r, hp: e.hp, maxHp: e.maxHp, type: e.type, color: e.color,
+      boss: e.boss, name: e.name, attack: e.attack, status: packStatus(e.status),
+    })),
+    bullets: s.bullets.map(b => ({ x: r1(b.x), y: r1(b.y), vx: b.vx, vy: b.vy, r: b.r, from: b.from, owner: b.owner, weapon: b.weapon, ttl: b.ttl })),
+    pickups: s.pickups.map(pk => ({ x: r1(pk.x), y: r1(pk.y), r: pk.r, type: pk.type, val: pk.val, age: pk.age, life: pk.life })),
+    // the shop needs each player's wallet between waves
+    wallets: s.intermission ? s.players.map((p, i) => sim.wallet(i)) : null,
+    // and the post-game summary the run's stats
+    stats: s.over ? s.stats : null,
+  };
+}
+
+// statuses by key with when they wear off; who caused them stays on the server
+function packStatus(status){
+  const out = {};
+  for(const k in status) out[k] = { until: status[k].until };
+  return out;
+}
+
+// owned weapons only; the rest of the stats follow from the tiers. Infinite reserve goes as null (JSON)
+function packWeapons(weapons){
+  const out = {};
+  for(const k in weapons){
+    const w = weapons[k];
+    if(w.owned) out[k] = { ammo: w.ammo, reserve: w.infiniteReserve ? null : w.reserve, tiers: w.tiers };
+  }
+  return out;
+}
+
+/* ------------------------ Views (client) ------------------------ */
+// a snapshot in sim.state's shape, so the host draws and HUDs it like a local run;
+// `player` is this client's own player
+function viewOf(snap, slot){
+  const players = snap.players.map(playerView);
+  return Object.assign({}, snap, {
+    players, player: players[slot] || players[0],
+    enemies: snap.enemies.map(e => Object.assign({}, e)),
+    bullets: snap.bullets.map(b => Object.assign({}, b)),
+    particles: [],
+  });
+}
+
+// a snapshot player with full weapon stats back
+function playerView(p){
+  const weapons = {};
+  for(const k in WEAPONS){
+    const w = p.weapons[k];
+    weapons[k] = Object.assign(weaponStats(k, w ? w.tiers : {}), { owned: !!w, tiers: w ? w.tiers : {} });
+    weapons[k].ammo = w ? w.ammo : weapons[k].maxAmmo;
+    weapons[k].reserve = w && w.reserve != null ? w.reserve : weapons[k].infiniteReserve ? Infinity : 0;
+  }
+  return Object.assign({}, p, { aim: Object.assign({}, p.aim), weapons, currentWeaponKey: p.weapon });
+}
+
+// view at time `time` between snapshots a and b (a.time <= time <= b.time): b's state with
+// players and enemies moved back along the way from a, and a's bullets flown on to `time`
+function lerpView(a, b, time, slot){
+  const view = viewOf(b, slot);
+  const k = b.time > a.time ? Math.max(0, Math.min(1, (time - a.time) / (b.time - a.time))) : 1;
+  const lerp = (from, to) => { to.x = from.x + (to.x - from.x) * k; to.y = from.y + (to.y - from.y) * k; };
+  view.players.forEach((p, i) => { if(a.players[i]) lerp(a.players[i], p); });
+  const before = new Map(a.enemies.map(e => [e.id, e]));
+  for(const e of view.enemies) if(before.has(e.id)) lerp(before.get(e.id), e);
+  const dt = Math.max(0, time - a.time) / 1000;
+  view.bullets = a.bullets.map(bl => Object.assign({}, bl, { x: bl.x + bl.vx * dt, y: bl.y + bl.vy * dt }));
+  view.time = time;
+  return view;
+}
+
+/* ------------------------ Prediction (client) ------------------------ */
+// the local player walks right away; each snapshot puts them back where the server had them
+// after input `ack` and replays the inputs it hasn't used yet
+function createPredictor(map){
+  const movePlayer = createPlayerMover(map);
+  const dt = TICK_MS / 1000;
+  let pending = []; // [{ seq, move }] sent but not yet acknowledged
+  const pos = { x: 0, y: 0, r: 16, speed: 200 };
+  return {
+    pos,
+    apply(seq, move){
+      pending.push({ seq, move });
+      movePlayer(pos, move, dt);
+    },
+    reconcile(server, ack){
+      pending = pending.filter(p => p.seq > ack);
+      pos.x = server.x; pos.y = server.y; pos.r = server.r; pos.speed = server.speed;
+      if(server.down) pending = [];
+      for(const p of pending) movePlayer(pos, p.move, dt);
+    },
+    reset(){ pending = []; },
+  };
+}
+
+/* ------------------------ Client sim (browser) ------------------------ */
+// stands in for createSim() on an online client, with the surface the host uses (map, walls,
+// state, advance, resetClock, drainEvents, wallet). advance() sends one input per tick instead
+// of stepping, walks the local player and their shots ahead of the server, and rebuilds state
+// as a view between snapshots. opts: { map, slot, send(msg), now() }
+function createClientSim(opts){
+  const { map, slot, send, now } = opts;
+  const dt = TICK_MS / 1000;
+  const predictor = createPredictor(map);
+  const idle = viewOf(snapshotOf(createSim({ map })), slot); // drawn until the run starts
+  let snaps = [];        // received snapshots, oldest first
+  let offset = null;     // server sim time - local clock
+  let lastNow = null, acc = 0;
+  let seq = 0, clock = 0, lastShotAt = -Infinity;
+  let events = [];
+  let wallets = null;    // from the last intermission snapshot
+  let shots = [];        // our own bullets, drawn before the server has them
+  let fired = [];        // seqs of predicted shots the server hasn't acknowledged (predicted ammo)
+  let weapon = null;     // { key, seq } weapon switch the server hasn't acknowledged
+  let aim = null;
+
+  const newest = () => snaps[snaps.length - 1];
+
+  function receive(snap){
+    const last = newest();
+    if(last && snap.time < last.time){ // a new run (restart)
+      snaps = []; offset = null; shots = []; fired = []; weapon = null;
+      predictor.reset();
+    }
+    snaps.push(snap);
+    if(snaps.length > 30) snaps.shift();
+    // the clock offset follows the freshest snapshot and jumps after a stall
+    const est = snap.time - now();
+    if(offset === null || est > offset || offset - est > 250) offset = est;
+    else offset += (est - offset) * 0.05;
+    if(snap.wallets) wallets = snap.wallets;
+    const me = snap.players[slot];
+    if(me) predictor.reconcile(me, snap.ack);
+    fired = fired.filter(q => q > snap.ack);
+    if(weapon && weapon.seq <= snap.ack) weapon = null;
+    // our own shots were already heard when they were predicted
+    for(const ev of snap.events) if(!(ev.type === 'sfx' && ev.name === 'shoot' && ev.player === slot)) events.push(ev);
+    rebuild(); // the host only advances once state says the run has started
+  }
+
+  function advance(readInput){
+    const t = now();
+    if(lastNow === null) lastNow = t;
+    acc += Math.max(0, t - lastNow);
+    lastNow = t;
+    let n = 0;
+    while(acc >= TICK_MS && n < MAX_STEPS){
+      tick(readInput());
+      acc -= TICK_MS; n++;
+    }
+    if(n === MAX_STEPS) acc = 0;
+    rebuild();
+    return n;
+  }
+
+  function tick(input){
+    clock += TICK_MS;
+    moveShots();
+    const snap = newest();
+    if(!snap) return;
+    send({ type: 'input', seq: ++seq, input });
+    const p = snap.players[slot];
+    const live = !snap.over && !p.down;
+    predictor.apply(seq, live ? input.move : null);
+    if(!live) return;
+    if(input.aim) aim = { x: input.aim.x, y: input.aim.y };
+    if(input.weapon && p.weapons[input.weapon]){ weapon = { key: input.weapon, seq }; fired = []; }
+    if(input.fire) predictShot(p);
+  }
+
+  // the sim's shoot() for looks: same cadence and fire hook (with its own randomness), no damage
+  function predictShot(p){
+    const key = weapon ? weapon.key : p.weapon;
+    const w = p.weapons[key];
+    if(!w || p.reloading || !aim) return; // nothing to aim at until an input has carried an aim
+    const stats = weaponStats(key, w.tiers);
+    const fireRate = stats.fireRate * (p.powers.rapidFire ? POWERS.rapidFire.fireRate : 1);
+    if(w.ammo - fired.length <= 0 || clock - lastShotAt < fireRate) return;
+    lastShotAt = clock;
+    fired.push(seq);
+    const { x, y } = predictor.pos;
+    const angle = Math.atan2(aim.y - y, aim.x - x);
+    const bullet = (a, speed, r, more) => shots.push({ x: x + Math.cos(a)*18, y: y + Math.sin(a)*18, vx: Math.cos(a)*speed, vy: Math.sin(a)*speed, r, from: 'player', owner: slot, weapon: key, ttl: more && more.ttl });
+    WEAPONS[key].fire({ angle, dmg: stats.damage, rand: (a, b) => a + Math.random() * (b - a), bullet }, stats);
+    events.push({ type: 'sfx', name: 'shoot', x: Math.round(x), y: Math.round(y), player: slot, kind: WEAPONS[key].sound || key });
+  }
+
+  // predicted bullets stop at walls, the arena's edge, the first zombie drawn in their way and their ttl
+  function moveShots(){
+    const enemies = sim.state.enemies;
+    shots = shots.filter(b => {
+      b.x += b.vx * dt; b.y += b.vy * dt;
+      if(b.ttl != null && (b.ttl -= dt * 1000) <= 0) return false;
+      if(b.x < -40 || b.x > map.width + 40 || b.y < -40 || b.y > map.height + 40) return false;
+      if(map.walls.some(w => circleHitsWall(b.x, b.y, b.r, w))) return false;
+      return !enemies.some(e => Math.hypot(e.x - b.x, e.y - b.y) < e.r + b.r);
+    });
+  }
+
+  // what's drawn: everyone INTERP_DELAY behind the server, except ourselves, who are
+  // where we predict and as of the newest snapshot
+  function rebuild(){
+    const last = newest();
+    if(!last){ sim.state = idle; return; }
+    const t = now() + offset - INTERP_DELAY;
+    let i = snaps.length - 1;
+    while(i > 0 && snaps[i].time > t) i--;
+    const a = snaps[i], b = snaps[Math.min(i + 1, snaps.length - 1)];
+    const view = lerpView(a, b, Math.max(a.time, Math.min(t, b.time)), slot);
+    if(last.players[slot]){
+      const me = view.players[slot] = view.player = playerView(last.players[slot]);
+      me.x = predictor.pos.x; me.y = predictor.pos.y;
+      if(aim) me.aim = { x: aim.x, y: aim.y };
+      if(weapon) me.currentWeaponKey = weapon.key;
+      const w = me.weapons[me.currentWeaponKey];
+      w.ammo = Math.max(0, w.ammo - fired.length);
+    }
+    view.bullets = view.bullets.filter(bl => bl.owner !== slot).concat(shots);
+    sim.state = view;
+  }
+
+  function drainEvents(){
+    const out = events;
+    events = [];
+    return out;
+  }
+
+  const sim = {
+    map, width: map.width, height: map.height, walls: map.walls, slot, state: idle,
+    receive, advance, drainEvents,
+    resetClock(){ lastNow = null; acc = 0; },
+    wallet: (i = slot) => wallets && wallets[i] || { coins: 0, owned: [], upgrades: {}, reserve: {} },
+  };
+  return sim;
+}
+
+return {
+  NET_VERSION, MAX_PLAYERS, SNAPSHOT_EVERY, INTERP_DELAY, RECONNECT_MS, ROOM_CODE_CHARS, ROOM_CODE_LENGTH,
+  normRoomCode, snapshotOf, viewOf, lerpView, createPredictor, createClientSim,
+};
+});
@@ -0,0 +1,82 @@
+/* src/pickups.js - pickup registry, power-ups and enemy drop tables
+   A pickup lies on the floor until a player walks over it or it despawns (`life` ms, tracked
+   with the pickup's age; the host blinks it for the last BLINK_MS). The built-in kinds:
+     coin   +val coins (coins also fly to a nearby player, MAGNET_RANGE)
+     ammo   +val magazines to the reserve (sim.js addAmmo)
+     health +val hp, armor +val armor points; both are left lying when the player is full
+     power  a timed effect from POWERS for `duration` ms (picking it up again restarts it),
+            or an instant one (nuke)
+   registerPickup(type, def) adds one to PICKUPS (mods too); def:
+     r, life, color, icon     size, ms on the floor, and how the host draws it
+     kind      'coin' draws a disc, 'power' a pulsing tile, anything else a tile with the icon
+     magnet    flies to a nearby player like coins    sound  'pickup' (default) or 'powerup'
+     collect(player, pk, api)   does what it gives (api: sim.js Hook API); false leaves it lying
+     draw(ctx, pk, time)        instead of the built-in look (world px)
+   Drop tables and MAP_DROPS name pickups by type; mods may add rows to them.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ZS = Object.assign(root.ZS || {}, factory());
+})(this, function(){
+'use strict';
+
+const MAGNET_RANGE = 110;   // px at which loose coins start flying to a player
+const MAGNET_SPEED = 320;   // px/s, a little faster than anyone runs
+const BLINK_MS = 3000;      // pickups blink this long before they vanish
+const MAX_ARMOR = 50;
+const ARMOR_SOAK = 0.6;     // share of each hit armor takes while it lasts
+
+/* Timed effects:
+   doubleDamage: bullets hit twice as hard   rapidFire: fireRate x0.5
+   speed: move speed x1.4                    invulnerable: no damage at all
+   nuke: instant, explosions across the whole arena
+*/
+const POWERS = {
+  doubleDamage: { name:'Double damage', icon:'2x', color:'#ef4444', duration:10000, damage:2 },
+  rapidFire:    { name:'Rapid fire',    icon:'RF', color:'#f59e0b', duration:10000, fireRate:0.5 },
+  speed:        { name:'Speed boost',   icon:'»',  color:'#22d3ee', duration:8000,  speed:1.4 },
+  invulnerable: { name:'Invulnerable',  icon:'★',  color:'#fde047', duration:6000 },
+  nuke:         { name:'Nuke',          icon:'☢',  color:'#a3e635', duration:0 },
+};
+
+const PICKUPS = {};
+
+function registerPickup(type, def){
+  if(typeof def.collect !== 'function') throw new Error(`Pickup "${type}" needs a collect(player, pk, api) hook`);
+  return PICKUPS[type] = Object.assign({ kind: type, r:9, life:15000, color:'#e5e7eb', icon:'?', sound:'pickup' }, def);
+}
+
+registerPickup('coin',   { kind:'coin',   r:8, life:20000, color:'#f59e0b', magnet:true, collect: (p, pk, api) => { api.addCoins(p, pk.val); } });
+registerPickup('ammo',   { kind:'ammo',   r:7, life:15000, color:'#60a5fa', icon:'A', collect: (p, pk, api) => { api.addAmmo(p, pk.val); } });
+registerPickup('health', { kind:'health', r:9, life:15000, color:'#22c55e', icon:'+', collect: (p, pk) => {
+  if(p.hp >= p.maxHp) return false;
+  p.hp = Math.min(p.maxHp, p.hp + pk.val);
+} });
+registerPickup('armor',  { kind:'armor',  r:9, life:15000, color:'#94a3b8', icon:'◆', collect: (p, pk) => {
+  if(p.armor >= p.maxArmor) return false;
+  p.armor = Math.min(p.maxArmor, p.armor + pk.val);
+} });
+for(const k in POWERS){
+  registerPickup(k, { kind:'power', power:k, r:10, life:12000, color:POWERS[k].color, icon:POWERS[k].icon, sound:'powerup',
+    collect: (p, pk, api) => { api.grantPower(p, k); } });
+}
+
+/* Drop tables: when an enemy of that type is killed, `chance` that it drops one of `items`
+   (picked by weight) next to its coins. val is what the pickup gives (see kinds above), 1 if unset. */
+const DROP_TABLES = {
+  normal:  { chance:0.08, items:[ { type:'ammo', weight:5, val:0.5 }, { type:'health', weight:3, val:15 }, { type:'armor', weight:1, val:15 } ] },
+  fast:    { chance:0.10, items:[ { type:'ammo', weight:3, val:0.5 }, { type:'speed', weight:2 }, { type:'rapidFire', weight:1 } ] },
+  spitter: { chance:0.12, items:[ { type:'ammo', weight:3, val:1 }, { type:'health', weight:2, val:20 }, { type:'doubleDamage', weight:1 } ] },
+  tank:    { chance:0.30, items:[ { type:'armor', weight:4, val:25 }, { type:'health', weight:3, val:30 }, { type:'ammo', weight:3, val:1 }, { type:'invulnerable', weight:1 } ] },
+  bomber:  { chance:0.15, items:[ { type:'ammo', weight:3, val:1 }, { type:'nuke', weight:1 } ] },
+  boss:    { chance:1,    items:[ { type:'doubleDamage', weight:2 }, { type:'rapidFire', weight:2 }, { type:'invulnerable', weight:1 }, { type:'nuke', weight:1 } ] },
+};
+
+// what turns up at the map's pickup points every few seconds
+const MAP_DROPS = [
+  { type:'coin', weight:10, val:2 }, { type:'ammo', weight:7, val:1 },
+  { type:'health', weight:2, val:25 }, { type:'armor', weight:1, val:20 },
+];
+
+return { PICKUPS, POWERS, registerPickup, DROP_TABLES, MAP_DROPS, MAGNET_RANGE, MAGNET_SPEED, BLINK_MS, MAX_ARMOR, ARMOR_SOAK };
+});
@@ -0,0 +1,119 @@
+/* src/replay.js - input recording & playback
+   A replay is the run seed plus the per-tick input log; feeding the same inputs
+   to a sim started with the same seed reproduces the run exactly.
+
+   File format (JSON):
+     { version:5, seed, map, loadout, ticks, inputs:[ [repeat, input], ... ] }
+   map is the arena in map JSON format (see maps.js); loadout is what the run
+   started with (banked coins, owned weapons, continue checkpoint, co-op options, game mode).
+   Each input is what sim.step() reads for one tick (packInput below):
+     { move:{x,y}, aim:{x,y}|null, fire, weapon, reload,       player 1
+       ready,                                                  skip the intermission
+       shop:null|{ buy:[{ player, kind, key, track }] },       purchases made that tick
+       p2:null|{ move, aim, fire, weapon, reload } }           player 2 in co-op
+   Consecutive identical inputs are run-length encoded (standing still, holding fire...).
+   The version goes up whenever the file or input shape changes; older replays are refused:
+     1 seed and inputs   2 + loadout   3 map instead of width/height
+     4 + ready and shop buys   5 + p2 and the buying player
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ZS = Object.assign(root.ZS || {}, factory());
+})(this, function(){
+'use strict';
+
+const REPLAY_VERSION = 5;
+
+// keep only what the sim reads; drops extra fields and normalises falsy values
+function packPlayer(input){
+  return {
+    move: { x: input.move ? input.move.x : 0, y: input.move ? input.move.y : 0 },
+    aim: input.aim ? { x: input.aim.x, y: input.aim.y } : null,
+    fire: !!input.fire,
+    weapon: input.weapon || null,
+    reload: !!input.reload,
+  };
+}
+
+function packInput(input){
+  return Object.assign(packPlayer(input), {
+    ready: !!input.ready,
+    shop: input.shop ? { buy: (input.shop.buy || []).map(c => ({ player: c.player || 0, kind: c.kind, key: c.key, track: c.track || null })) } : null,
+    p2: input.p2 ? packPlayer(input.p2) : null,
+  });
+}
+
+const sameShop = (a, b) => a === b || (a && b && JSON.stringify(a) === JSON.stringify(b));
+
+function samePlayer(a, b){
+  return a.move.x === b.move.x && a.move.y === b.move.y &&
+    (a.aim === b.aim || (a.aim && b.aim && a.aim.x === b.aim.x && a.aim.y === b.aim.y)) &&
+    a.fire === b.fire && a.weapon === b.weapon && a.reload === b.reload;
+}
+
+function sameInput(a, b){
+  return samePlayer(a, b) && a.ready === b.ready && sameShop(a.shop, b.shop) &&
+    (a.p2 === b.p2 || (a.p2 && b.p2 && samePlayer(a.p2, b.p2)));
+}
+
+/* ------------------------ Recording ------------------------ */
+function createRecorder(seed, meta = {}){
+  const runs = [];
+  let ticks = 0;
+  return {
+    // call once per sim tick with the exact input passed to sim.step()
+    record(input){
+      const p = packInput(input);
+      const last = runs[runs.length-1];
+      if(last && sameInput(last[1], p)) last[0]++;
+      else runs.push([1, p]);
+      ticks++;
+      return input;
+    },
+    get ticks(){ return ticks; },
+    toJSON(){
+      return Object.assign({ version: REPLAY_VERSION, seed, ticks }, meta, { inputs: runs });
+    },
+  };
+}
+
+/* ------------------------ Loading ------------------------ */
+function parseReplay(data){
+  if(typeof data === 'string'){
+    try { data = JSON.parse(data); } catch(e){ throw new Error('Replay is not valid JSON: ' + e.message); }
+  }
+  if(!data || typeof data !== 'object') throw new Error('Replay must be a JSON object');
+  if(data.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${data.version} (expected ${REPLAY_VERSION})`);
+  if(typeof data.seed !== 'number') throw new Error('Replay is missing its seed');
+  if(!Array.isArray(data.inputs)) throw new Error('Replay is missing its input log');
+  let ticks = 0;
+  data.inputs.forEach((run, i) => {
+    if(!Array.isArray(run) || !(run[0] > 0) || !run[1] || typeof run[1] !== 'object'){
+      throw new Error(`Replay input #${i} is malformed`);
+    }
+    ticks += run[0];
+  });
+  return Object.assign({}, data, { ticks });
+}
+
+/* ------------------------ Playback ------------------------ */
+function createPlayback(replay){
+  replay = parseReplay(replay);
+  let run = 0, used = 0, tick = 0;
+  return {
+    replay,
+    get tick(){ return tick; },
+    get done(){ return tick >= replay.ticks; },
+    // input for the next tick, or null once the log is exhausted
+    next(){
+      if(tick >= replay.ticks) return null;
+      const [count, input] = replay.inputs[run];
+      if(++used >= count){ run++; used = 0; }
+      tick++;
+      return packInput(input);
+    },
+  };
+}
+
+return { REPLAY_VERSION, createRecorder, createPlayback, parseReplay };
+});
@@ -0,0 +1,47 @@
+/* src/rng.js - seedable PRNG (mulberry32)
+   Every random roll in the simulation goes through one of these so a run can
+   be reproduced from its seed. Loaded as a plain script (window.ZS) or via require().
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ZS = Object.assign(root.ZS || {}, factory());
+})(this, function(){
+'use strict';
+
+function createRng(seed = 1){
+  let a = seed >>> 0;
+  const rng = {
+    // float in [0,1)
+    next(){
+      a = (a + 0x6D2B79F5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    range(lo, hi){ return rng.next()*(hi-lo)+lo; },
+    int(lo, hi){ return Math.floor(rng.range(lo, hi)); }, // [lo, hi)
+    chance(p){ return rng.next() < p; },
+    getState(){ return a >>> 0; },
+    setState(v){ a = v >>> 0; },
+  };
+  return rng;
+}
+
+// weighted pick from items with a .weight
+function pickWeighted(rng, items){
+  let total = 0;
+  for(const it of items) total += it.weight;
+  let r = rng.next() * total;
+  for(const it of items){ r -= it.weight; if(r < 0) return it; }
+  return items[items.length-1];
+}
+
+// 32-bit seed from any string (used for named / dated seeds)
+function hashSeed(str){
+  let h = 2166136261;
+  for(let i=0;i<str.length;i++){ h ^= str.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return h >>> 0;
+}
+
+return { createRng, pickWeighted, hashSeed };
+});
@@ -0,0 +1,205 @@
+/* src/save.js - persistent progression (localStorage)
+   Profile = what survives between sessions:
+     { version, coins, owned:[weaponKey], upgrades:{weaponKey:{track:tier}}, reserve:{weaponKey:n},
+       best:{score, level}, highScores:{table:[{score, level, date}]}, stats:{...}, achievements:{id:time},
+       settings:{...}, run:null|{checkpoint} }
+   - coins and reserve ammo are banked: the wallet a run starts with and ends with
+   - upgrades are bought in the shop (see weapons.js) and kept for good
+   - settings: volumes, mouse sensitivity, pad aim assist, arena, co-op (players, sharedCoins),
+     game mode (mode, modeWeapon), difficulty, accessibility (palette, markers, highContrast, hudScale,
+     toggleFire; see accessibility.js), and settings.keys = rebound actions only (controls.js)
+   - stats are lifetime totals over finished runs, achievements the ones unlocked (stats.js)
+   - run holds the checkpoint taken at the start of the current level, for "Continue"
+   - highScores: the top HIGH_SCORES runs per game mode ({ score, level, date, difficulty }), and per day for the daily challenge
+     (modes.js scoreTable); best is classic's record. Only classic runs bank their wallet and can be
+     continued: the other modes bring their own loadout and just add the coins they earned
+   Saves are versioned; older saves go through MIGRATIONS one step at a time.
+   Storage is injected (window.localStorage in the browser, any getItem/setItem object in Node).
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(Object.assign({}, require('./stats.js'), require('./modes.js')));
+  else root.ZS = Object.assign(root.ZS || {}, factory(root.ZS));
+})(this, function(ZS){
+'use strict';
+
+const { newLifeStats, addRunStats } = ZS;
+const { resolveMode, scoreTable, HIGH_SCORES, DAILY_TABLES } = ZS;
+
+const SAVE_VERSION = 4;
+const SAVE_KEY = 'zombie-shooter.save';
+
+// MIGRATIONS[n] upgrades a version n save to version n+1
+const MIGRATIONS = {
+  // v2: weapon upgrade tiers and reserve ammo (empty reserve = the weapon's starting reserve)
+  1: (data) => Object.assign({}, data, { upgrades: {}, reserve: {} }),
+  // v3: lifetime stats and achievements
+  2: (data) => Object.assign({}, data, { stats: newLifeStats(), achievements: {} }),
+  // v4: high-score tables per game mode; the best run so far starts classic's
+  3: (data) => Object.assign({}, data, {
+    highScores: data.best && data.best.score ? { classic: [{ score: data.best.score, level: data.best.level, date: null }] } : {},
+  }),
+};
+
+function defaultProfile(){
+  return {
+    version: SAVE_VERSION,
+    coins: 0,
+    owned: ['pistol'],
+    upgrades: {},
+    reserve: {},
+    best: { score: 0, level: 1 },
+    highScores: {},
+    stats: newLifeStats(),
+    achievements: {},
+    settings: { musicVolume: 0.25, sfxVolume: 1, mouseSensitivity: 1, aimAssist: true, keys: {}, map: 'yard', players: 1, sharedCoins: true, mode: 'classic', modeWeapon: 'pistol',
+      difficulty: 'normal', palette: 'standard', markers: false, highContrast: false, hudScale: 1, toggleFire: false },
+    run: null,
+  };
+}
+
+// bring any supported save up to SAVE_VERSION; throws on data we can't use
+function migrateSave(data){
+  if(!data || typeof data !== 'object') throw new Error('save is not an object');
+  let v = data.version;
+  if(typeof v !== 'number') throw new Error('save has no version');
+  if(v > SAVE_VERSION) throw new Error(`save version ${v} is newer than this game (${SAVE_VERSION})`);
+  while(v < SAVE_VERSION){
+    const up = MIGRATIONS[v];
+    if(!up) throw new Error(`no migration from save version ${v}`);
+    data = up(data);
+    v = data.version = v + 1;
+  }
+  return fillDefaults(data);
+}
+
+// fields added within a version (or dropped by hand-editing) fall back to defaults
+function fillDefaults(data){
+  const d = defaultProfile();
+  const out = Object.assign(d, data);
+  out.best = Object.assign(defaultProfile().best, data.best);
+  out.settings = Object.assign(defaultProfile().settings, data.settings);
+  out.stats = Object.assign(newLifeStats(), data.stats);
+  if(!out.achievements || typeof out.achievements !== 'object') out.achievements = {};
+  if(!out.highScores || typeof out.highScores !== 'object') out.highScores = {};
+  if(!Array.isArray(out.owned)) out.owned = ['pistol'];
+  if(!out.owned.includes('pistol')) out.owned.unshift('pistol');
+  if(!out.upgrades || typeof out.upgrades !== 'object') out.upgrades = {};
+  if(!out.reserve || typeof out.reserve !== 'object') out.reserve = {};
+  if(!out.settings.keys || typeof out.settings.keys !== 'object') out.settings.keys = {};
+  if(!(out.settings.hudScale > 0)) out.settings.hudScale = 1;
+  return out;
+}
+
+/* ------------------------ Progression ------------------------ */
+// bank the wallet and remember where the run is, at the start of each level
+function checkpointRun(profile, sim){
+  bankWallet(profile, sim);
+  profile.run = { checkpoint: sim.checkpoint() };
+  return profile;
+}
+
+// a finished run can't be continued; keep its coins, ammo, records and stats.
+// Other modes' runs keep the coins they earned, their stats and their place in the mode's table
+function finishRun(profile, sim, date = Date.now()){
+  const s = sim.state;
+  recordScore(profile, scoreTable(s.mode), { score: s.score, level: s.level, date, difficulty: s.mode.difficulty });
+  addRunStats(profile.stats, s.stats);
+  if(s.mode.id !== 'classic'){
+    profile.coins += s.stats.coins;
+    return profile;
+  }
+  bankWallet(profile, sim);
+  profile.best.score = Math.max(profile.best.score, s.score);
+  profile.best.level = Math.max(profile.best.level, s.level);
+  profile.run = null;
+  return profile;
+}
+
+// where a score would place in a table (1 = top), 0 when it wouldn't make it; ties go below
+function scoreRank(table = [], score){
+  const i = table.filter(e => e.score >= score).length;
+  return i < HIGH_SCORES ? i + 1 : 0;
+}
+
+// add a run to its table, keeping the top HIGH_SCORES and the latest DAILY_TABLES days
+function recordScore(profile, table, entry){
+  const list = profile.highScores[table] = profile.highScores[table] || [];
+  const rank = scoreRank(list, entry.score);
+  if(rank) list.splice(rank - 1, 0, entry);
+  list.length = Math.min(list.length, HIGH_SCORES);
+  const days = Object.keys(profile.highScores).filter(k => k.startsWith('daily:')).sort().reverse();
+  for(const k of days.slice(DAILY_TABLES)) delete profile.highScores[k];
+  return rank;
+}
+
+// in co-op the bank takes the team's coins and player 1's weapons
+function bankWallet(profile, sim){
+  const w = sim.wallet();
+  profile.coins = sim.state.coins;
+  // weapons and upgrades bought between waves are kept too
+  profile.owned = w.owned;
+  profile.upgrades = w.upgrades;
+  Object.assign(profile.reserve, w.reserve);
+}
+
+// what the sim needs to start a run for this profile (see sim.start) in a game mode ({ id, weapon, day },
+// null: classic) at the chosen difficulty; a continued run keeps the co-op setup and difficulty its checkpoint was taken with.
+// Only classic brings the bank and can be continued; the rest start with no coins (modes.js loadout)
+function loadoutFor(profile, resume = false, mode = null){
+  const m = resolveMode(mode);
+  const checkpoint = resume && m.checkpoints && profile.run ? profile.run.checkpoint : null;
+  const upgrades = JSON.parse(JSON.stringify(profile.upgrades));
+  const out = {
+    coins: m.id === 'classic' ? profile.coins : 0,
+    owned: profile.owned.slice(),
+    upgrades,
+    reserve: Object.assign({}, profile.reserve),
+    checkpoint,
+    coop: !checkpoint && profile.settings.players === 2 ? { sharedCoins: profile.settings.sharedCoins } : null,
+    mode,
+    difficulty: checkpoint ? checkpoint.difficulty || 'normal' : profile.settings.difficulty,
+  };
+  if(m.loadout === 'oneWeapon') Object.assign(out, { owned: [m.onlyWeapon], upgrades: upgrades[m.onlyWeapon] ? { [m.onlyWeapon]: upgrades[m.onlyWeapon] } : {}, reserve: {} });
+  if(m.loadout === 'daily') Object.assign(out, { owned: ['pistol', m.daily.weapon], upgrades: {}, reserve: {} });
+  return out;
+}
+
+/* ------------------------ Storage ------------------------ */
+function createSaveStore(storage, key = SAVE_KEY){
+  let memory = null; // used when storage is missing or throws (private mode, quota)
+
+  function read(){
+    try { return storage ? storage.getItem(key) : memory; } catch(e){ return memory; }
+  }
+  function write(str){
+    memory = str;
+    try { storage && storage.setItem(key, str); } catch(e){}
+  }
+
+  return {
+    // never throws: unreadable saves are moved aside to `${key}.bak` and replaced with a fresh profile
+    load(){
+      const raw = read();
+      if(raw == null) return defaultProfile();
+      try { return migrateSave(JSON.parse(raw)); }
+      catch(err){
+        try { storage && storage.setItem(key + '.bak', raw); } catch(e){}
+        if(typeof console !== 'undefined') console.warn(`Save discarded (${err.message}); backup kept in ${key}.bak`);
+        return defaultProfile();
+      }
+    },
+    save(profile){
+      profile.version = SAVE_VERSION;
+      write(JSON.stringify(profile));
+      return profile;
+    },
+    reset(){
+      const fresh = defaultProfile();
+      write(JSON.stringify(fresh));
+      return fresh;
+    },
+  };
+}
+
+return { SAVE_VERSION, SAVE_KEY, MIGRATIONS, defaultProfile, migrateSave, checkpointRun, finishRun, scoreRank, recordScore, loadoutFor, createSaveStore };
+});
@@ -0,0 +1,1107 @@
+/* src/sim.js - Zombie Shooter simulation core
+   Game state and rules only: no DOM, canvas, audio or timers, so it runs the
+   same in the browser (window.ZS.createSim) and in Node (require('./src/sim.js')).
+   - Fixed timestep: step(input) advances exactly one tick of TICK_MS
+   - Seedable RNG: same seed + same inputs => same run
+   - Injected clock: advance(readInput) pulls real time from opts.now and runs whole ticks
+   - Output: sim.state is read by the renderer/HUD, sim.drainEvents() for sounds etc.
+     events: sfx{name, x, y[, player, kind]}, wave{level, name, special}, level{level, summary}, boss{name, phase},
+             purchase{ok, player, kind, key, track}, down{player}, revive{player}, power{player, key},
+             kill{enemy, boss, weapon, player}, damage{x, y, amount, player, status}, gameover{score, level, timeUp}
+
+   Input per tick:
+     { move:{x,y}, aim:{x,y}, fire:bool, weapon:key|null, reload:bool,
+       ready:bool, shop:null|{ buy:[{player, kind:'weapon'|'upgrade'|'ammo', key, track}] },
+       p2:null|{ move, aim, fire, weapon, reload } }
+   the top-level move..reload drive player 1, p2 the second player in co-op;
+   ready ends the intermission early; a non-null shop holds its countdown and buys from the run's wallet
+   Loadout for start(seed, loadout):
+     { coins, owned:[weaponKey], upgrades:{key:{track:tier}}, reserve:{key:n}, checkpoint:null|sim.checkpoint(),
+       coop:null|{ sharedCoins:bool }, mode:null|{ id, weapon, day }, difficulty:'easy'|'normal'|'hard' }
+   Weapons carry their upgraded stats (see weapons.js), a magazine (ammo) and a reserve that
+   reloads draw from; wallet() hands coins and reserves back to the save.
+   Pickups (pickups.js) drop from kills by enemy type and appear around the map; they despawn
+   after their life. Power-ups run on player.powers (key -> sim time they end).
+   Damage (damage.js): every hit on a player goes through hurtPlayer() (invulnerability, armor, the
+   moment of safety after a hit), every hit on a zombie through hurtEnemy() (its armor against bullets).
+   Both emit a damage event for the floating numbers. Statuses (acid, burn, slow) sit on .status of
+   players and zombies; knockback on a zombie's kx/ky. Zombies touching a player hit it now and then.
+   state.stats counts the run as it goes (stats.js): kills, shots and hits per weapon, damage
+   taken by source, coins earned; a kill is credited to the weapon (and player) that made it.
+   Weapons, enemy types and pickups come from their registries (weapons.js, enemies.js,
+   pickups.js): the sim runs their hooks and hands them the Hook API below.
+   The game mode (modes.js, state.mode) sets how levels come (waves, or a trickle in endless survival),
+   the intermission and shop, a time limit, what kills score and the daily challenge's modifiers;
+   the difficulty preset (loadout.difficulty, kept in checkpoints) zombies' speed, hits and numbers.
+   With fixedSpawns, waves and spawn points draw from their own stream (srng) seeded from the run's,
+   so the zombies come the same way whatever the players do.
+   sim.dev is what the developer console (devtools.js) pulls on: spawn, level, coins, give, god, refit.
+   A run it changed has state.dev set and can't be replayed from its inputs.
+
+   Co-op: state.players holds both players (state.player is player 1). Each has their own hp,
+   weapons, ammo and aim; both start from the same loadout. Enemies go for the nearest living
+   player. A player at 0 hp is down until a teammate stands next to them for REVIVE_MS (or the
+   wave ends); the run is over when everyone is down. Coins are one pot (state.coins) or
+   per player (player.coins; state.coins is then the team's total, which the save banks).
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(Object.assign({}, require('./rng.js'), require('./maps.js'), require('./nav.js'), require('./spatial.js'), require('./damage.js'), require('./weapons.js'), require('./bosses.js'), require('./pickups.js'), require('./enemies.js'), require('./waves.js'), require('./modes.js'), require('./stats.js')));
+  else root.ZS = Object.assign(root.ZS || {}, factory(root.ZS));
+})(this, function(ZS){
+'use strict';
+
+const { createRng, hashSeed, pickWeighted, getBuiltinMap, DEFAULT_MAP_ID, mapToJSON, circleHitsWall, wallPush, createNavGrid, lineOfSight } = ZS;
+const { createSpatialHash, createBruteIndex, createWallIndex, removeAt, compact } = ZS;
+const { WEAPONS, weaponStats, startingReserve } = ZS;
+const { BOSSES, BOSS_ATTACKS } = ZS;
+const { planWave, planTrickle, isBossLevel, INTERMISSION_MS } = ZS;
+const { resolveMode, TRICKLE_LEVEL_MS } = ZS;
+const { buy } = ZS;
+const { PICKUPS, POWERS, MAP_DROPS, MAGNET_RANGE, MAGNET_SPEED, MAX_ARMOR, ARMOR_SOAK } = ZS;
+const { ENEMIES, statAt } = ZS;
+const { newRunStats, tally } = ZS;
+const { STATUS_EFFECTS, STATUS_TICK_MS, HIT_INVULN_MS, CONTACT_EVERY, CONTACT_RECOIL, BLAST_PUSH, KNOCKBACK_DECAY } = ZS;
+const { applyStatus, statusSpeed, throughArmor, knockback } = ZS;
+
+const TICKS_PER_SECOND = 60;
+const TICK_MS = 1000/TICKS_PER_SECOND;
+const MAX_STEPS_PER_ADVANCE = 5; // don't spiral after a long stall (tab hidden etc.)
+const MAX_PARTICLES = 3000;      // cosmetic; extra ones are skipped in huge fights
+
+/* ------------------------ Definitions ------------------------ */
+// enemy AI tuning
+const LOS_EVERY = 6;            // ticks between line-of-sight checks per enemy (staggered by id)
+const BOSS_HIT_EVERY = 700;     // ms between contact hits from a boss (bosses don't die on contact)
+const BOSS_CONTACT_DAMAGE = 15;
+const MAX_SUMMONED = 40;        // summons stop while this many enemies are alive
+
+const PLAYER_SPEED = 200;
+const NUKE_CELL = 240;          // px per nuke blast across the arena
+const NUKE_SCALE = 3;           // explode() scale of each blast (radius 180px)
+
+// co-op
+const REVIVE_RANGE = 48;        // px between a downed player and the teammate reviving them
+const REVIVE_MS = 3000;
+const REVIVE_HP = 0.35;         // fraction of maxHp a revived player gets back
+
+const NO_INPUT = Object.freeze({ move:{x:0,y:0}, aim:null, fire:false, weapon:null, reload:false, ready:false, shop:null });
+
+/* ------------------------ Utils ------------------------ */
+const clamp = (v,a,b) => Math.max(a, Math.min(b,v));
+
+/* ------------------------ Player movement ------------------------ */
+// one tick of walking: move is {x,y} (keys give -1/0/1 per axis, sticks their own magnitude)
+// or null to stand still; the player always ends inside the arena and out of the walls.
+// Online clients predict their own player with the same function (net.js).
+function createPlayerMover(map, wallIndex = createWallIndex(map.walls, 64)){
+  return function movePlayer(player, move, dt){
+    if(move){
+      const mag = Math.hypot(move.x, move.y);
+      const k = mag > 1 ? 1/mag : 1;
+      player.x += move.x * k * player.speed * dt;
+      player.y += move.y * k * player.speed * dt;
+    }
+    // clamp inside arena
+    player.x = clamp(player.x, player.r, map.width - player.r);
+    player.y = clamp(player.y, player.r, map.height - player.r);
+    // avoid walls (push out along the shortest way)
+    for(const w of wallIndex.near(player.x, player.y, player.r)){
+      const push = wallPush(player.x, player.y, player.r, w);
+      if(push){ player.x += push.x; player.y += push.y; }
+    }
+  };
+}
+
+/* ------------------------ Simulation ------------------------ */
+function createSim(opts = {}){
+  // opts.map must already be validated by loadMap()
+  const map = opts.map || getBuiltinMap(DEFAULT_MAP_ID);
+  const W = map.width, H = map.height;
+  const walls = map.walls;
+  const now = opts.now || (() => 0);
+  const rng = createRng(opts.seed == null ? 1 : opts.seed);
+  const rand = (a,b) => rng.range(a,b);
+  const nav = createNavGrid(map);
+  const stepDir = { x: 0, y: 0 };
+  const heading = { x: 0, y: 0, dx: 0, dy: 0, d: 0 }; // scratch for enemy steer hooks
+
+  // broadphase; opts.broadphase = 'naive' checks everything (benchmarks)
+  const naive = opts.broadphase === 'naive';
+  const wallIndex = createWallIndex(walls, 64, naive);
+  const enemyIndex = naive ? createBruteIndex() : createSpatialHash(64);
+  const pickupIndex = naive ? createBruteIndex() : createSpatialHash(64);
+  const movePlayer = createPlayerMover(map, wallIndex);
+  const found = [];            // scratch result for index queries
+  const particlePool = [];     // recycled particle objects
+
+  let s = null;          // current run state, see reset()
+  let srng = rng;        // waves and spawn points; its own stream when the mode fixes the spawns
+  let events = [];       // drained by the host each frame
+  let lastNow = null, acc = 0;
+
+  const emit = (type, data) => events.push(Object.assign({ type }, data));
+  // x,y place the sound (the host pans it); kind picks its variant: weapon key, enemy type, pickup type
+  const sfx = (name, x, y, more) => emit('sfx', Object.assign({ name, x: Math.round(x), y: Math.round(y) }, more));
+
+  // slot 0 is player 1; teammates start a little to the side
+  function createPlayer(slot = 0, loadout = { owned: ['pistol'] }, mode = resolveMode(null)){
+    const x = map.playerStart.x + slot * 40, y = map.playerStart.y;
+    const hp = Math.round(100 * mode.playerHp);
+    return {
+      slot, x, y, r: 16, speed: PLAYER_SPEED, maxHp: hp, hp, armor: 0, maxArmor: MAX_ARMOR,
+      down: false, revive: 0, coins: 0,
+      powers: {},          // power key -> sim time it wears off
+      status: {},          // status key -> { until, next, ... } (damage.js)
+      hurtUntil: 0,        // safe from hits until then
+      aim: { x, y },
+      weapons: createWeapons(loadout, mode),
+      currentWeaponKey: mode.onlyWeapon || 'pistol',
+      lastShotAt: -Infinity,
+      reloading: false, reloadKey: null, reloadDoneAt: 0,
+    };
+  }
+
+  // per-run weapon state: upgraded stats + full magazine + reserve;
+  // in the one-weapon mode that weapon is all there is, and it never runs dry
+  function createWeapons(loadout = {}, mode = s.mode){
+    const ws = {};
+    const ups = loadout.upgrades || {}, reserve = loadout.reserve || {};
+    for(const k in WEAPONS){
+      const w = ws[k] = weaponStats(k, ups[k]);
+      w.tiers = Object.assign({}, ups[k]);
+      w.owned = k === 'pistol' || !loadout.owned || loadout.owned.includes(k);
+      if(mode.onlyWeapon){ w.owned = k === mode.onlyWeapon; w.infiniteReserve = w.owned; }
+      w.ammo = w.maxAmmo;
+      w.reserve = w.infiniteReserve ? Infinity : (reserve[k] != null ? reserve[k] : startingReserve(k));
+    }
+    return ws;
+  }
+
+  function newState(loadout, coop = null){
+    const mode = resolveMode(loadout && loadout.mode, loadout && loadout.difficulty);
+    const players = [createPlayer(0, loadout, mode)];
+    if(coop){
+      players.push(createPlayer(1, loadout, mode));
+      pushOutOfWalls(players[1]);
+    }
+    s = {
+      tick: 0, time: 0, seed: rng.getState(),
+      started: false, over: false,
+      score: 0, coins: 0, level: 1, nextId: 1,
+      coop,                // null, or { sharedCoins } for a two-player run
+      mode,                // resolveMode() of the loadout's mode (modes.js)
+      wave: null,          // planWave() + spawn progress for the current level (endless: the trickle's)
+      intermission: null,  // { endsAt, summary } between levels
+      combo: { n: 0, until: -Infinity }, // time attack's kill chain
+      dev: null,           // { god } once the developer console has changed the run (sim.dev)
+      players, player: players[0],
+      bullets: [], enemies: [], particles: [], pickups: [],
+      pickupSpawnTimer: 0,
+      stats: newRunStats(),
+    };
+    srng = mode.fixedSpawns ? createRng(hashSeed('spawns:' + s.seed)) : rng;
+    sim.state = s;
+  }
+
+  const living = () => s.players.filter(p => !p.down);
+  const splitCoins = () => !!(s.coop && !s.coop.sharedCoins);
+
+  // coins always count towards the team's total; per-player coins also go to whoever earned them.
+  // The banked coins a run starts with aren't earned
+  function addCoins(p, n){
+    s.coins += n;
+    if(s.started) s.stats.coins += n;
+    if(p && splitCoins()) p.coins += n;
+  }
+
+  // the nearest living player to (x,y), or null when everyone is down
+  function nearestPlayer(x, y){
+    let best = null, bd = Infinity;
+    for(const p of s.players){
+      if(p.down) continue;
+      const d = Math.hypot(p.x - x, p.y - y);
+      if(d < bd){ bd = d; best = p; }
+    }
+    return best;
+  }
+
+  function reset(){
+    newState();
+    startWave();
+  }
+
+  // begin a run; reseeding makes the whole run reproducible from `seed` + `loadout`
+  // a continued co-op run stays co-op (the checkpoint remembers)
+  function start(seed, loadout = {}){
+    if(seed != null) rng.setState(seed);
+    resetClock();
+    const coop = loadout.coop || (loadout.checkpoint && loadout.checkpoint.coop) || null;
+    newState(loadout, coop ? { sharedCoins: coop.sharedCoins !== false } : null);
+    // banked coins belong to player 1
+    if(loadout.coins) addCoins(s.player, loadout.coins);
+    if(loadout.checkpoint) restore(loadout.checkpoint);
+    s.started = true;
+    events = [];
+    startWave();
+  }
+
+  // a player's wallet in the save profile's shape (weapons.js): the coins they can spend,
+  // owned weapons, their upgrade tiers and the reserve ammo of limited weapons
+  function wallet(slot = 0){
+    const p = s.players[slot] || s.player;
+    const owned = [], upgrades = {}, reserve = {};
+    for(const k in p.weapons){
+      const w = p.weapons[k];
+      if(!w.owned) continue;
+      owned.push(k);
+      if(Object.keys(w.tiers).length) upgrades[k] = Object.assign({}, w.tiers);
+      if(!w.infiniteReserve) reserve[k] = w.reserve;
+    }
+    return { coins: splitCoins() ? p.coins : s.coins, owned, upgrades, reserve };
+  }
+
+  // shop commands from the input (intermission only); magazines survive the refit
+  function purchase(cmd){
+    const slot = s.players[cmd.player] ? cmd.player : 0;
+    const p = s.players[slot];
+    const w = wallet(slot);
+    const ok = buy(w, cmd);
+    if(ok){
+      const old = p.weapons;
+      const spent = wallet(slot).coins - w.coins;
+      s.coins -= spent;
+      if(splitCoins()) p.coins -= spent;
+      p.weapons = createWeapons(w);
+      for(const k in old) if(old[k].owned) p.weapons[k].ammo = Math.min(p.weapons[k].maxAmmo, old[k].ammo);
+    }
+    emit('purchase', Object.assign({ ok }, cmd, { player: slot }));
+  }
+
+  // progress at the start of the current level (coins, ownership and reserves travel in the loadout);
+  // carries the map so the host can rebuild the same arena before restoring
+  function checkpoint(){
+    const players = s.players.map(p => {
+      const ammo = {};
+      for(const k in p.weapons) ammo[k] = p.weapons[k].ammo;
+      return { hp: p.hp, armor: p.armor, weapon: p.currentWeaponKey, ammo };
+    });
+    return {
+      level: s.level, score: s.score, stats: JSON.parse(JSON.stringify(s.stats)),
+      hp: players[0].hp, weapon: players[0].weapon, ammo: players[0].ammo,
+      players, coop: s.coop, difficulty: s.mode.difficulty,
+      map: mapToJSON(map),
+    };
+  }
+
+  // older checkpoints only have player 1's hp/weapon/ammo at the top level
+  function restore(cp){
+    s.level = cp.level; s.score = cp.score;
+    if(cp.stats) s.stats = Object.assign(newRunStats(), JSON.parse(JSON.stringify(cp.stats)));
+    (cp.players || [cp]).forEach((c, i) => {
+      const p = s.players[i];
+      if(!p) return;
+      p.hp = Math.min(p.maxHp, c.hp);
+      p.armor = Math.min(p.maxArmor, c.armor || 0);
+      for(const k in c.ammo) if(p.weapons[k]) p.weapons[k].ammo = Math.min(p.weapons[k].maxAmmo, c.ammo[k]);
+      if(p.weapons[c.weapon] && p.weapons[c.weapon].owned) p.currentWeaponKey = c.weapon;
+    });
+  }
+
+  /* ------------------------ Shooting & Reload ------------------------ */
+  function shoot(player){
+    if(!s.started || s.over || player.down) return;
+    const w = player.weapons[player.currentWeaponKey];
+    if(!w || !w.owned) return;
+    if(player.reloading) return;
+    const fireRate = w.fireRate * (player.powers.rapidFire ? POWERS.rapidFire.fireRate : 1);
+    if(w.ammo <= 0){
+      if(w.reserve > 0) startReload(player, true);
+      else if(s.time - player.lastShotAt >= fireRate){ player.lastShotAt = s.time; sfx('empty', player.x, player.y, { player: player.slot }); } // dry fire
+      return;
+    }
+    if(s.time - player.lastShotAt < fireRate) return;
+    player.lastShotAt = s.time;
+    w.ammo--;
+
+    const angle = Math.atan2(player.aim.y - player.y, player.aim.x - player.x);
+    const owner = player.slot;
+    const dmg = w.damage * (player.powers.doubleDamage ? POWERS.doubleDamage.damage : 1) * s.mode.damage;
+    const weapon = player.currentWeaponKey, def = WEAPONS[weapon];
+
+    // the weapon's fire hook (weapons.js) decides what comes out; every bullet counts as a shot
+    let fired = 0;
+    const bullet = (a, speed, r, more) => {
+      s.bullets.push(Object.assign({ x: player.x + Math.cos(a)*18, y: player.y + Math.sin(a)*18, vx: Math.cos(a)*speed, vy: Math.sin(a)*speed, r, dmg, from:'player', owner, weapon,
+        knockback: w.knockback || 0, status: w.status || null }, more));
+      fired++;
+    };
+    def.fire({ angle, dmg, rand, bullet }, w);
+    tally(s.stats.shots, weapon, fired);
+
+    spawnMuzzle(player.x + Math.cos(angle)*18, player.y + Math.sin(angle)*18, angle);
+    sfx('shoot', player.x, player.y, { player: owner, kind: def.sound || weapon });
+
+    if(w.ammo <= 0 && w.reserve > 0) startReload(player, true);
+  }
+
+  // auto reloads (empty magazine) are silent, manual ones play the reload sound;
+  // an empty reserve clicks instead
+  function startReload(player, auto = false){
+    if(player.reloading) return;
+    const w = player.weapons[player.currentWeaponKey];
+    if(!w) return;
+    if(!auto && w.ammo >= w.maxAmmo) return;
+    if(w.reserve <= 0){ if(!auto) sfx('empty', player.x, player.y, { player: player.slot }); return; }
+    player.reloading = true;
+    player.reloadKey = player.currentWeaponKey;
+    player.reloadDoneAt = s.time + w.reload;
+    if(!auto) sfx('reload', player.x, player.y, { player: player.slot, kind: WEAPONS[player.currentWeaponKey].sound || player.currentWeaponKey });
+  }
+
+  function updateReload(player){
+    if(!player.reloading || s.time < player.reloadDoneAt) return;
+    const w = player.weapons[player.reloadKey];
+    if(w){
+      const n = Math.min(w.maxAmmo - w.ammo, w.reserve);
+      w.ammo += n; w.reserve -= n;
+    }
+    player.reloading = false; player.reloadKey = null;
+  }
+
+  /* ------------------------ Enemies ------------------------ */
+  // zone: a spawn zone to use (must accept the type), or null for a weighted random one;
+  // from: the stream its place comes from (waves pass srng, summons and splits use rng).
+  // Stats and init come from the enemy registry (enemies.js); unknown types spawn as normal zombies
+  function spawnEnemy(type='normal', zone=null, from=rng){
+    const level = s.level, mode = s.mode;
+    // random point in one of the map's spawn zones that accepts this type
+    zone = zone || pickWeighted(from, map.spawnZones.filter(z => !z.types || z.types.includes(type)));
+    const x = zone.x + from.range(0, zone.w), y = zone.y + from.range(0, zone.h);
+
+    if(!ENEMIES[type]) type = 'normal';
+    const def = ENEMIES[type];
+    const e = { id: s.nextId++, x, y, r:18, speed:50, hp:1, type, color:'#16a34a', los:false, flank: from.chance(0.5) ? 1 : -1,
+      armor:0, mass:1, kx:0, ky:0, status:{}, lastHitAt:-Infinity };
+    for(const k of ['r', 'speed', 'hp', 'color', 'armor', 'mass']) if(def[k] != null) e[k] = statAt(def[k], level);
+    if(def.init) def.init(e, api);
+    if(mode.enemyHp !== 1) e.hp = Math.ceil(e.hp * mode.enemyHp);
+    if(mode.enemySpeed !== 1) e.speed *= mode.enemySpeed;
+    e.maxHp = e.hp;
+
+    s.enemies.push(e);
+    return e;
+  }
+
+  /* ------------------------ Waves ------------------------ */
+  // plan the current level's wave (waves.js); groups spawn over time in step().
+  // Endless survival's "wave" is the level's stretch of the trickle, with a boss at its start on boss levels
+  function startWave(){
+    s.intermission = null;
+    const progress = { startedAt: s.time, next: 0, kills: 0, coins0: s.coins, hurt: 0 };
+    if(s.mode.waves === 'trickle'){
+      const boss = isBossLevel(s.level);
+      s.wave = Object.assign({ level: s.level, special: null, name: boss ? 'Boss wave' : `Level ${s.level}`, trickle: true, nextAt: s.time }, progress);
+      if(boss) spawnEnemy('boss', null, srng);
+    } else s.wave = Object.assign(planWave(s.level, srng, s.mode.spawns), progress);
+    emit('wave', { level: s.level, name: s.wave.name, special: s.wave.special });
+  }
+
+  // a group comes in together from one zone that takes all its types when there is one
+  function spawnGroup(group){
+    const zones = map.spawnZones.filter(z => !z.types || group.types.every(t => z.types.includes(t)));
+    const zone = zones.length ? pickWeighted(srng, zones) : null;
+    for(const type of group.types){
+      const e = spawnEnemy(type, zone && (!zone.types || zone.types.includes(type)) ? zone : null, srng);
+      if(!e.boss) e.speed *= s.wave.speed;
+    }
+  }
+
+  function updateWave(){
+    const wave = s.wave;
+    // cleared the field early: the next group doesn't wait for its slot
+    if(s.enemies.length === 0 && wave.next > 0 && wave.next < wave.groups.length) wave.startedAt = s.time - wave.groups[wave.next].at;
+    while(wave.next < wave.groups.length && s.time - wave.startedAt >= wave.groups[wave.next].at) spawnGroup(wave.groups[wave.next++]);
+  }
+
+  const waveDone = () => s.wave.next >= s.wave.groups.length && s.enemies.length === 0;
+
+  // endless: the next enemy when its time comes and there's room, the next level on the clock
+  function updateTrickle(){
+    const wave = s.wave;
+    if(s.time >= wave.nextAt){
+      const t = planTrickle(s.level, srng, s.mode.spawns);
+      if(s.enemies.length < t.max) spawnEnemy(t.type, null, srng).speed *= t.speed;
+      wave.nextAt = s.time + t.wait;
+    }
+    if(s.time - wave.startedAt >= TRICKLE_LEVEL_MS) levelUp();
+  }
+
+  // the next level straight away: downed players get up, everyone gets a little ammo
+  function levelUp(){
+    for(const p of s.players) if(p.down) revive(p);
+    for(const p of s.players) addAmmo(p, 0.5);
+    s.level++;
+    s.stats.level = s.level;
+    startWave();
+  }
+
+  // wave cleared: bank the bonus, advance the level and count down to the next wave
+  function endWave(){
+    const wave = s.wave;
+    const hpLost = Math.round(wave.hurt);
+    // downed teammates get back up for the next wave
+    for(const p of s.players) if(p.down) revive(p);
+    // the bonus goes into the pot once, or to each player's own coins
+    if(splitCoins()) for(const p of s.players) addCoins(p, 5);
+    else addCoins(null, 5);
+    const summary = {
+      level: s.level, name: wave.name, kills: wave.kills,
+      coins: s.coins - wave.coins0, hpLost,
+      time: Math.round((s.time - wave.startedAt) / 1000),
+    };
+    if(s.mode.levelScore) s.score += s.mode.levelScore * s.level;
+    s.level++;
+    s.stats.level = s.level;
+    // a little reserve ammo for clearing the level
+    for(const p of s.players) addAmmo(p, 0.5);
+    const wait = s.mode.intermission != null ? s.mode.intermission : INTERMISSION_MS;
+    s.intermission = { endsAt: s.time + wait, summary };
+    emit('level', { level: s.level, summary });
+  }
+
+  function updateIntermission(input){
+    const im = s.intermission;
+    if(input.shop && s.mode.shop){
+      im.endsAt += TICK_MS; // the countdown waits while the shop is open
+      for(const cmd of input.shop.buy || []) purchase(cmd);
+    }
+    if(input.ready || s.time >= im.endsAt) startWave();
+  }
+
+  /* ------------------------ Bosses ------------------------ */
+  function initBoss(e, key){
+    const def = BOSSES[key];
+    e.type = 'boss'; e.boss = key; e.name = def.name;
+    e.hp = def.hp + s.level * def.hpPerLevel; e.r = def.r; e.speed = def.speed; e.color = def.color;
+    e.phase = 0; e.attack = null; e.nextAttackAt = s.time + 1500; e.lastHitAt = -Infinity;
+    emit('boss', { name: e.name, phase: 1 });
+  }
+
+  // deepest phase the boss's hp has reached (phases never go back)
+  function bossPhase(e){
+    const phases = BOSSES[e.boss].phases, f = e.hp / e.maxHp;
+    let p = e.phase;
+    for(let i=p+1;i<phases.length;i++) if(f <= phases[i].at) p = i;
+    return p;
+  }
+
+  // picks, telegraphs and lands attacks; returns true while the boss shouldn't walk normally
+  function updateBoss(e, dt){
+    const def = BOSSES[e.boss];
+    const player = e.target;
+    const p = bossPhase(e);
+    if(p !== e.phase){
+      e.phase = p;
+      e.nextAttackAt = Math.min(e.nextAttackAt, s.time + 400);
+      emit('boss', { name: e.name, phase: p + 1 });
+      sfx('bossRoar', e.x, e.y, { kind: e.boss });
+    }
+    const phase = def.phases[e.phase];
+    // the phase sets the pace every tick, so the mode's (difficulty's) multiplier goes on here too
+    e.speed = def.speed * phase.speed * s.mode.enemySpeed;
+    const toPlayer = Math.atan2(player.y - e.y, player.x - e.x);
+
+    if(!e.attack){
+      if(s.time < e.nextAttackAt) return false;
+      const kind = phase.attacks[rng.int(0, phase.attacks.length)];
+      const spec = Object.assign({}, BOSS_ATTACKS[kind], phase[kind]);
+      e.attack = { kind, stage: 'windup', startAt: s.time, hitAt: s.time + spec.windup, endAt: 0, angle: toPlayer, radius: spec.radius || 0, spec };
+      return true;
+    }
+
+    const at = e.attack, spec = at.spec;
+    if(at.stage === 'windup'){
+      // charges keep tracking the player until just before they commit
+      if(at.kind === 'charge' && s.time < at.hitAt - 250) at.angle = toPlayer;
+      if(s.time < at.hitAt) return true;
+      at.stage = 'active';
+      at.endAt = s.time + (spec.duration || 0);
+      if(at.kind === 'radial'){
+        for(let i=0;i<spec.bullets;i++){
+          const a = at.angle + i / spec.bullets * Math.PI * 2;
+          s.bullets.push({ x: e.x + Math.cos(a)*e.r, y: e.y + Math.sin(a)*e.r, vx: Math.cos(a)*spec.speed, vy: Math.sin(a)*spec.speed, r:6, dmg:8, from:'enemy', source:'boss' });
+        }
+        sfx('bossShot', e.x, e.y);
+      } else if(at.kind === 'slam'){
+        for(const pl of living()){
+          if(Math.hypot(pl.x - e.x, pl.y - e.y) < spec.radius + pl.r){
+            hurtPlayer(pl, spec.damage, 'boss');
+            spawnBlood(pl.x, pl.y, 10);
+          }
+        }
+        for(let i=0;i<30;i++){
+          const a = i / 30 * Math.PI * 2;
+          spawnParticle(e.x + Math.cos(a)*spec.radius, e.y + Math.sin(a)*spec.radius, Math.cos(a)*60, Math.sin(a)*60, rand(300,600), '#a8a29e', rand(2,4));
+        }
+        sfx('explosion', e.x, e.y, { kind: 'slam' });
+      } else if(at.kind === 'summon'){
+        for(let i=0;i<spec.count && s.enemies.length < MAX_SUMMONED;i++){
+          const m = spawnEnemy(spec.types[rng.int(0, spec.types.length)]);
+          const a = rand(0, Math.PI*2);
+          m.x = e.x + Math.cos(a) * (e.r + 24); m.y = e.y + Math.sin(a) * (e.r + 24);
+          pushOutOfWalls(m);
+        }
+        sfx('bossSummon', e.x, e.y);
+      }
+    }
+
+    if(at.kind === 'charge' && s.time < at.endAt){
+      const v = spec.speed * s.mode.enemySpeed;
+      const x0 = e.x + Math.cos(at.angle) * v * dt, y0 = e.y + Math.sin(at.angle) * v * dt;
+      e.x = x0; e.y = y0;
+      pushOutOfWalls(e);
+      // a wall stops the charge early
+      if(e.x !== x0 || e.y !== y0) at.endAt = s.time;
+      return true;
+    }
+    e.attack = null;
+    e.nextAttackAt = s.time + phase.cooldown;
+    return false;
+  }
+
+  // steer along the shared flow field (straight at the target player when in sight); the type's
+  // steer hook (enemies.js) may bend the heading
+  function moveEnemy(e, dt){
+    const player = e.target;
+    const dx = player.x - e.x, dy = player.y - e.y;
+    const d = Math.hypot(dx, dy) || 1;
+    if((s.tick + e.id) % LOS_EVERY === 0) e.los = lineOfSight(wallIndex.alongSegment(e.x, e.y, player.x, player.y), e.x, e.y, player.x, player.y);
+
+    const h = heading;
+    h.x = dx/d; h.y = dy/d; h.dx = dx; h.dy = dy; h.d = d;
+    if(!e.los && nav.direction(e.x, e.y, stepDir)){ h.x = stepDir.x; h.y = stepDir.y; }
+    const def = ENEMIES[e.type];
+    if(def.steer) def.steer(e, h, api);
+
+    const speed = e.speed * statusSpeed(e);
+    e.x += h.x * speed * dt;
+    e.y += h.y * speed * dt;
+    pushOutOfWalls(e);
+  }
+
+  // knockback carries a zombie along whatever else it's doing, dying down
+  function moveKnockback(e, dt){
+    if(!e.kx && !e.ky) return;
+    e.x += e.kx * dt; e.y += e.ky * dt;
+    pushOutOfWalls(e);
+    const k = Math.max(0, 1 - KNOCKBACK_DECAY * dt);
+    e.kx *= k; e.ky *= k;
+    if(Math.abs(e.kx) + Math.abs(e.ky) < 4) e.kx = e.ky = 0;
+  }
+
+  function pushOutOfWalls(c){
+    for(const w of wallIndex.near(c.x, c.y, c.r)){
+      const push = wallPush(c.x, c.y, c.r, w);
+      if(push){ c.x += push.x; c.y += push.y; }
+    }
+  }
+
+  function hitsWall(x, y, r){
+    for(const w of wallIndex.near(x, y, r)) if(circleHitsWall(x, y, r, w)) return true;
+    return false;
+  }
+
+  function indexEnemies(){
+    enemyIndex.clear();
+    for(const e of s.enemies) if(!e.dead) enemyIndex.insert(e);
+  }
+
+  // bosses hit on a cooldown (harder mid-charge) and shove the player out instead of dying
+  function bossContact(e, player){
+    const charging = e.attack && e.attack.kind === 'charge' && e.attack.stage === 'active';
+    if(s.time - e.lastHitAt >= BOSS_HIT_EVERY){
+      e.lastHitAt = s.time;
+      hurtPlayer(player, charging ? e.attack.spec.damage : BOSS_CONTACT_DAMAGE, 'boss');
+      spawnBlood(player.x, player.y, 8);
+    }
+    const dx = player.x - e.x, dy = player.y - e.y;
+    const d = Math.hypot(dx, dy) || 1;
+    const overlap = e.r + player.r - d;
+    if(overlap > 0){ player.x += dx/d * overlap; player.y += dy/d * overlap; }
+  }
+
+  // enemies leave the arrays at the end of the tick (compact), so loops can keep going.
+  // weapon is what the kill counts for: a weapon key, 'explosion', 'nuke' or 'contact'.
+  // Every kill comes through here: a zombie is counted and its die hook runs once; false when it was already dead
+  function killEnemy(e, weapon, owner){
+    if(e.dead) return false;
+    e.dead = true;
+    tally(s.stats.kills, e.type);
+    tally(s.stats.killsBy, weapon);
+    emit('kill', { enemy: e.type, boss: e.boss || null, weapon, player: owner == null ? null : owner });
+    if(s.wave) s.wave.kills++;
+    const def = ENEMIES[e.type];
+    if(def.die) def.die(e, api);
+    return true;
+  }
+
+  /* ------------------------ Particles / Effects ------------------------ */
+  function spawnParticle(x,y,dx,dy,life,color,r){
+    if(s.particles.length >= MAX_PARTICLES) return;
+    const p = particlePool.pop() || {};
+    p.x = x; p.y = y; p.dx = dx; p.dy = dy; p.life = life; p.age = 0; p.color = color; p.r = r;
+    s.particles.push(p);
+  }
+  function spawnBlood(x,y,n=6){
+    for(let i=0;i<n;i++) spawnParticle(x, y, rand(-120,120), rand(-120,120), rand(500,900), '#b91c1c', rand(1.5,3.5));
+  }
+  function spawnMuzzle(x,y,angle){
+    for(let i=0;i<4;i++){
+      const sp = rand(120,260);
+      spawnParticle(x, y, Math.cos(angle + rand(-0.6,0.6)) * sp, Math.sin(angle + rand(-0.6,0.6)) * sp, rand(120,260), '#f59e0b', rand(2,4));
+    }
+  }
+
+  /* ------------------------ Pickups ------------------------ */
+  function spawnPickup(x,y,type='coin',val=1){
+    const def = PICKUPS[type];
+    s.pickups.push({ x, y, r: def.r, type, val, age:0, life: def.life });
+  }
+
+  // kills may leave something besides coins (the enemy type's drop table)
+  function dropLoot(e){
+    const table = ENEMIES[e.type].drops;
+    if(!table || !rng.chance(table.chance)) return;
+    const it = pickWeighted(rng, table.items);
+    spawnPickup(e.x + rand(-14, 14), e.y + rand(-14, 14), it.type, it.val || 1);
+  }
+
+  // loose coins (magnet pickups) fly to the nearest living player in range
+  function magnet(pk, alive, dt){
+    let to = null, d = MAGNET_RANGE;
+    for(const p of alive){
+      const dp = Math.hypot(p.x - pk.x, p.y - pk.y);
+      if(dp < d){ d = dp; to = p; }
+    }
+    if(!to || d < 1) return;
+    const k = Math.min(d, MAGNET_SPEED * dt) / d;
+    pk.x += (to.x - pk.x) * k; pk.y += (to.y - pk.y) * k;
+  }
+
+  // the pickup's collect hook (pickups.js); false leaves it lying, e.g. health the player has no room for
+  function collect(player, pk){
+    const def = PICKUPS[pk.type];
+    if(def.collect(player, pk, api) === false) return false;
+    sfx(def.sound, pk.x, pk.y, { player: player.slot, kind: pk.type });
+    return true;
+  }
+
+  // timed powers (re)start their clock; the nuke goes off at once
+  function grantPower(player, key){
+    emit('power', { player: player.slot, key });
+    s.stats.powers++;
+    if(key === 'nuke'){ nuke(player.slot); return; }
+    player.powers[key] = s.time + POWERS[key].duration;
+    updatePowers();
+  }
+
+  // expired powers drop off; move speed follows the boost
+  function updatePowers(){
+    for(const p of s.players){
+      for(const k in p.powers) if(s.time >= p.powers[k]) delete p.powers[k];
+      p.speed = PLAYER_SPEED * (p.powers.speed ? POWERS.speed.speed : 1);
+    }
+  }
+
+  // a grid of explosions over the whole arena; its kills go to whoever picked it up
+  function nuke(owner){
+    const cols = Math.ceil(W / NUKE_CELL), rows = Math.ceil(H / NUKE_CELL);
+    for(let i=0;i<cols;i++) for(let j=0;j<rows;j++) explode((i + 0.5) * W / cols, (j + 0.5) * H / rows, NUKE_SCALE, 'nuke', owner);
+  }
+
+  // ammo goes to the reserve of the weapon in hand, or the emptiest limited one when holding the pistol
+  function addAmmo(player, mags){
+    let w = player.weapons[player.currentWeaponKey];
+    if(!w || w.infiniteReserve){
+      w = null;
+      for(const k in player.weapons){
+        const c = player.weapons[k];
+        if(c.owned && !c.infiniteReserve && (!w || c.reserve / c.maxAmmo < w.reserve / w.maxAmmo)) w = c;
+      }
+    }
+    if(w) w.reserve += Math.ceil(w.maxAmmo * mags);
+  }
+
+  /* ------------------------ Damage ------------------------ */
+  // every hit on a player: invulnerability ignores it, so does the moment after the last hit,
+  // the difficulty scales it, armor soaks a share while it lasts. source is what hit them (an enemy type, 'boss' for a boss's
+  // own blows, a status key for damage over time), for the stats and the hurt sound. True when it hurt
+  function hurtPlayer(p, dmg, source, status = null){
+    if(p.powers.invulnerable || p.down || (s.dev && s.dev.god)) return false;
+    if(!status){
+      if(s.time < p.hurtUntil) return false;
+      p.hurtUntil = s.time + HIT_INVULN_MS;
+    }
+    dmg *= s.mode.enemyDamage;
+    const soak = Math.min(p.armor, dmg * ARMOR_SOAK);
+    const lost = Math.min(Math.max(0, p.hp), dmg - soak);
+    p.armor -= soak;
+    p.hp -= dmg - soak;
+    if(s.wave) s.wave.hurt += lost;
+    tally(s.stats.damage, source, lost);
+    if(lost > 0) emit('damage', { x: Math.round(p.x), y: Math.round(p.y - p.r), amount: lost, player: p.slot, status });
+    if(!status) sfx('hurt', p.x, p.y, { player: p.slot, kind: source });
+    return true;
+  }
+
+  // every hit on a zombie: bullets (bullet = true) go through its armor first. The caller sees to the kill
+  function hurtEnemy(e, dmg, bullet = false, status = null){
+    const lost = bullet ? throughArmor(dmg, e.armor) : dmg;
+    e.hp -= lost;
+    emit('damage', { x: Math.round(e.x), y: Math.round(e.y - e.r), amount: lost, player: null, status });
+    return lost;
+  }
+
+  // damage over time every STATUS_TICK_MS while a status lasts; zombies it kills count for whoever set it
+  function updateStatus(t, isPlayer){
+    for(const key in t.status){
+      const st = t.status[key], dps = STATUS_EFFECTS[key].dps;
+      for(; dps && st.next <= s.time && st.next <= st.until; st.next += STATUS_TICK_MS){
+        const dmg = dps * STATUS_TICK_MS / 1000;
+        if(isPlayer){ hurtPlayer(t, dmg, key, key); continue; }
+        hurtEnemy(t, dmg, false, key);
+        if(t.hp <= 0 && !t.dead) blastKill(t, st.weapon, st.owner);
+      }
+      if(s.time >= st.until) delete t.status[key];
+    }
+  }
+
+  /* ------------------------ Co-op: down & revive ------------------------ */
+  function revive(p){
+    p.down = false; p.revive = 0;
+    p.hp = Math.round(p.maxHp * REVIVE_HP);
+    emit('revive', { player: p.slot });
+  }
+
+  // 0 hp puts a player down; a living teammate standing close fills their revive meter
+  function updateDowned(){
+    for(const p of s.players){
+      if(!p.down && p.hp <= 0){
+        p.hp = 0; p.down = true; p.revive = 0; p.reloading = false; p.reloadKey = null;
+        if(s.coop){ emit('down', { player: p.slot }); sfx('hurt', p.x, p.y, { player: p.slot }); }
+      }
+    }
+    for(const p of s.players){
+      if(!p.down) continue;
+      const helper = s.players.some(o => !o.down && Math.hypot(o.x - p.x, o.y - p.y) < REVIVE_RANGE + o.r + p.r);
+      p.revive = helper ? p.revive + TICK_MS : 0;
+      if(p.revive >= REVIVE_MS) revive(p);
+    }
+  }
+
+  /* ------------------------ Explosion ------------------------ */
+  // weapon/owner: who the kills count for (a bomber going off is plain 'explosion');
+  // status: what it leaves on the zombies it hits (a rocket's burn)
+  function explode(x,y,scale=1,weapon='explosion',owner=null,status=null){
+    for(let i=0;i<40;i++){
+      spawnParticle(x, y, rand(-300,300), rand(-300,300), rand(400,900), '#fb923c', rand(2,5));
+    }
+    // damage enemies near explosion, and throw them out
+    const radius = 60 * scale;
+    for(const e of enemyIndex.query(x, y, radius, [])){
+      if(e.dead) continue;
+      hurtEnemy(e, 3 + s.level);
+      knockback(e, e.x - x, e.y - y, BLAST_PUSH * scale);
+      if(status) applyStatus(e, status, s.time, { weapon, owner });
+      if(e.hp <= 0) blastKill(e, weapon, owner);
+    }
+    sfx('explosion', x, y, scale > 2 ? { kind: 'big' } : null);
+  }
+
+  // zombies killed by anything but a bullet or a touch leave coins and loot where they fall
+  function blastKill(e, weapon, owner){
+    spawnPickup(e.x, e.y, 'coin', 3 + Math.floor(rng.next()*5));
+    dropLoot(e);
+    killEnemy(e, weapon, owner);
+  }
+
+  /* ------------------------ Hook API ------------------------ */
+  // what weapon, enemy and pickup hooks get to work with (mods included); state is the current run's
+  const api = {
+    get state(){ return s; },
+    map, rng, rand, emit, sfx,
+    spawnEnemy, spawnPickup, spawnParticle, spawnBlood, explode, hurtPlayer, hurtEnemy, applyStatus: (t, key, from) => applyStatus(t, key, s.time, from), knockback,
+    addCoins, addAmmo, grantPower, living, nearestPlayer, pushOutOfWalls, hitsWall,
+    initBoss, updateBoss, bossContact,
+  };
+  // a definition's number, or what its fn(e, api) makes of this enemy
+  const hookValue = (v, e) => typeof v === 'function' ? v(e, api) : v;
+
+  /* ------------------------ Tick ------------------------ */
+  function step(input){
+    if(!s.started) return;
+    input = input || NO_INPUT;
+    const dt = TICK_MS / 1000;
+    s.tick++;
+    s.time += TICK_MS;
+
+    const live = !s.over;
+    if(live) s.stats.time += TICK_MS;
+    if(live) for(const p of s.players) if(!p.down) updateStatus(p, true);
+    if(live && s.mode.secondScore && s.tick % TICKS_PER_SECOND === 0) s.score += s.mode.secondScore;
+    updatePowers();
+
+    // each player's own controls: player 1 reads the top level of the input, player 2 input.p2
+    s.players.forEach((player, i) => {
+      const pin = i === 0 ? input : input.p2;
+      const can = live && pin && !player.down;
+
+      // discrete commands
+      if(can && pin.weapon && player.weapons[pin.weapon] && player.weapons[pin.weapon].owned) player.currentWeaponKey = pin.weapon;
+      if(can && pin.reload) startReload(player);
+      updateReload(player);
+
+      // movement input
+      movePlayer(player, can ? pin.move : null, dt);
+      if(can && pin.aim){ player.aim.x = pin.aim.x; player.aim.y = pin.aim.y; }
+
+      // auto-fire while holding
+      if(can && pin.fire) shoot(player);
+    });
+
+    // update bullets (blast bullets hitting walls explode, so enemies need indexing first);
+    // ones with a ttl burn out
+    indexEnemies();
+    for(const b of s.bullets){
+      b.x += b.vx * dt; b.y += b.vy * dt;
+      if(hitsWall(b.x, b.y, b.r)){ if(b.blast) explode(b.x, b.y, b.blast, b.weapon, b.owner, b.status); b.dead = true; continue; }
+      if(b.x < -40 || b.x > W+40 || b.y < -40 || b.y > H+40) b.dead = true;
+      if(b.ttl != null && (b.ttl -= TICK_MS) <= 0) b.dead = true;
+    }
+
+    // update enemies: each goes for the nearest living player
+    const alive = living();
+    if(alive.length) nav.updateTargets(alive);
+    for(let i=s.enemies.length-1;i>=0;i--){
+      const e = s.enemies[i];
+      if(e.dead) continue;
+      const target = nearestPlayer(e.x, e.y);
+      if(!target) break;
+      if(e.target !== target){ e.target = target; e.los = false; }
+      updateStatus(e, false);
+      if(e.dead) continue;
+      moveKnockback(e, dt);
+      // the type's own behaviour (spitting, boss attacks) first; it may keep it from walking
+      const def = ENEMIES[e.type];
+      if(def.update && def.update(e, api, dt)) continue;
+      moveEnemy(e, dt);
+    }
+    indexEnemies();
+
+    // collision with players
+    for(const player of alive){
+      for(const e of enemyIndex.query(player.x, player.y, player.r, found).slice()){
+        if(e.dead) continue;
+        const def = ENEMIES[e.type];
+        if(def.contact && def.contact(e, player, api)) continue;
+        const dmg = def.damage != null ? def.damage : 6;
+        if(!def.selfDestruct){
+          // a bite now and then, bouncing back after each
+          if(s.time - e.lastHitAt < (def.hitEvery || CONTACT_EVERY) || !hurtPlayer(player, dmg, e.type)) continue;
+          e.lastHitAt = s.time;
+          knockback(e, e.x - player.x, e.y - player.y, CONTACT_RECOIL);
+          spawnBlood(player.x + rand(-6,6), player.y + rand(-6,6), 8);
+          continue;
+        }
+        hurtPlayer(player, dmg, e.type);
+        spawnBlood(player.x + rand(-6,6), player.y + rand(-6,6), 8);
+        killEnemy(e, 'contact', player.slot);
+        sfx('zombieDeath', e.x, e.y, { kind: def.sound || e.type });
+        if(rng.next() < 0.5) spawnPickup(player.x, player.y, 'coin', 1 + Math.floor(rng.next()*3));
+      }
+    }
+
+    // bullets hitting enemies: each bullet stops in the first live enemy it overlaps
+    for(const b of s.bullets){
+      if(b.dead || b.from !== 'player') continue;
+      let e = null;
+      for(const c of enemyIndex.query(b.x, b.y, b.r, found)) if(!c.dead){ e = c; break; }
+      if(!e) continue;
+      hurtEnemy(e, b.dmg, true);
+      if(b.knockback) knockback(e, b.vx, b.vy, b.knockback);
+      if(b.status) applyStatus(e, b.status, s.time, b);
+      tally(s.stats.hits, b.weapon);
+      spawnBlood(b.x, b.y, 4);
+      b.dead = true;
+      // the direct hit's kill pays out first; the blast then passes over it (explode skips the dead)
+      if(e.hp <= 0 && !e.dead){
+        // enemy died
+        const def = ENEMIES[e.type];
+        const coinGain = def.coins != null ? hookValue(def.coins, e) : 3 + Math.floor(rng.next()*3);
+        addCoins(s.players[b.owner] || s.player, coinGain);
+        const points = Math.round((def.score != null ? hookValue(def.score, e) : 10) * s.mode.killMul);
+        s.score += s.mode.killScore ? s.mode.killScore(points, s) : points;
+        spawnPickup(e.x, e.y, 'coin', coinGain);
+        dropLoot(e);
+        killEnemy(e, b.weapon, b.owner);
+        sfx('zombieDeath', e.x, e.y, { kind: def.sound || e.type });
+      }
+      if(b.blast) explode(b.x, b.y, b.blast, b.weapon, b.owner, b.status);
+    }
+
+    // bullets hitting players (enemy projectiles)
+    for(const b of s.bullets){
+      if(b.dead || b.from !== 'enemy') continue;
+      for(const player of alive){
+        if(Math.hypot(b.x - player.x, b.y - player.y) < b.r + player.r){
+          if(hurtPlayer(player, b.dmg, b.source) && b.status) applyStatus(player, b.status, s.time);
+          spawnBlood(player.x, player.y, 6);
+          b.dead = true;
+          break;
+        }
+      }
+    }
+    compact(s.bullets);
+    compact(s.enemies);
+
+    // update particles
+    for(let i=s.particles.length-1;i>=0;i--){
+      const p = s.particles[i];
+      p.age += dt*1000;
+      p.x += p.dx * dt; p.y += p.dy * dt;
+      if(p.age > p.life){ removeAt(s.particles, i); particlePool.push(p); }
+    }
+
+    // pickups: they age out, coins fly to whoever is close, the rest wait to be walked over
+    pickupIndex.clear();
+    for(const pk of s.pickups){
+      pk.age += dt*1000;
+      if(pk.age >= pk.life){ pk.dead = true; continue; }
+      if(PICKUPS[pk.type].magnet) magnet(pk, alive, dt);
+      pickupIndex.insert(pk);
+    }
+    for(const player of alive){
+      for(const pk of pickupIndex.query(player.x, player.y, 20, found).slice()){
+        if(!pk.dead && collect(player, pk)) pk.dead = true;
+      }
+    }
+    compact(s.pickups);
+
+    // spawn periodic pickups
+    s.pickupSpawnTimer += dt;
+    if(s.pickupSpawnTimer > 6){
+      if(s.mode.mapDrops && rng.next() < 0.6){
+        const pt = map.pickupPoints.length ? map.pickupPoints[rng.int(0, map.pickupPoints.length)] : { x: rand(60, W-60), y: rand(60, H-60) };
+        const it = pickWeighted(rng, MAP_DROPS);
+        spawnPickup(pt.x, pt.y, it.type, it.val);
+      }
+      s.pickupSpawnTimer = 0;
+    }
+
+    // level progression: groups arrive on the wave's clock; once it's cleared, intermission
+    if(!s.over){
+      if(s.intermission) updateIntermission(input);
+      else if(s.wave.trickle) updateTrickle();
+      else {
+        updateWave();
+        if(waveDone()) endWave();
+      }
+    }
+
+    // game over once every player is down, or when the mode's time is up
+    if(!s.over) updateDowned();
+    const timeUp = !!s.mode.timeLimit && s.time >= s.mode.timeLimit;
+    if(!s.over && (timeUp || s.players.every(p => p.down))){
+      s.over = true;
+      sfx('gameOver', s.player.x, s.player.y);
+      emit('gameover', { score: s.score, level: s.level, timeUp });
+    }
+  }
+
+  // run as many whole ticks as the injected clock says have elapsed;
+  // scale > 1 fast-forwards, < 1 slows down. readInput may return null to stop early.
+  function advance(readInput, scale = 1){
+    const t = now();
+    if(lastNow === null) lastNow = t;
+    acc += Math.max(0, t - lastNow) * scale;
+    lastNow = t;
+    const maxSteps = MAX_STEPS_PER_ADVANCE * Math.max(1, Math.ceil(scale));
+    let n = 0;
+    while(acc >= TICK_MS && n < maxSteps){
+      const input = readInput ? readInput() : NO_INPUT;
+      if(input === null){ acc = 0; break; }
+      step(input);
+      acc -= TICK_MS; n++;
+    }
+    if(n === maxSteps) acc = 0;
+    return n;
+  }
+
+  /* ------------------------ Developer tools ------------------------ */
+  // the developer console's levers (devtools.js). Using any of them marks the run (state.dev):
+  // its input log can't repeat what they did, so the host keeps it out of the save and the recorder
+  const devRun = () => s.dev || (s.dev = { god: false });
+  const dev = {
+    mark: devRun,
+    spawn(type, x, y){
+      devRun();
+      const e = spawnEnemy(type);
+      e.x = clamp(x, e.r, W - e.r); e.y = clamp(y, e.r, H - e.r);
+      pushOutOfWalls(e);
+      return e;
+    },
+    // straight into level n's wave: the field is cleared, the intermission (if any) skipped
+    level(n){
+      devRun();
+      s.enemies.length = 0;
+      s.bullets = s.bullets.filter(b => b.from !== 'enemy');
+      s.level = s.stats.level = Math.max(1, Math.floor(n));
+      startWave();
+    },
+    coins(n, slot = 0){
+      devRun();
+      addCoins(s.players[slot] || s.player, Math.floor(n));
+    },
+    give(key, slot = 0){
+      devRun();
+      const w = (s.players[slot] || s.player).weapons[key];
+      w.owned = true; w.ammo = w.maxAmmo;
+      if(!w.infiniteReserve) w.reserve = Math.max(w.reserve, startingReserve(key));
+    },
+    god(on){ devRun().god = !!on; },
+    // weapons.js stats were edited: every player's copy of the weapon is rebuilt, ammo kept
+    refit(key){
+      devRun();
+      for(const p of s.players){
+        const old = p.weapons[key];
+        p.weapons[key] = Object.assign(weaponStats(key, old.tiers), {
+          tiers: old.tiers, owned: old.owned, infiniteReserve: old.infiniteReserve || WEAPONS[key].infiniteReserve,
+          reserve: old.reserve,
+        });
+        p.weapons[key].ammo = Math.min(old.ammo, p.weapons[key].maxAmmo);
+      }
+    },
+  };
+
+  // forget elapsed real time, e.g. after a pause, so advance() doesn't catch up
+  function resetClock(){ lastNow = null; acc = 0; }
+
+  function drainEvents(){
+    const out = events;
+    events = [];
+    return out;
+  }
+
+  const sim = {
+    map, width: W, height: H, walls, nav, rng, state: null,
+    reset, start, checkpoint, wallet, step, advance, resetClock, drainEvents, dev,
+    spawnEnemy: (type) => spawnEnemy(type),
+    spawnPickup: (x,y,type,val) => spawnPickup(x,y,type,val),
+    explode: (x,y,scale) => explode(x,y,scale),
+  };
+  reset();
+  return sim;
+}
+
+return { createSim, createPlayerMover, TICK_MS, NO_INPUT, REVIVE_MS };
+});
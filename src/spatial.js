@@ -0,0 +1,160 @@
+/* src/spatial.js - broadphase for collision and radius queries
+   - createSpatialHash: uniform grid of buckets for moving circles (enemies, pickups);
+     rebuilt every tick with clear()/insert(), buckets are reused so it doesn't allocate
+   - createWallIndex: static grid over the map walls, built once per map
+   - createBruteIndex / brute wall index: same API, checks everything (benchmarks, debugging)
+   - removeAt / compact: splice-free removal for entity arrays
+   Every query returns candidates in a fixed order, so the sim stays deterministic.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ZS = Object.assign(root.ZS || {}, factory());
+})(this, function(){
+'use strict';
+
+// exact small-integer key for a cell (maps are at most 4000px, so cells stay well inside +-1024)
+const cellKey = (cx, cy) => (cx + 1024) * 2048 + (cy + 1024);
+
+/* ------------------------ Moving circles ------------------------ */
+function createSpatialHash(cellSize = 64){
+  const buckets = new Map();
+  const used = [];
+  let maxR = 0;
+  let count = 0;
+
+  return {
+    cellSize,
+    get size(){ return count; },
+    clear(){
+      for(const b of used) b.length = 0;
+      used.length = 0;
+      maxR = 0; count = 0;
+    },
+    // objects need x, y, r; they are filed by centre only
+    insert(o){
+      const k = cellKey(Math.floor(o.x / cellSize), Math.floor(o.y / cellSize));
+      let b = buckets.get(k);
+      if(!b){ b = []; buckets.set(k, b); }
+      if(!b.length) used.push(b);
+      b.push(o);
+      if(o.r > maxR) maxR = o.r;
+      count++;
+    },
+    // everything whose circle overlaps the circle (x, y, r), written into out
+    query(x, y, r, out = []){
+      out.length = 0;
+      const reach = r + maxR;
+      const c0 = Math.floor((x - reach) / cellSize), c1 = Math.floor((x + reach) / cellSize);
+      const r0 = Math.floor((y - reach) / cellSize), r1 = Math.floor((y + reach) / cellSize);
+      for(let cy=r0; cy<=r1; cy++) for(let cx=c0; cx<=c1; cx++){
+        const b = buckets.get(cellKey(cx, cy));
+        if(!b) continue;
+        for(let i=0;i<b.length;i++){
+          const o = b[i];
+          const dx = o.x - x, dy = o.y - y, rr = r + o.r;
+          if(dx*dx + dy*dy < rr*rr) out.push(o);
+        }
+      }
+      return out;
+    },
+  };
+}
+
+function createBruteIndex(){
+  const all = [];
+  return {
+    cellSize: Infinity,
+    get size(){ return all.length; },
+    clear(){ all.length = 0; },
+    insert(o){ all.push(o); },
+    query(x, y, r, out = []){
+      out.length = 0;
+      for(const o of all){
+        const dx = o.x - x, dy = o.y - y, rr = r + o.r;
+        if(dx*dx + dy*dy < rr*rr) out.push(o);
+      }
+      return out;
+    },
+  };
+}
+
+/* ------------------------ Static walls ------------------------ */
+// walls may cover many cells; a per-query stamp keeps each wall in the result once
+function createWallIndex(walls, cellSize = 64, brute = false){
+  const cellWalls = new Map();   // key -> walls touching the cell, in map order
+  const cellIds = new Map();     // key -> their indices
+  const stamp = new Uint32Array(walls.length);
+  const none = [];
+  let q = 0;
+  const found = [];
+  const result = [];
+
+  if(!brute){
+    walls.forEach((w, i) => {
+      const b = w.bbox || w;
+      for(let cy=Math.floor(b.y / cellSize); cy<=Math.floor((b.y + b.h) / cellSize); cy++){
+        for(let cx=Math.floor(b.x / cellSize); cx<=Math.floor((b.x + b.w) / cellSize); cx++){
+          const k = cellKey(cx, cy);
+          if(!cellWalls.has(k)){ cellWalls.set(k, []); cellIds.set(k, []); }
+          cellWalls.get(k).push(w);
+          cellIds.get(k).push(i);
+        }
+      }
+    });
+  }
+
+  // walls whose cells touch the box; callers still do the exact test
+  function inBox(x0, y0, x1, y1){
+    if(brute) return walls;
+    const c0 = Math.floor(x0 / cellSize), c1 = Math.floor(x1 / cellSize);
+    const r0 = Math.floor(y0 / cellSize), r1 = Math.floor(y1 / cellSize);
+    // most queries (bullets, enemies) sit inside one cell
+    if(c0 === c1 && r0 === r1) return cellWalls.get(cellKey(c0, r0)) || none;
+    found.length = 0;
+    q++;
+    for(let cy=r0; cy<=r1; cy++){
+      for(let cx=c0; cx<=c1; cx++){
+        const list = cellIds.get(cellKey(cx, cy));
+        if(!list) continue;
+        for(const i of list){
+          if(stamp[i] === q) continue;
+          stamp[i] = q;
+          found.push(i);
+        }
+      }
+    }
+    if(!found.length) return none;
+    // keep map order regardless of which cell a wall was found in
+    if(found.length > 1) found.sort((a, b) => a - b);
+    result.length = found.length;
+    for(let k=0;k<found.length;k++) result[k] = walls[found[k]];
+    return result;
+  }
+
+  return {
+    // the returned array is shared: read it before the next query
+    near(x, y, r){ return inBox(x - r, y - r, x + r, y + r); },
+    alongSegment(ax, ay, bx, by){ return inBox(Math.min(ax, bx), Math.min(ay, by), Math.max(ax, bx), Math.max(ay, by)); },
+  };
+}
+
+/* ------------------------ Entity arrays ------------------------ */
+// O(1) unordered removal; safe while iterating backwards
+function removeAt(arr, i){
+  const last = arr.pop();
+  if(i < arr.length) arr[i] = last;
+}
+
+// drop every entry flagged .dead, keeping order, in one pass
+function compact(arr){
+  let j = 0;
+  for(let i=0;i<arr.length;i++){
+    const o = arr[i];
+    if(!o.dead) arr[j++] = o;
+  }
+  arr.length = j;
+  return arr;
+}
+
+return { createSpatialHash, createBruteIndex, createWallIndex, removeAt, compact };
+});
@@ -0,0 +1,93 @@
+/* src/stats.js - run and lifetime statistics, achievements
+   The sim keeps the current run's numbers on state.stats (newRunStats); the save adds each
+   finished run to the profile's lifetime totals (addRunStats). Counts are keyed maps:
+     kills{enemyType: n}  killsBy{weaponKey: n}  shots{weaponKey: n}  hits{weaponKey: n}
+     damage{source: hp}   (source = enemy type, 'boss' or 'spitter' for projectiles)
+   plus coins earned, time survived (ms), highest level reached and power-ups picked up.
+   Kills by explosions count as 'explosion' (bombers), 'nuke', or the rocket that set them off.
+   Achievements are checked by the host after sim events and at game over (checkAchievements);
+   the profile remembers when each one was unlocked. Data and pure functions only.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ZS = Object.assign(root.ZS || {}, factory());
+})(this, function(){
+'use strict';
+
+function newRunStats(){
+  return { kills:{}, killsBy:{}, shots:{}, hits:{}, damage:{}, coins:0, time:0, level:1, powers:0 };
+}
+
+function newLifeStats(){
+  return Object.assign(newRunStats(), { runs:0 });
+}
+
+function tally(map, key, n = 1){
+  map[key] = (map[key] || 0) + n;
+}
+
+const total = (map) => Object.values(map || {}).reduce((a, n) => a + n, 0);
+
+// hits per shot fired, for one weapon or all of them; null before the first shot
+function accuracy(st, key){
+  const shots = key ? st.shots[key] || 0 : total(st.shots);
+  const hits = key ? st.hits[key] || 0 : total(st.hits);
+  return shots ? hits / shots : null;
+}
+
+// a finished run into the lifetime totals (levels keep the best)
+function addRunStats(life, run){
+  for(const k of ['kills', 'killsBy', 'shots', 'hits', 'damage']){
+    life[k] = life[k] || {};
+    for(const key in run[k]) tally(life[k], key, run[k][key]);
+  }
+  life.coins = (life.coins || 0) + run.coins;
+  life.time = (life.time || 0) + run.time;
+  life.powers = (life.powers || 0) + run.powers;
+  life.level = Math.max(life.level || 1, run.level);
+  life.runs = (life.runs || 0) + 1;
+  return life;
+}
+
+/* ------------------------ Achievements ------------------------ */
+/* test(ctx) is called with { ev, run, life, over }: ev is the sim event being looked at
+   (kill{ enemy, boss, weapon, player }, level{ summary }, ... gameover), run the run's stats so far,
+   life the lifetime totals without this run, over true once the run has ended. */
+const ACHIEVEMENTS = [
+  { id:'firstBlood',   name:'First blood',      desc:'Kill a zombie',
+    test: ({ ev }) => !!ev && ev.type === 'kill' },
+  { id:'bossSlayer',   name:'Boss slayer',      desc:'Kill a boss',
+    test: ({ ev }) => !!ev && ev.type === 'kill' && !!ev.boss },
+  { id:'pistolBoss',   name:'Peashooter',       desc:'Kill a boss with the pistol',
+    test: ({ ev }) => !!ev && ev.type === 'kill' && !!ev.boss && ev.weapon === 'pistol' },
+  { id:'flawless10',   name:'Untouchable',      desc:'Clear level 10 without taking damage',
+    test: ({ ev }) => !!ev && ev.type === 'level' && ev.summary.level === 10 && ev.summary.hpLost === 0 },
+  { id:'survivor',     name:'Survivor',         desc:'Reach level 15',
+    test: ({ run }) => run.level >= 15 },
+  { id:'marathon',     name:'Marathon',         desc:'Survive for 10 minutes in one run',
+    test: ({ run }) => run.time >= 10 * 60000 },
+  { id:'bigSpender',   name:'Loaded',           desc:'Earn 1000 coins in one run',
+    test: ({ run }) => run.coins >= 1000 },
+  { id:'powerHungry',  name:'Power hungry',     desc:'Pick up 3 power-ups in one run',
+    test: ({ run }) => run.powers >= 3 },
+  { id:'sharpshooter', name:'Sharpshooter',     desc:'Finish a run with 75% accuracy over 200+ shots',
+    test: ({ run, over }) => over && total(run.shots) >= 200 && accuracy(run) >= 0.75 },
+  { id:'demolition',   name:'Demolition',       desc:'Kill 100 zombies with rockets',
+    test: ({ run, life }) => (life.killsBy.rocket || 0) + (run.killsBy.rocket || 0) >= 100 },
+  { id:'exterminator', name:'Exterminator',     desc:'Kill 1000 zombies',
+    test: ({ run, life }) => total(life.kills) + total(run.kills) >= 1000 },
+];
+
+// achievements that ctx satisfies and `unlocked` (id -> time) doesn't have yet; marks them unlocked
+function checkAchievements(unlocked, ctx, now = Date.now()){
+  const out = [];
+  for(const a of ACHIEVEMENTS){
+    if(unlocked[a.id] || !a.test(ctx)) continue;
+    unlocked[a.id] = now;
+    out.push(a);
+  }
+  return out;
+}
+
+return { newRunStats, newLifeStats, tally, accuracy, addRunStats, ACHIEVEMENTS, checkAchievements };
+});
@@ -0,0 +1,120 @@
+/* src/waves.js - wave director tables
+   Each level's wave is planned from data: a difficulty curve (budget, group size, gap
+   between groups, speed), the enemy mix for that stage of the run, and special waves
+   that replace the mix now and then. What each enemy costs comes from the enemy registry
+   (enemies.js), where a mod's enemy can also join the mix. planWave() turns that into timed
+   spawn groups; the sim (sim.js, Waves section) spawns them and runs the intermission between levels.
+   Endless survival (modes.js) has no waves: planTrickle() sends one enemy at a time from the same
+   curve and mix, spaced so a level's worth of budget arrives every TRICKLE_BUDGET_MS.
+   Both take the difficulty's `spawns` (modes.js DIFFICULTIES), which scales the budget.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(Object.assign({}, require('./rng.js'), require('./enemies.js')));
+  else root.ZS = Object.assign(root.ZS || {}, factory(root.ZS));
+})(this, function(ZS){
+'use strict';
+
+const { pickWeighted, ENEMIES } = ZS;
+
+const BOSS_EVERY = 5;           // levels
+const INTERMISSION_MS = 12000;  // countdown between waves (held while the shop is open)
+
+/* Difficulty curve: interpolated between rows; past the last row the budget keeps
+   growing by BUDGET_PER_LEVEL and the rest holds.
+   group: enemies per spawn group, gap: ms between groups, speed: enemy speed multiplier */
+const CURVE = [
+  { level:1,  budget:7,   group:3,  gap:2600, speed:1 },
+  { level:5,  budget:16,  group:4,  gap:2200, speed:1.05 },
+  { level:10, budget:30,  group:6,  gap:1800, speed:1.12 },
+  { level:20, budget:60,  group:8,  gap:1400, speed:1.2 },
+  { level:40, budget:120, group:12, gap:1000, speed:1.3 },
+];
+const BUDGET_PER_LEVEL = 3;
+const BOSS_BUDGET = 0.6;        // boss waves bring fewer escorts
+const TRICKLE_BUDGET_MS = 12000; // endless: ms for a level's budget to trickle in
+const TRICKLE_ALIVE = 10;        // endless: no new enemy while this many + 2 per level are alive,
+const TRICKLE_MAX_ALIVE = 60;    //   up to this many
+
+// enemy mix from level `from` on (the last matching row wins)
+const COMPOSITION = [
+  { from:1,  weights:{ normal:1 } },
+  { from:2,  weights:{ normal:0.75, fast:0.25 } },
+  { from:3,  weights:{ normal:0.6, fast:0.22, spitter:0.18 } },
+  { from:4,  weights:{ normal:0.55, fast:0.2, spitter:0.13, tank:0.12 } },
+  { from:6,  weights:{ normal:0.5, fast:0.2, spitter:0.13, tank:0.12, bomber:0.05 } },
+  { from:12, weights:{ normal:0.4, fast:0.22, spitter:0.15, tank:0.15, bomber:0.08 } },
+];
+
+// special waves: on level `from` and every `every` levels after (never on boss levels)
+const SPECIAL_WAVES = [
+  { id:'swarm',  name:'Swarm',       from:4, every:6, budget:1.2, weights:{ fast:1 } },
+  { id:'siege',  name:'Siege',       from:7, every:6, budget:1.1, weights:{ tank:1 } },
+  { id:'bombers',name:'Bomber rush', from:9, every:6, budget:1,   weights:{ bomber:0.8, fast:0.2 } },
+];
+
+const lerp = (a, b, k) => a + (b - a) * k;
+
+function curveAt(level){
+  const last = CURVE[CURVE.length-1];
+  if(level >= last.level) return Object.assign({}, last, { budget: last.budget + (level - last.level) * BUDGET_PER_LEVEL });
+  let i = 0;
+  while(CURVE[i+1].level <= level) i++;
+  const a = CURVE[i], b = CURVE[i+1], k = (level - a.level) / (b.level - a.level);
+  return { level, budget: lerp(a.budget, b.budget, k), group: Math.round(lerp(a.group, b.group, k)), gap: lerp(a.gap, b.gap, k), speed: lerp(a.speed, b.speed, k) };
+}
+
+// the enemy mix at `level`, with registered enemies that join it (enemies.js `mix`) added in
+function compositionAt(level){
+  let w = COMPOSITION[0].weights;
+  for(const row of COMPOSITION) if(level >= row.from) w = row.weights;
+  for(const type in ENEMIES){
+    const mix = ENEMIES[type].mix;
+    if(mix && level >= mix.from) w = Object.assign({}, w, { [type]: mix.weight });
+  }
+  return w;
+}
+
+const isBossLevel = (level) => level % BOSS_EVERY === 0;
+
+function specialFor(level){
+  if(isBossLevel(level)) return null;
+  return SPECIAL_WAVES.find(sw => level >= sw.from && (level - sw.from) % sw.every === 0) || null;
+}
+
+/* Wave plan: { level, special, name, speed, total, groups:[{ at(ms from wave start), types:[...] }] }
+   rng is the sim's, so the plan is part of the reproducible run */
+function planWave(level, rng, spawns = 1){
+  const c = curveAt(level), sp = specialFor(level), boss = isBossLevel(level);
+  const weights = sp ? sp.weights : compositionAt(level);
+  const items = Object.keys(weights).map(type => ({ type, weight: weights[type] }));
+  let budget = c.budget * (sp ? sp.budget : 1) * (boss ? BOSS_BUDGET : 1) * spawns;
+  const types = [];
+  while(budget > 0){
+    const it = pickWeighted(rng, items);
+    types.push(it.type);
+    budget -= ENEMIES[it.type].cost;
+  }
+  const groups = [];
+  if(boss) groups.push({ at: 0, types: ['boss'] });
+  for(let i=0;i<types.length;i+=c.group) groups.push({ at: Math.round(groups.length * c.gap), types: types.slice(i, i + c.group) });
+  return {
+    level, special: sp ? sp.id : null,
+    name: sp ? sp.name : boss ? 'Boss wave' : `Wave ${level}`,
+    speed: c.speed, total: types.length + (boss ? 1 : 0), groups,
+  };
+}
+
+/* Trickle: the next enemy { type, wait (ms until the one after), speed, max (alive at most) };
+   pricier enemies hold the next one back longer. No special waves; bosses are up to the sim */
+function planTrickle(level, rng, spawns = 1){
+  const c = curveAt(level), weights = compositionAt(level);
+  const type = pickWeighted(rng, Object.keys(weights).map(t => ({ type: t, weight: weights[t] }))).type;
+  return {
+    type, speed: c.speed,
+    wait: Math.round(TRICKLE_BUDGET_MS * ENEMIES[type].cost / (c.budget * spawns)),
+    max: Math.round(Math.min(TRICKLE_MAX_ALIVE, TRICKLE_ALIVE + level * 2) * spawns),
+  };
+}
+
+return { BOSS_EVERY, INTERMISSION_MS, CURVE, COMPOSITION, SPECIAL_WAVES, curveAt, compositionAt, specialFor, isBossLevel, planWave, planTrickle };
+});
@@ -0,0 +1,148 @@
+/* src/weapons.js - weapon registry, upgrade tracks and the shop economy
+   - WEAPONS: base stats (tier 0), filled by registerWeapon(); mods register theirs the same way
+   - UPGRADE_TRACKS: per-weapon upgrade lines bought with coins; weaponStats() applies them
+   - buyWeapon / buyUpgrade / buyAmmo (or buy(cmd)): spend a wallet's coins; a wallet is the save
+     profile shape { coins, owned:[key], upgrades:{key:{track:tier}}, reserve:{key:n} }
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ZS = Object.assign(root.ZS || {}, factory());
+})(this, function(){
+'use strict';
+
+/* registerWeapon(key, def) adds a weapon to WEAPONS and the shop (the same key again replaces it):
+     name, maxAmmo, damage, fireRate(ms), reload(ms)   required
+     type       'bullet' | 'shot' | 'rocket' (default bullet): picks the upgrade tracks, and the
+                fire pattern when there's no fire hook; shot adds pellets/spread, rocket blast
+     price, ammoPrice   coins for the weapon / one magazine of reserve; infiniteReserve never runs dry
+     label      shop and controls name (default name)    hotkey   default key for its weapon<n> action
+     sound      which gun sound to play (audio.js GUNS key, default the weapon's own key)
+     knockback  px/s each bullet pushes the zombie it hits      status   damage.js STATUS_EFFECTS key its
+                bullets (and their blast) leave on zombies
+     fire(f, w) fires one shot: w is the upgraded weapon, f = { angle, dmg, rand(a,b), bullet(angle,
+                speed, r, more) }; bullet() adds a player bullet from the muzzle, `more` overrides
+                its fields: dmg, blast (explodes on impact at that explode() scale), ttl (ms), knockback, status
+     drawBullet(ctx, b)  draws its bullets instead of the plain dot (world px)
+   Randomness inside fire() must come from f.rand, so runs and replays stay reproducible. */
+const WEAPONS = {};
+const SHOP_ITEMS = [];
+
+const FIRE_PATTERNS = {
+  bullet: (f) => f.bullet(f.angle, 700, 4),
+  shot: (f, w) => {
+    const spread = w.spread || 0.6;
+    for(let i=0;i<(w.pellets || 6);i++) f.bullet(f.angle + f.rand(-spread, spread), 650, 3);
+  },
+  rocket: (f, w) => f.bullet(f.angle, 320, 6, { dmg: f.dmg * 2, blast: w.blast }),
+};
+
+function registerWeapon(key, def){
+  const missing = ['name', 'maxAmmo', 'damage', 'fireRate', 'reload'].filter(k => def[k] == null);
+  const type = def.type || 'bullet';
+  const fire = def.fire || FIRE_PATTERNS[type];
+  if(!fire) missing.push(`fire (no built-in pattern for type "${type}")`);
+  if(missing.length) throw new Error(`Weapon "${key}" is missing: ${missing.join(', ')}`);
+  const w = WEAPONS[key] = Object.assign({ price:0, ammoPrice:0 }, def, { type, fire });
+  const item = { key, label: w.label || w.name, price: w.price };
+  const i = SHOP_ITEMS.findIndex(it => it.key === key);
+  if(i >= 0) SHOP_ITEMS[i] = item;
+  else SHOP_ITEMS.push(item);
+  return w;
+}
+
+registerWeapon('pistol',  { name:'Pistol',  maxAmmo:12, damage:1, fireRate:220, reload:800,  type:'bullet', price:0,   ammoPrice:0, infiniteReserve:true, hotkey:'1' });
+registerWeapon('smg',     { name:'SMG',     maxAmmo:30, damage:1, fireRate:80,  reload:1000, type:'bullet', price:50,  ammoPrice:8,  hotkey:'2' });
+registerWeapon('machine', { name:'Machine', label:'Machine gun', maxAmmo:60, damage:1, fireRate:45, reload:1400, type:'bullet', price:120, ammoPrice:14, hotkey:'3' });
+registerWeapon('shotgun', { name:'Shotgun', maxAmmo:8,  damage:1, fireRate:600, reload:1600, type:'shot',   pellets:7, spread:0.6, knockback:90, price:100, ammoPrice:10, hotkey:'4' });
+registerWeapon('sniper',  { name:'Sniper',  maxAmmo:5,  damage:8, fireRate:900, reload:1800, type:'bullet', price:150, ammoPrice:12, hotkey:'5' });
+registerWeapon('rocket',  { name:'Rocket',  label:'Rocket launcher', maxAmmo:2, damage:6, fireRate:1000, reload:2200, type:'rocket', blast:1.2, status:'burn', price:250, ammoPrice:20, hotkey:'6' });
+registerWeapon('freeze',  { name:'Freeze',  label:'Freeze ray', maxAmmo:40, damage:0.5, fireRate:110, reload:1500, type:'bullet', status:'slow', price:140, ammoPrice:12, hotkey:'7',
+  drawBullet(ctx, b){ ctx.fillStyle = '#bae6fd'; ctx.beginPath(); ctx.arc(b.x, b.y, b.r, 0, Math.PI*2); ctx.fill(); } });
+
+const STARTING_MAGAZINES = 3; // reserve that comes with a newly bought weapon
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/* Upgrade tracks: tier t (0..max) applied to the base stat.
+   types limits a track to those weapon types; costMul scales its price. */
+const UPGRADE_TRACKS = {
+  damage:   { label:'Damage',        max:4, stat:'damage',   costMul:1.2, apply:(w,t) => { w.damage = round2(w.damage * (1 + 0.25*t)); } },
+  magazine: { label:'Magazine',      max:4, stat:'maxAmmo',  costMul:1,   apply:(w,t) => { w.maxAmmo = Math.max(w.maxAmmo + t, Math.round(w.maxAmmo * (1 + 0.25*t))); } },
+  reload:   { label:'Reload speed',  max:4, stat:'reload',   costMul:0.8, apply:(w,t) => { w.reload = Math.round(w.reload * (1 - 0.12*t)); } },
+  fireRate: { label:'Fire rate',     max:4, stat:'fireRate', costMul:1,   apply:(w,t) => { w.fireRate = Math.round(w.fireRate * (1 - 0.1*t)); } },
+  pellets:  { label:'Pellets',       max:3, stat:'pellets',  costMul:1.2, types:['shot'],   apply:(w,t) => { w.pellets += t; } },
+  spread:   { label:'Tighter spread',max:3, stat:'spread',   costMul:0.8, types:['shot'],   apply:(w,t) => { w.spread = round2(w.spread * (1 - 0.15*t)); } },
+  blast:    { label:'Blast radius',  max:3, stat:'blast',    costMul:1.2, types:['rocket'], apply:(w,t) => { w.blast = round2(w.blast * (1 + 0.25*t)); } },
+};
+
+function tracksFor(key){
+  const w = WEAPONS[key];
+  return Object.keys(UPGRADE_TRACKS).filter(id => !UPGRADE_TRACKS[id].types || UPGRADE_TRACKS[id].types.includes(w.type));
+}
+
+// base stats with the given tiers ({track: tier}) applied
+function weaponStats(key, tiers = {}){
+  const w = Object.assign({}, WEAPONS[key]);
+  for(const id of tracksFor(key)){
+    const t = Math.min(UPGRADE_TRACKS[id].max, tiers[id] || 0);
+    if(t) UPGRADE_TRACKS[id].apply(w, t);
+  }
+  return w;
+}
+
+// coins to go from `tier` to tier+1
+function upgradeCost(key, track, tier){
+  const base = 30 + WEAPONS[key].price * 0.3;
+  return Math.round(base * UPGRADE_TRACKS[track].costMul * (tier + 1) / 5) * 5;
+}
+
+const startingReserve = (key) => WEAPONS[key].infiniteReserve ? 0 : WEAPONS[key].maxAmmo * STARTING_MAGAZINES;
+
+/* ------------------------ Shop (wallet = save profile) ------------------------ */
+const tierOf = (wallet, key, track) => ((wallet.upgrades || {})[key] || {})[track] || 0;
+
+function buyWeapon(wallet, key){
+  const it = SHOP_ITEMS.find(i => i.key === key);
+  if(!it || wallet.owned.includes(key) || wallet.coins < it.price) return false;
+  wallet.coins -= it.price;
+  wallet.owned.push(key);
+  wallet.reserve[key] = (wallet.reserve[key] || 0) + startingReserve(key);
+  return true;
+}
+
+function buyUpgrade(wallet, key, track){
+  if(!wallet.owned.includes(key) || !tracksFor(key).includes(track)) return false;
+  const tier = tierOf(wallet, key, track);
+  if(tier >= UPGRADE_TRACKS[track].max) return false;
+  const cost = upgradeCost(key, track, tier);
+  if(wallet.coins < cost) return false;
+  wallet.coins -= cost;
+  const ups = wallet.upgrades[key] || (wallet.upgrades[key] = {});
+  ups[track] = tier + 1;
+  return true;
+}
+
+// one magazine (at the current magazine tier) into reserve
+function buyAmmo(wallet, key){
+  const w = WEAPONS[key];
+  if(!w || w.infiniteReserve || !wallet.owned.includes(key) || wallet.coins < w.ammoPrice) return false;
+  wallet.coins -= w.ammoPrice;
+  const have = wallet.reserve[key] != null ? wallet.reserve[key] : startingReserve(key);
+  wallet.reserve[key] = have + weaponStats(key, wallet.upgrades[key]).maxAmmo;
+  return true;
+}
+
+// shop command { kind:'weapon'|'upgrade'|'ammo', key, track } -> true when bought
+function buy(wallet, cmd){
+  if(cmd.kind === 'weapon') return buyWeapon(wallet, cmd.key);
+  if(cmd.kind === 'upgrade') return buyUpgrade(wallet, cmd.key, cmd.track);
+  if(cmd.kind === 'ammo') return buyAmmo(wallet, cmd.key);
+  return false;
+}
+
+return {
+  WEAPONS, SHOP_ITEMS, UPGRADE_TRACKS, FIRE_PATTERNS, registerWeapon,
+  tracksFor, weaponStats, upgradeCost, startingReserve, tierOf,
+  buyWeapon, buyUpgrade, buyAmmo, buy,
+};
+});
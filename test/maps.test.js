@@ -0,0 +1,38 @@
+/* test/maps.test.js - map loading and validation (src/maps.js) */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadMap, mapToJSON, getBuiltinMap, BUILTIN_MAPS } = require('../src/maps.js');
+
+const SMALL = { id: 'small', name: 'Small', width: 400, height: 300, playerStart: { x: 200, y: 150 },
+  walls: [{ x: 20, y: 20, w: 40, h: 40 }], spawnZones: [{ name: 'top', x: 0, y: -20, w: 400, h: 0 }] };
+
+// the errors loadMap lists for a map, [] when it loads
+function errorsOf(data){
+  try { loadMap(data); return []; }
+  catch(e){ return e.errors || [e.message]; }
+}
+
+test('the built-in maps load and survive a round trip through JSON', () => {
+  for(const { id } of BUILTIN_MAPS){
+    const m = getBuiltinMap(id);
+    assert.deepEqual(loadMap(JSON.stringify(mapToJSON(m))), m, id);
+  }
+  assert.deepEqual(loadMap(SMALL).walls, SMALL.walls);
+});
+
+test('maps that cannot be played are refused with every reason', () => {
+  const without = (k) => Object.assign({}, SMALL, { [k]: undefined });
+  assert.deepEqual(errorsOf(without('spawnZones')), ['spawnZones: need at least one enemy spawn zone']);
+  assert.deepEqual(errorsOf(Object.assign({}, SMALL, { playerStart: { x: 30, y: 30 } })), ['playerStart: player would start inside wall #0']);
+  assert.deepEqual(errorsOf(Object.assign({}, SMALL, { playerStart: { x: 500, y: 30 } })), ['playerStart: (500, 30) is outside the 400x300 map']);
+  assert.deepEqual(errorsOf(Object.assign({}, SMALL, { spawnZones: [{ name: 'top', x: 0, y: 0, types: ['fast'] }] })),
+    ['spawnZones: at least one zone must accept every enemy type (no "types")']);
+
+  const errors = errorsOf(Object.assign({}, SMALL, { width: 50, walls: [{ x: 0, y: 0, w: -1, h: 5 }], color: 'red' }));
+  assert.ok(errors.includes('width: must be a number between 200 and 4000'), errors.join('; '));
+  assert.ok(errors.includes('walls[0]: rect w and h must be positive'));
+  assert.ok(errors.some(e => e.startsWith('color: unknown field')));
+
+  assert.throws(() => loadMap('{"width":'), /Map is not valid JSON/);
+  assert.throws(() => loadMap([]), /Map must be a JSON object/);
+});
@@ -0,0 +1,51 @@
+/* test/modes.test.js - game mode rules, the daily challenge and difficulty (src/modes.js) */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MODES, MODIFIERS, DIFFICULTIES, resolveMode, dailyChallenge, scoreTable, comboMul } = require('../src/modes.js');
+const { getBuiltinMap } = require('../src/maps.js');
+
+test('each mode resolves to its own rules', () => {
+  assert.equal(resolveMode(null).id, 'classic');
+  assert.equal(resolveMode({ id: 'nope' }).id, 'classic');
+  assert.ok(resolveMode(null).shop && resolveMode(null).checkpoints);
+  for(const id of ['endless', 'timeAttack', 'oneWeapon', 'daily']) assert.ok(!resolveMode({ id, day: '2026-01-01' }).shop, id);
+  assert.equal(resolveMode({ id: 'endless' }).waves, 'trickle');
+  assert.equal(resolveMode({ id: 'timeAttack' }).timeLimit, MODES.timeAttack.timeLimit);
+  assert.equal(resolveMode({ id: 'oneWeapon', weapon: 'shotgun' }).onlyWeapon, 'shotgun');
+  assert.equal(resolveMode({ id: 'oneWeapon' }).onlyWeapon, 'pistol');
+});
+
+test('scoring rules: endless grows with the level, time attack with the combo', () => {
+  const endless = resolveMode({ id: 'endless' });
+  assert.equal(endless.killScore(100, { level: 1 }), 100);
+  assert.equal(endless.killScore(100, { level: 5 }), 200);
+  assert.deepEqual([1, 5, 6, 11, 100].map(comboMul), [1, 1, 2, 3, 5]);
+  const s = { time: 0, combo: { n: 0, until: 0 } }, ta = resolveMode({ id: 'timeAttack' });
+  const points = [];
+  for(let i=0;i<6;i++){ s.time += 500; points.push(ta.killScore(10, s)); }
+  assert.deepEqual(points, [10, 10, 10, 10, 10, 20]);
+  s.time += 5000;
+  assert.equal(ta.killScore(10, s), 10, 'a pause ends the combo');
+});
+
+test('the daily challenge is the same for everyone on a day', () => {
+  const a = dailyChallenge('2026-03-14'), b = dailyChallenge('2026-03-14');
+  assert.deepEqual(a, b);
+  assert.equal(getBuiltinMap(a.map).id, a.map);
+  assert.equal(new Set(a.modifiers).size, 2);
+  const mode = resolveMode({ id: 'daily', day: '2026-03-14' }, 'hard');
+  assert.equal(mode.difficulty, 'normal', 'the daily is always played at normal');
+  assert.equal(mode.scoreMul, Math.round(a.modifiers.reduce((m, k) => m * MODIFIERS[k].score, 1) * 100) / 100);
+  assert.equal(scoreTable({ id: 'daily', day: '2026-03-14' }), 'daily:2026-03-14');
+  assert.equal(scoreTable(mode), 'daily:2026-03-14');
+  assert.equal(scoreTable(null), 'classic');
+});
+
+test('the difficulty sets the enemy and scoring multipliers', () => {
+  for(const d of Object.keys(DIFFICULTIES)){
+    const mode = resolveMode({ id: 'endless' }, d);
+    assert.equal(mode.difficulty, d);
+    for(const k of ['enemySpeed', 'enemyDamage', 'spawns', 'killMul']) assert.equal(mode[k], DIFFICULTIES[d][k], `${d} ${k}`);
+  }
+  assert.equal(resolveMode(null, 'impossible').difficulty, 'normal');
+});
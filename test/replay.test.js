@@ -0,0 +1,63 @@
+/* test/replay.test.js - recording a run and playing it back (src/replay.js) */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSim } = require('../src/sim.js');
+const { REPLAY_VERSION, createRecorder, createPlayback, parseReplay } = require('../src/replay.js');
+
+// walks a square, fires in bursts and swaps weapons now and then
+const SIDES = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+function scripted(tick){
+  const [x, y] = SIDES[Math.floor(tick / 90) % 4];
+  return {
+    move: { x, y }, aim: { x: 450 + 200 * x, y: 300 + 200 * y }, fire: tick % 120 < 80,
+    weapon: tick % 600 === 300 ? 'smg' : null, reload: false, ready: true,
+  };
+}
+
+test('a recorded run plays back to the same state', () => {
+  const loadout = { owned: ['pistol', 'smg'] };
+  const sim = createSim({ seed: 21 });
+  sim.start(21, loadout);
+  const rec = createRecorder(21, { loadout });
+  for(let i=0;i<30 * 60;i++) sim.step(rec.record(scripted(i)));
+
+  const replay = JSON.parse(JSON.stringify(rec.toJSON()));
+  assert.equal(replay.version, REPLAY_VERSION);
+  assert.equal(replay.ticks, 30 * 60);
+  assert.ok(replay.inputs.length < replay.ticks, 'repeated inputs are run-length encoded');
+
+  const pb = createPlayback(replay);
+  const copy = createSim({ seed: replay.seed });
+  copy.start(replay.seed, replay.loadout);
+  while(!pb.done) copy.step(pb.next());
+  assert.equal(pb.next(), null);
+  for(const k of ['tick', 'score', 'coins', 'level']) assert.equal(copy.state[k], sim.state[k], k);
+  assert.deepEqual(copy.state.players.map(p => [p.x, p.y, p.hp]), sim.state.players.map(p => [p.x, p.y, p.hp]));
+  assert.deepEqual(copy.state.enemies.map(e => [e.type, e.x, e.y]), sim.state.enemies.map(e => [e.type, e.x, e.y]));
+});
+
+test('shop buys, the ready flag and the second player survive the round trip', () => {
+  const rec = createRecorder(1);
+  rec.record({ move: { x: 1, y: 0 }, aim: null, fire: true, ready: true,
+    shop: { buy: [{ kind: 'weapon', key: 'smg' }, { player: 1, kind: 'upgrade', key: 'pistol', track: 'damage' }] },
+    p2: { move: { x: 0, y: -1 }, aim: { x: 5, y: 6 }, fire: false, weapon: 'pistol' } });
+  rec.record({ move: { x: 1, y: 0 } });
+  const pb = createPlayback(JSON.stringify(rec.toJSON()));
+  const first = pb.next();
+  assert.deepEqual(first.shop.buy, [{ player: 0, kind: 'weapon', key: 'smg', track: null }, { player: 1, kind: 'upgrade', key: 'pistol', track: 'damage' }]);
+  assert.equal(first.ready, true);
+  assert.deepEqual(first.p2, { move: { x: 0, y: -1 }, aim: { x: 5, y: 6 }, fire: false, weapon: 'pistol', reload: false });
+  const second = pb.next();
+  assert.equal(second.shop, null);
+  assert.equal(second.ready, false);
+  assert.equal(second.p2, null);
+});
+
+test('replays from another version or with a broken log are refused', () => {
+  const ok = { version: REPLAY_VERSION, seed: 1, inputs: [[2, {}]] };
+  assert.equal(parseReplay(ok).ticks, 2);
+  assert.throws(() => parseReplay(Object.assign({}, ok, { version: REPLAY_VERSION - 1 })), /Unsupported replay version/);
+  assert.throws(() => parseReplay(Object.assign({}, ok, { seed: undefined })), /missing its seed/);
+  assert.throws(() => parseReplay(Object.assign({}, ok, { inputs: [[0, {}]] })), /input #0 is malformed/);
+  assert.throws(() => parseReplay('{not json'), /not valid JSON/);
+});
@@ -0,0 +1,52 @@
+/* test/save.test.js - profile saves and their migrations (src/save.js) */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SAVE_VERSION, SAVE_KEY, defaultProfile, migrateSave, createSaveStore } = require('../src/save.js');
+
+// a save as the first version of the game wrote it
+const V1 = { version: 1, coins: 120, owned: ['shotgun'], best: { score: 900, level: 6 },
+  settings: { musicVolume: 0.5 }, run: null };
+
+// storage that keeps what's written, like localStorage
+function memoryStorage(init = {}){
+  const items = Object.assign({}, init);
+  return { items, getItem: (k) => k in items ? items[k] : null, setItem: (k, v) => { items[k] = String(v); } };
+}
+
+test('a version 1 save is migrated step by step to the current version', () => {
+  const p = migrateSave(JSON.parse(JSON.stringify(V1)));
+  assert.equal(p.version, SAVE_VERSION);
+  assert.equal(p.coins, 120);
+  assert.deepEqual(p.owned, ['pistol', 'shotgun']);
+  assert.deepEqual(p.best, { score: 900, level: 6 });
+  assert.deepEqual(p.upgrades, {});
+  assert.deepEqual(p.reserve, {});
+  assert.deepEqual(p.stats, defaultProfile().stats);
+  assert.deepEqual(p.achievements, {});
+  assert.deepEqual(p.highScores, { classic: [{ score: 900, level: 6, date: null }] });
+  assert.equal(p.settings.musicVolume, 0.5);
+  assert.equal(p.settings.sfxVolume, defaultProfile().settings.sfxVolume);
+  assert.equal(p.settings.difficulty, 'normal', 'settings added later get their defaults');
+});
+
+test('saves without a version, from a newer game or not objects are refused', () => {
+  assert.throws(() => migrateSave({ coins: 5 }), /no version/);
+  assert.throws(() => migrateSave(Object.assign({}, V1, { version: SAVE_VERSION + 1 })), /newer than this game/);
+  assert.throws(() => migrateSave('save'), /not an object/);
+});
+
+test('the store loads old saves and sets unreadable ones aside', () => {
+  const storage = memoryStorage({ [SAVE_KEY]: JSON.stringify(V1) });
+  const store = createSaveStore(storage);
+  const p = store.load();
+  assert.equal(p.version, SAVE_VERSION);
+  store.save(p);
+  assert.equal(JSON.parse(storage.items[SAVE_KEY]).version, SAVE_VERSION);
+
+  const broken = memoryStorage({ [SAVE_KEY]: '{"coins":' });
+  const warn = console.warn;
+  console.warn = () => {};
+  try { assert.deepEqual(createSaveStore(broken).load(), defaultProfile()); }
+  finally { console.warn = warn; }
+  assert.equal(broken.items[SAVE_KEY + '.bak'], '{"coins":');
+});
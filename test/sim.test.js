@@ -0,0 +1,120 @@
+/* test/sim.test.js - the headless sim (src/sim.js) under node:test: `npm test`
+   Runs are seeded and driven by a fixed input script, so every number here is reproducible.
+*/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSim } = require('../src/sim.js');
+const { loadMap } = require('../src/maps.js');
+
+const TICKS_PER_SECOND = 60;
+
+// no walls for shots to get stuck on, zombies come in from the top and the bottom
+const OPEN_FIELD = loadMap({
+  id: 'open', name: 'Open field', width: 900, height: 600, playerStart: { x: 450, y: 300 }, walls: [],
+  spawnZones: [ { name: 'north', x: 0, y: -30, w: 900, h: 0 }, { name: 'south', x: 0, y: 630, w: 900, h: 0 } ],
+});
+
+// stands still, shoots the nearest zombie, skips the intermission
+function autoInput(sim){
+  const s = sim.state, p = s.player;
+  let target = null, best = Infinity;
+  for(const e of s.enemies){
+    const d = Math.hypot(e.x - p.x, e.y - p.y);
+    if(d < best){ best = d; target = e; }
+  }
+  return { move: { x: 0, y: 0 }, aim: target ? { x: target.x, y: target.y } : null, fire: !!target, ready: true };
+}
+
+function play(seed, ticks, setup){
+  const sim = createSim({ seed });
+  sim.start(seed);
+  if(setup) setup(sim);
+  for(let i=0;i<ticks;i++) sim.step(autoInput(sim));
+  return sim;
+}
+
+// what two runs have to agree on
+const summary = (s) => JSON.stringify({
+  tick: s.tick, score: s.score, coins: s.coins, level: s.level, over: s.over, hp: s.players.map(p => p.hp),
+  enemies: s.enemies.map(e => [e.type, e.x, e.y, e.hp]), pickups: s.pickups.map(pk => [pk.type, pk.x, pk.y]),
+});
+
+const tough = (sim) => { sim.state.player.maxHp = sim.state.player.hp = 1e9; };
+
+test('the same seed and inputs give the same run', () => {
+  const a = play(11, 40 * TICKS_PER_SECOND), b = play(11, 40 * TICKS_PER_SECOND);
+  assert.equal(summary(a.state), summary(b.state));
+  assert.notEqual(summary(a.state), summary(play(12, 40 * TICKS_PER_SECOND).state));
+});
+
+test('waves advance as they are cleared', () => {
+  const sim = createSim({ seed: 5, map: OPEN_FIELD });
+  sim.start(5);
+  tough(sim);
+  const levels = [];
+  for(let i=0;i<120 * TICKS_PER_SECOND;i++){
+    sim.step(autoInput(sim));
+    for(const ev of sim.drainEvents()) if(ev.type === 'level') levels.push(ev.level);
+  }
+  assert.ok(sim.state.level >= 5, `reached level ${sim.state.level}`);
+  assert.deepEqual(levels, levels.map((_, i) => i + 2)); // one level at a time
+});
+
+test('zombies hurt a player that stands among them', () => {
+  const sim = play(3, 1, (sim) => {
+    const s = sim.state, e = sim.spawnEnemy('normal');
+    e.x = s.player.x + 10; e.y = s.player.y;
+  });
+  assert.ok(sim.state.player.hp < sim.state.player.maxHp);
+});
+
+test('a coin is collected where the player stands', () => {
+  const sim = createSim({ seed: 3 });
+  sim.start(3);
+  const s = sim.state, coins = s.coins;
+  sim.spawnPickup(s.player.x, s.player.y, 'coin', 7);
+  sim.step(null);
+  assert.equal(s.coins, coins + 7);
+});
+
+test('a rocket that kills its target counts and pays once', () => {
+  const sim = createSim({ seed: 3 });
+  sim.start(3, { owned: ['pistol', 'rocket'] });
+  const s = sim.state;
+  s.enemies.length = 0;
+  const e = sim.spawnEnemy('normal');
+  e.x = s.player.x + 60; e.y = s.player.y; e.hp = 1;
+  const kills = s.wave.kills;
+  s.bullets.push({ x: e.x - 10, y: e.y, vx: 300, vy: 0, r: 6, dmg: 5, from: 'player', blast: 1, weapon: 'rocket', owner: 0 });
+  sim.step(null);
+  assert.equal(s.wave.kills, kills + 1);
+  assert.equal(s.stats.kills.normal, 1);
+  assert.equal(s.pickups.filter(pk => pk.type === 'coin').length, 1);
+});
+
+test('a bomber caught in a blast still goes off', () => {
+  const sim = createSim({ seed: 3 });
+  sim.start(3, { owned: ['pistol', 'rocket'] });
+  const s = sim.state;
+  s.enemies.length = 0;
+  const b = sim.spawnEnemy('bomber');
+  b.x = s.player.x + 200; b.y = s.player.y; b.hp = 2;
+  s.bullets.push({ x: b.x - 10, y: b.y, vx: 300, vy: 0, r: 6, dmg: 0, from: 'player', blast: 1, weapon: 'rocket', owner: 0 });
+  sim.step(null);
+  assert.ok(b.dead);
+  assert.equal(sim.drainEvents().filter(ev => ev.type === 'sfx' && ev.name === 'explosion').length, 2);
+});
+
+test('the difficulty speeds bosses up and slows them down too', () => {
+  const bossSpeed = (difficulty) => {
+    const sim = createSim({ seed: 3 });
+    sim.start(3, { difficulty });
+    sim.state.enemies.length = 0;
+    const boss = sim.spawnEnemy('boss');
+    sim.step(null);
+    return boss.speed;
+  };
+  const normal = bossSpeed('normal');
+  assert.ok(Math.abs(bossSpeed('easy') - normal * 0.8) < 1e-9);
+  assert.ok(Math.abs(bossSpeed('hard') - normal * 1.2) < 1e-9);
+});
@@ -0,0 +1,47 @@
+/* test/waves.test.js - wave planning (src/waves.js) and the enemies it draws from (src/enemies.js) */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRng } = require('../src/rng.js');
+const { ENEMIES, registerEnemy } = require('../src/enemies.js');
+const { BOSS_EVERY, planWave, curveAt, specialFor } = require('../src/waves.js');
+
+const typesOf = (plan) => plan.groups.flatMap(g => g.types);
+const costOf = (types) => types.reduce((sum, t) => sum + ENEMIES[t].cost, 0);
+
+test('a wave spends its level budget and no more than one enemy past it', () => {
+  for(let level=1; level<=30; level++){
+    if(level % BOSS_EVERY === 0 || specialFor(level)) continue;
+    const plan = planWave(level, createRng(level));
+    const types = typesOf(plan), budget = curveAt(level).budget;
+    assert.equal(plan.total, types.length);
+    assert.ok(costOf(types) >= budget, `level ${level} spends its budget`);
+    assert.ok(costOf(types.slice(0, -1)) < budget, `level ${level} stops once it is spent`);
+    assert.ok(plan.groups.every(g => g.types.length <= curveAt(level).group));
+  }
+});
+
+test('the same seed plans the same wave, the difficulty scales its size', () => {
+  assert.deepEqual(planWave(12, createRng(4)), planWave(12, createRng(4)));
+  assert.ok(planWave(12, createRng(4), 1.3).total > planWave(12, createRng(4), 0.75).total);
+});
+
+test('boss levels open with the boss, special waves bring their own mix', () => {
+  const boss = planWave(BOSS_EVERY, createRng(1));
+  assert.deepEqual(boss.groups[0], { at: 0, types: ['boss'] });
+  assert.equal(boss.name, 'Boss wave');
+  const swarm = planWave(4, createRng(1));
+  assert.equal(swarm.special, 'swarm');
+  assert.ok(typesOf(swarm).every(t => t === 'fast'));
+});
+
+test('an enemy that joins the mix has to cost something', () => {
+  assert.throws(() => registerEnemy('freebie', { cost: 0, mix: { from: 1, weight: 1 } }), /cost must be above 0/);
+  assert.throws(() => registerEnemy('freebie', { cost: -1, mix: { from: 1, weight: 1 } }), /cost must be above 0/);
+  assert.equal(ENEMIES.freebie, undefined);
+
+  registerEnemy('cheap', { cost: 0.25, hp: 1, speed: 60, r: 10, mix: { from: 1, weight: 5 } });
+  try {
+    const plan = planWave(1, createRng(2));
+    assert.ok(typesOf(plan).includes('cheap'));
+  } finally { delete ENEMIES.cheap; }
+});
@@ -0,0 +1,56 @@
+/* tools/bench.js - collision benchmark: grid broadphase vs checking everything
+   Usage: node tools/bench.js [enemies=2000] [bullets=1500] [ticks=300]
+   Fills the default arena with enemies and a storm of player bullets (one in 200 a rocket,
+   which explodes where it hits) on an invincible player, then times sim.step() for each broadphase.
+*/
+const { createSim } = require('../src/sim.js');
+const { createRng } = require('../src/rng.js');
+const { WEAPONS } = require('../src/weapons.js');
+
+const [enemies = 2000, bullets = 1500, ticks = 300] = process.argv.slice(2).map(Number);
+
+function scene(broadphase){
+  const sim = createSim({ seed: 7, broadphase });
+  sim.start(7, { owned: ['pistol'] });
+  const s = sim.state;
+  const rng = createRng(99);
+  s.player.maxHp = s.player.hp = Infinity;
+  s.enemies.length = 0;
+  const types = ['normal', 'fast', 'spitter', 'tank', 'bomber'];
+  for(let i=0;i<enemies;i++){
+    const e = sim.spawnEnemy(types[i % types.length]);
+    e.x = rng.range(0, sim.width); e.y = rng.range(0, sim.height);
+    e.hp = e.maxHp = 1e6; // keep the crowd alive for the whole run
+  }
+  // keep a constant stream of bullets in the air
+  const topUp = () => {
+    let live = 0;
+    for(const b of s.bullets) if(b.from === 'player') live++;
+    for(let i=live;i<bullets;i++){
+      const a = rng.range(0, Math.PI*2), rocket = i % 200 === 0;
+      s.bullets.push({ x: rng.range(0, sim.width), y: rng.range(0, sim.height), vx: Math.cos(a)*700, vy: Math.sin(a)*700, r: rocket ? 6 : 3, dmg: 0, from: 'player',
+        blast: rocket ? WEAPONS.rocket.blast : 0, weapon: rocket ? 'rocket' : 'machine' });
+    }
+  };
+  return { sim, topUp };
+}
+
+function run(broadphase){
+  const { sim, topUp } = scene(broadphase);
+  const input = { move: { x: 0, y: 0 }, aim: null, fire: false };
+  let total = 0;
+  for(let i=0;i<ticks;i++){
+    topUp();
+    const t0 = process.hrtime.bigint();
+    sim.step(input);
+    total += Number(process.hrtime.bigint() - t0) / 1e6;
+    sim.drainEvents();
+  }
+  return { msPerTick: total / ticks, enemies: sim.state.enemies.length, particles: sim.state.particles.length };
+}
+
+console.log(`${enemies} enemies, ${bullets} bullets, ${ticks} ticks`);
+const naive = run('naive');
+const grid = run('grid');
+console.log(`naive: ${naive.msPerTick.toFixed(2)} ms/tick`);
+console.log(`grid:  ${grid.msPerTick.toFixed(2)} ms/tick  (${(naive.msPerTick / grid.msPerTick).toFixed(1)}x faster)`);